@@ -0,0 +1,24 @@
+// Builds the native ES module build (one module per source file, so that bundlers can tree-shake it) and the
+// browser-ready UMD bundle. Neither is transpiled, so ParameterValidationError remains a native Error subclass.
+// The CommonJS and AMD builds are produced by Babel; see the build scripts in package.json.
+
+export default [
+    {
+        input: 'src/ParameterValidator.js',
+        output: {
+            dir: 'dist/esm',
+            format: 'es',
+            preserveModules: true,
+            entryFileNames: '[name].mjs'
+        }
+    },
+    {
+        input: 'src/ParameterValidator.js',
+        output: {
+            file: 'dist/umd/parameter-validator.js',
+            format: 'umd',
+            name: 'ParameterValidator',
+            exports: 'named'
+        }
+    }
+];
@@ -1,3 +1,16 @@
+import { getPath, isPath, joinPath, parsePath, setPath } from './paths';
+import { Combinator } from './combinators';
+import { compileSchema, isPlainObject, isSchema } from './schema';
+import { createLimiter, isThenable, whenAllSettled, whenSettled, withTimeout } from './promises';
+import { createMessageFormatter, defaultLocale, findCatalogProblem, formatCount, formatPathList } from './messages';
+import { defaultSensitiveParams, isSensitivePath, limitValue, previewValue, redactedValue } from './redaction';
+import { describeRules, renderMarkdown, toJsonSchema, toOpenApiParameters } from './introspection';
+import * as combinators from './combinators';
+import * as transforms from './transforms';
+import * as validators from './validators';
+
+export { combinators, defaultSensitiveParams, renderMarkdown, toJsonSchema, toOpenApiParameters, transforms, validators };
+
 /**
 * Indicates that one or more parameter validation rules failed.
 *
@@ -5,10 +18,24 @@
 */
 export class ParameterValidationError extends Error {
 
-    constructor(message) {
+    /**
+    * @param {string} message
+    * @param {Array}  [errors] - Details of each failed rule. Each item is an object with the following properties:
+    *                            - paramNames {Array}  - Names of the parameter(s) the rule applies to
+    *                            - rule       {string} - The kind of rule that failed: 'required', 'oneOf', 'custom', 'transform',
+    *                                                    'unknown', 'xor', 'allOrNone', 'forbiddenWith', 'minItems', 'maxItems',
+    *                                                    'uniqueItems' or 'aliasConflict' ('deprecatedAlias' for warnings)
+    *                            - value      {*}      - The offending value (omitted for rules about groups of parameters)
+    *                            - rawValue   {*}      - The value as it was provided, if the rule transforms the value
+    *                            - expected   {string} - Description of a valid value, if the validation function provides one
+    *                            - reason     {string} - The reason the value is invalid, if the validation function returned one
+    *                            - message    {string} - A human readable description of the failure
+    */
+    constructor(message, errors = []) {
         super(message);
         this.name = this.constructor.name;
         this.message = message;
+        this.errors = errors;
         if (Error.captureStackTrace) {
             Error.captureStackTrace(this, this.constructor.name);
         }
@@ -26,16 +53,124 @@ export default class ParameterValidator {
     * @param {function} [options.defaultValidation] - An optional alternate function to use as the default validation
     *                                                         function instead of isDefined(). The function must accept a parameter
     *                                                         value as an input and return a boolean indicating its validity.
+    *                                                         Any of the functions in the `validators` library can be used.
+    * @param {Object}   [options.messages] - Templates for the messages of validation failures by locale and name, such as
+    *                                        `{ fr: { invalid: 'Valeur invalide « {value} » fournie pour le paramètre « {path} ».' } }`.
+    *                                        Templates that aren't provided fall back to English. The expected descriptions of the
+    *                                        built-in validators and the reasons of the built-in transforms aren't localized.
+    *                                        See messages.js.
+    * @param {function} [options.formatMessage] - Produces the messages of validation failures instead of the templates. It's called
+    *                                             with the template name, the data for its placeholders and the locale, and can return
+    *                                             undefined to use the template.
+    * @param {string}   [options.locale] - The locale used when one isn't specified in the options of `validate()`. Defaults to 'en'.
+    * @param {function} [options.onWarning] - Called with the details of the failed rules whose severity is 'warning', when the
+    *                                         onWarning option isn't specified in the options of `validate()`.
     */
     constructor(options) {
+        // Rules registered with `registerRule()`, by name.
+        this._rules = Object.create(null);
+
         if (options) {
-            let {defaultValidation} = options;
+            let {defaultValidation, messages, formatMessage, locale, onWarning} = options;
 
             if (!(defaultValidation === undefined || typeof defaultValidation === 'function')) {
                 throw new ParameterValidationError(`The optional defaultValidation parameter provided is not a function.`);
             }
             this._defaultValidation = options.defaultValidation;
+
+            let catalogProblem = (messages === undefined) ? undefined : findCatalogProblem(messages);
+
+            if (catalogProblem) {
+                throw new ParameterValidationError(catalogProblem);
+            }
+            this._messages = messages;
+
+            if (!(formatMessage === undefined || typeof formatMessage === 'function')) {
+                throw new ParameterValidationError(`The optional formatMessage parameter provided is not a function.`);
+            }
+            this._formatMessage = formatMessage;
+
+            if (!(locale === undefined || (typeof locale === 'string' && locale))) {
+                throw new ParameterValidationError(`The optional locale parameter provided is not a string.`);
+            }
+            this._locale = locale;
+
+            if (!(onWarning === undefined || typeof onWarning === 'function')) {
+                throw new ParameterValidationError(`The optional onWarning parameter provided is not a function.`);
+            }
+            this._onWarning = onWarning;
+        }
+    }
+
+    /**
+    * Registers a rule that requirements can refer to by name, like `{ orgId: 'tenantId' }` or `'orgId:tenantId'`, instead of
+    * importing its validation function wherever it's used. Rules are registered on this instance only, so registering a rule
+    * on another instance or on the one behind the standalone functions doesn't affect it.
+    *
+    * @param   {string}   name - The rule's name, which can contain letters, digits, underscores, dollar signs and hyphens
+    * @param   {function} validate - The validation function, as described for `validate()`
+    * @param   {Object}   [options] - Defaults for the rule objects of the parameters that use the rule, which can override them:
+    * @param   {string|function} [options.message] - The message of a failure, as described for rule objects
+    * @param   {function|Array}  [options.transform] - Transforms the value before it's validated
+    * @param   {boolean}  [options.sensitive] - Whether to redact the value in errors
+    * @param   {string}   [options.severity] - 'error' (the default), or 'warning' for a rule whose failures are only reported
+    * @param   {string}   [options.description] - Describes the rule in the documentation produced by `describeRequirements()`
+    * @returns {ParameterValidator} this instance, so that calls can be chained
+    *
+    * @throws  {Error} Indicates that the rule is malformed or that a rule with the same name is already registered.
+    *
+    * @example
+    * parameterValidator.registerRule('tenantId', value => /^t-\d+$/.test(value), { message: 'Unknown tenant.' });
+    * parameterValidator.validate(params, [ 'orgId:tenantId', { parentOrgId: { validate: 'tenantId', optional: true } } ]);
+    */
+    registerRule(name, validate, options = {}) {
+
+        if (!(typeof name === 'string' && /^[\w$-]+$/.test(name))) {
+            throw new Error(`The rule name '${name}' must be a non-empty string of letters, digits, underscores, dollar signs and hyphens.`);
+        }
+
+        if (this._rules[name]) {
+            throw new Error(`A rule named '${name}' is already registered.`);
+        }
+
+        if (typeof validate !== 'function') {
+            throw new Error(`The validation function provided for the rule '${name}' is not a function.`);
+        }
+
+        if (options === null || typeof options !== 'object') {
+            throw new Error(`The options provided for the rule '${name}' must be an object.`);
+        }
+
+        for (let key in options) {
+            if (!registeredRuleKeys.includes(key)) {
+                throw new Error(`The options provided for the rule '${name}' have an unsupported property '${key}'.`);
+            }
+        }
+
+        let { message, transform = [], sensitive, severity, description } = options;
+
+        if (!(message === undefined || [ 'string', 'function' ].includes(typeof message))) {
+            throw new Error(`The message option provided for the rule '${name}' must be a string or function.`);
+        }
+
+        if (!(Array.isArray(transform) ? transform : [ transform ]).every(transformFunction => typeof transformFunction === 'function')) {
+            throw new Error(`The transform option provided for the rule '${name}' must be a function or an array of functions.`);
+        }
+
+        if (!(sensitive === undefined || typeof sensitive === 'boolean')) {
+            throw new Error(`The sensitive option provided for the rule '${name}' must be a boolean.`);
         }
+
+        if (!(severity === undefined || ruleSeverities.includes(severity))) {
+            throw new Error(`The severity option provided for the rule '${name}' must be either 'error' or 'warning'.`);
+        }
+
+        if (!(description === undefined || typeof description === 'string')) {
+            throw new Error(`The description option provided for the rule '${name}' must be a string.`);
+        }
+
+        this._rules[name] = Object.assign({}, options, { validate });
+        return this;
     }
 
 	/**
@@ -46,7 +181,25 @@ export default class ParameterValidator {
     *									parameters in the Array must be in paramsProvided.
     *								- If an item is an Object, it's assumed that the object's only key is the name of a parameter to be validated
     *								 and its corresponding value is a function that returns true if that parameter's value in paramsProvided is
-    *								 valid.
+    *								 valid. If the function returns a string or an object with a message property instead, it's used as the
+    *								 reason the value is invalid. The value can instead be a rule object like `{ validate, message }` to
+    *								 override the error message, `{ optional: true, default }` for an optional parameter or
+    *								 `{ transform }` to coerce the value before it's validated and extracted, `{ sensitive: true }` to
+    *								 redact the value in errors, `{ severity: 'warning' }` to report failures to the onWarning hook
+    *								 instead of throwing an error, `{ aliases }` to accept the old names of a renamed parameter,
+    *								 `{ description }` to document the parameter (see `describeRequirements()`),
+    *								 `{ items, minItems, maxItems, uniqueItems }` for an array whose
+    *								 items are each validated against the items rule, or a nested
+    *								 array of requirements, which are applied to the properties of the parameter's value
+    *								 (e.g. `{ user: [ 'name', 'email' ] }`).
+    *								- Parameter names can be paths to nested properties, such as `'user.address.zip'` or `'items[0].id'`.
+    *								- A rule registered with `registerRule()` can be referred to by name, either as the value of a
+    *								 parameter (e.g. `{ orgId: 'tenantId' }`), as the validate property of a rule object, or after a colon
+    *								 following a parameter's name (e.g. `'orgId:tenantId'`).
+    *								- An item can also be a declarative description of a parameter, like `{ name: 'age', type: 'integer', required: true }`,
+    *								 or a subset of JSON Schema describing an object's properties. See schema.js.
+    *								- An item can also be a rule for a group of parameters created by `combinators.xor()`, `allOrNone()`,
+    *								 `forbiddenWith()` or `when()`. See combinators.js.
     * @param    {Object|null} [extractedParams] - This method returns an object containing the names and values of the validated parameters extracted.
     *                                             By default, it creates a new object and assigns the extracted parameters to it, but if you want this
     *                                             method to add the extracted params to an existing object (such as the class instance that internally
@@ -58,9 +211,28 @@ export default class ParameterValidator {
     *                                             to indicate that they're private properties.
     * @param    {class}     [options.errorClass] - Specifies a specific `Error` subclass to throw instead of the default `ParameterValidationError
     *                                              when invalid parameters are detected.
+    * @param    {string}    [options.shape] - How parameters at nested paths are extracted: 'flat' (the default) uses the full path as the
+    *                                         property name (e.g. `'user.name'`), while 'nested' rebuilds the nested objects (e.g. `{ user: { name } }`).
+    * @param    {boolean}   [options.strict] - If true, parameters that aren't referred to by any of the requirements are reported as invalid.
+    *                                          This also applies to the properties of nested objects that have their own requirements.
+    * @param    {boolean}   [options.stripUnknown] - Whether parameters that aren't referred to by any of the requirements are left out of
+    *                                                the extractedParams (the default). If false, they're extracted as they are.
+    * @param    {string}    [options.locale] - The locale of the error messages, if the `ParameterValidator` was constructed with
+    *                                          messages or a formatMessage function for it.
+    * @param    {Array}     [options.sensitiveParams] - Names (compared case-insensitively) and regular expressions matching the parameters
+    *                                                   whose values are redacted in error messages and details. A parameter is sensitive if
+    *                                                   any of the names in its path match. Defaults to `defaultSensitiveParams`, which
+    *                                                   matches names containing password, token, secret, apiKey (or api_key or api-key),
+    *                                                   authorization or cookie, including headers like x-api-key.
+    * @param    {number}    [options.maxValueLength] - Maximum length of the values included in error messages, which are truncated
+    *                                                  beyond it. Defaults to 100.
+    * @param    {function}  [options.onWarning] - Called with the details of the failed rules whose severity is 'warning', which
+    *                                             don't cause an error. Defaults to the onWarning function the `ParameterValidator`
+    *                                             was constructed with.
     * @returns  {Object}    extractedParams - The names and values of the validated parameters extracted.
     *
-    * @throws   {ParameterValidationError} Indicates that one or more parameter validation rules failed.
+    * @throws   {ParameterValidationError} Indicates that one or more parameter validation rules failed. The error's `errors`
+    *                                       property contains the details of each failed rule.
     *
     * @example
     * let parameterValidator = new ParameterValidator();
@@ -68,71 +240,26 @@ export default class ParameterValidator {
 	*/
     validate(paramsProvided, paramRequirements, extractedParams, options = {}) {
 
-        extractedParams = this._getExtractedParamsObject(extractedParams);
-        const ValidationErrorSubclass = this._getValidationErrorSubclass(options);
-
-        if (!paramsProvided) {
-        	// If only I could use the ParameterValidator here...
-            throw new ValidationErrorSubclass(`A params object is required.`);
-        }
-
-        if (!Array.isArray(paramRequirements)) {
-            throw new Error('paramRequirements must be an array.');
-        }
-
-        let prefix = options.addPrefix || ''; // Optional prefix to be added to each parameter name.
-
-        if (typeof prefix !== 'string') {
-            throw new Error('addPrefix option must be a string if provided.');
-        }
-
-        let errors = [];
-
-        for (let paramRequirement of paramRequirements) {
-        	if (Array.isArray(paramRequirement) && paramRequirement.length) {
-
-                let validationResult = this._performLogicalOrParamValidation(paramsProvided, paramRequirement);
-                this._assignProperties(extractedParams, validationResult.params, prefix);
-        		errors.push(...validationResult.errors);
-
-        	} else if (typeof paramRequirement === 'object') {
-				// paramRequirement is an object with one or more keys where each key is a parameter's name
-				// and its value is a validation function that returns true if the value is valid.
-                for (let paramName in paramRequirement) {
-
-                    let validationFunction = paramRequirement[paramName],
-                        validationResult = this._executeValidationFunction(paramsProvided, paramName, validationFunction);
-
-                    this._assignProperties(extractedParams, validationResult.params, prefix);
-                    errors.push(...validationResult.errors);
-                }
-        	} else if ((typeof paramRequirement === 'string') && paramRequirement) {
-        		// paramRequirement is a string specifying the name of a required parameter,
-        		// So use the default validation function for validation.
-                let validationResult = this._executeValidationFunction(paramsProvided, paramRequirement, this.defaultValidation);
-                this._assignProperties(extractedParams, validationResult.params, prefix);
-                errors.push(...validationResult.errors);
-        	}
-        }
-
-        if (errors.length) {
-        	let errorMessage = '';
-
-        	for (let error of errors) {
-        		errorMessage += error + ' ';
-        	}
-        	errorMessage = errorMessage.slice(0, -1);
-
-        	throw new ValidationErrorSubclass(errorMessage);
-        }
-
-        return extractedParams;
+        return this._validate(paramsProvided, paramRequirements, extractedParams, options, false);
     }
 
     /**
-    * Same as `validate()`, but wrapped in a promise. This is handy for use in methods that need to be
+    * Same as `validate()`, but returns a promise. This is handy for use in methods that need to be
     * async, because it guarantees that errors bubble up the promise chain as a rejected promise.
     *
+    * Validation functions may also return promises that resolve with their result (e.g. to look up
+    * a value in a data store). All of the rules are run concurrently, and all of their failures are
+    * collected into a single error like they are by `validate()`.
+    *
+    * @param    {Object}    paramsProvided
+    * @param    {Array}     paramRequirements
+    * @param    {Object|null} [extractedParams]
+    * @param    {Object}    [options] - Supports the same options as `validate()`, plus the following:
+    * @param    {number}    [options.concurrency] - Maximum number of validation functions that can be pending at once
+    * @param    {number}    [options.timeout] - Time limit in milliseconds for each validation function. A validation function
+    *                                           that doesn't settle in time is treated as having failed.
+    * @returns  {Promise}   Resolves with the extractedParams, or rejects with a ParameterValidationError
+    *
     * @example
     * let parameterValidator = new ParameterValidator();
     * return parameterValidator.validateAsync(params, [ 'requiredParam0', 'requiredParam1', [ 'eitherNeedThis', 'orThat' ], { param3: (val) => val > 30 }])
@@ -140,146 +267,2217 @@ export default class ParameterValidator {
     *   // do stuff
     * });
     */
-    validateAsync(...args) {
+    validateAsync(paramsProvided, paramRequirements, extractedParams, options = {}) {
 
         return Promise.resolve()
-        .then(() => this.validate(...args));
+        .then(() => this._validate(paramsProvided, paramRequirements, extractedParams, options, true));
     }
 
     /**
-    * Returns isDefined() as the defaultValidation if a custom one was not provided.
+    * Same as `validate()`, but returns the outcome instead of throwing an error when the parameters are invalid,
+    * which is handy when validity is an expected branch rather than an exceptional one, such as in form handling.
+    * It still throws errors for malformed requirements and options.
+    *
+    * @param    {Object}    paramsProvided
+    * @param    {Array}     paramRequirements
+    * @param    {Object|null} [extractedParams]
+    * @param    {Object}    [options] - Supports the same options as `validate()`, except errorClass, which isn't used
+    * @returns  {Object}    result
+    * @returns  {boolean}   result.valid - Whether all of the rules passed
+    * @returns  {Object}    result.params - The extractedParams, which only contains the valid parameters if any are invalid
+    * @returns  {Array}     result.errors - Details of each failed rule, like the `errors` of a `ParameterValidationError`
+    *
+    * @throws   {Error} Indicates that the requirements or options are malformed.
+    *
+    * @example
+    * let parameterValidator = new ParameterValidator();
+    * let { valid, params, errors } = parameterValidator.validateSafe(params, [ 'name', { age: validators.isInteger } ]);
     */
-    get defaultValidation() {
-        return this._defaultValidation || this.isDefined;
+    validateSafe(paramsProvided, paramRequirements, extractedParams, options = {}) {
+
+        return this._validateSafe(paramsProvided, paramRequirements, extractedParams, options, false);
     }
 
     /**
-    * Like Object.assign(), but with the ability to add an optional prefix to the property names.
+    * Same as `validateSafe()`, but supports asynchronous validation functions like `validateAsync()` does.
     *
-    * @param {Object} targetObject
-    * @param {Object} propertiesToAdd
-    * @param {string} [prefix]
+    * @param    {Object}    paramsProvided
+    * @param    {Array}     paramRequirements
+    * @param    {Object|null} [extractedParams]
+    * @param    {Object}    [options] - Supports the same options as `validateAsync()`, except errorClass
+    * @returns  {Promise}   Resolves with the `{ valid, params, errors }` result, even if the parameters are invalid. Rejects
+    *                       if the requirements or options are malformed.
     */
-    _assignProperties(targetObject, propertiesToAdd, prefix = '') {
+    validateSafeAsync(paramsProvided, paramRequirements, extractedParams, options = {}) {
 
-        for (let propertyName in propertiesToAdd) {
-            targetObject[prefix + propertyName] = propertiesToAdd[propertyName];
-        }
+        return Promise.resolve()
+        .then(() => this._validateSafe(paramsProvided, paramRequirements, extractedParams, options, true));
     }
 
     /**
-    * Determines the correct object to use for extractedParams based on what the client provided.
+    * Validates each of an array of params objects (such as the records of an imported file) against the same requirements,
+    * without stopping at the first invalid one. The requirements are compiled once for all of the items. The onWarning hook
+    * is called once for each item with warnings, and each of the warnings has the item's `index`.
     *
-    * @param   {Object|Function|null|undefined} - extractedParams argument provided to `validate()`
-    * @returns {Object|Function}
-    * @private
+    * @param   {Array}   paramsList - The params objects to validate
+    * @param   {Array}   paramRequirements - Validation rules, as described for `validate()`
+    * @param   {Object}  [options] - Supports the same options as `validate()`, plus the following:
+    * @param   {boolean} [options.failFast] - If true, stops at the first invalid item. This is equivalent to a maxErrors of 1.
+    * @param   {number}  [options.maxErrors] - Stops once this many items are invalid
+    * @returns {Object}  result
+    * @returns {boolean} result.valid - Whether all of the items are valid
+    * @returns {Array}   result.params - The extracted params of each valid item, in order
+    * @returns {Object}  result.errors - Details of each invalid item's failed rules, keyed by the item's index
+    * @returns {boolean} result.complete - Whether all of the items were validated, which is false if validation stopped early
+    *
+    * @throws  {Error} Indicates that the items, requirements or options are malformed.
+    *
+    * @example
+    * let parameterValidator = new ParameterValidator();
+    * let { params, errors } = parameterValidator.validateEach(rows, [ 'name', { age: validators.isInteger } ], { maxErrors: 100 });
+    * // errors is like { 3: [ { paramNames: [ 'age' ], rule: 'custom', ... } ] }
     */
-    _getExtractedParamsObject(extractedParams) {
+    validateEach(paramsList, paramRequirements, options = {}) {
 
-        if ([ null, undefined ].includes(extractedParams)) {
-            // The client either didn't provide an extractedParams argument or explicitly set
-            // it to null, so just use a new object.
-            return {};
+        if (!Array.isArray(paramsList)) {
+            throw new Error('validateEach() requires an array of params objects.');
         }
 
-        if ([ 'object', 'function' ].includes(typeof extractedParams)) {
-            // The client provided an existing object or function on which we'll set the extracted params.
-            return extractedParams;
+        let { settings, rules, maxErrors } = this._compileBatch(paramRequirements, options),
+            result = { valid: true, params: [], errors: {}, complete: true },
+            errorCount = 0;
+
+        for (let index = 0; index < paramsList.length; index++) {
+
+            if (errorCount >= maxErrors) {
+                result.complete = false;
+                break;
+            }
+            if (!addBatchItemResult(result, index, this._executeSafe(paramsList[index], rules, null, withWarningDetails(settings, { index }), false))) {
+                errorCount++;
+            }
         }
+        return result;
+    }
 
-        throw new Error(`Invalid value of '${extractedParams}' was provided for the extractedParams parameter.`);
+    /**
+    * Same as `validateEach()`, but supports asynchronous validation functions, and the items can be provided by an
+    * iterable or async iterable (such as an object mode stream of the records of a large file). The items are validated
+    * one at a time, so a stream is only read as quickly as its items are validated.
+    *
+    * @param   {Array|Iterable|AsyncIterable} paramsList - The params objects to validate
+    * @param   {Array}   paramRequirements - Validation rules, as described for `validate()`
+    * @param   {Object}  [options] - Supports the same options as `validateAsync()` and `validateEach()`
+    * @returns {Promise} Resolves with the same result as `validateEach()`, even if some items are invalid. Rejects if the items,
+    *                    requirements or options are malformed. Once maxErrors items are invalid, no more items are read, so
+    *                    complete is false for an iterable even if its last item was the one that reached maxErrors.
+    */
+    validateEachAsync(paramsList, paramRequirements, options = {}) {
+
+        return Promise.resolve()
+        .then(() => {
+
+            let iteratorFactory = paramsList && (paramsList[Symbol.asyncIterator] || paramsList[Symbol.iterator]);
+
+            if (typeof iteratorFactory !== 'function' || typeof paramsList === 'string') {
+                throw new Error('validateEachAsync() requires an array, iterable or async iterable of params objects.');
+            }
+
+            let { settings, rules, maxErrors } = this._compileBatch(paramRequirements, options),
+                iterator = iteratorFactory.call(paramsList),
+                result = { valid: true, params: [], errors: {}, complete: true },
+                errorCount = 0;
+
+            // Each item is validated after the previous one settles, without nesting the promises, so that the
+            // memory used doesn't grow with the number of items.
+            return new Promise((resolve, reject) => {
+
+                let validateNext = index => {
+
+                    if (errorCount >= maxErrors) {
+                        // Stops before reading another item, since a stream's item can't be put back. Whether an iterable has
+                        // more items can't be known without reading them, so only an array can turn out to be complete.
+                        result.complete = Array.isArray(paramsList) && index >= paramsList.length;
+
+                        // Let the iterator clean up, e.g. by destroying a stream.
+                        Promise.resolve()
+                        .then(() => iterator.return && iterator.return())
+                        .then(() => resolve(result))
+                        .catch(reject);
+                        return;
+                    }
+
+                    Promise.resolve(iterator.next())
+                    .then(({ done, value }) => {
+
+                        if (done) {
+                            return resolve(result);
+                        }
+                        return Promise.resolve(this._executeSafe(value, rules, null, withWarningDetails(settings, { index }), true))
+                        .then(itemResult => {
+                            if (!addBatchItemResult(result, index, itemResult)) {
+                                errorCount++;
+                            }
+                            validateNext(index + 1);
+                        });
+                    })
+                    .catch(reject);
+                };
+
+                validateNext(0);
+            });
+        });
     }
 
     /**
-    * Determines whether to use the default ParameterValidationError or a custom
-    * error subclass passed to `validate()`.
+    * Checks the requirements and options of `validateEach()` or `validateEachAsync()`.
     *
-    * @param   {options} [options] - options that were passed to `validate()`
-    * @param   {class}   [options.errorClass]
-    * @returns {class}
+    * @param   {Array}  paramRequirements
+    * @param   {Object} options
+    * @returns {Object} settings - As returned by `_getSettings()`
+    * @returns {Array}  rules - Compiled requirements
+    * @returns {number} maxErrors - Number of invalid items after which validation stops
     * @private
     */
-    _getValidationErrorSubclass(options) {
+    _compileBatch(paramRequirements, options) {
 
-        if ((typeof options !== 'object') || (options.errorClass === undefined)) {
-            return ParameterValidationError;
+        let { failFast = false, maxErrors = Infinity } = options,
+            validationOptions = Object.assign({}, options);
+
+        if (typeof failFast !== 'boolean') {
+            throw new Error('failFast option must be a boolean if provided.');
         }
-        let { errorClass } = options;
-        // Verify that errorClass is Error or an Error subclass.
-        if (errorClass === Error || errorClass.prototype instanceof Error) {
-            return errorClass;
+
+        if (!(maxErrors === Infinity || (Number.isInteger(maxErrors) && maxErrors > 0))) {
+            throw new Error('maxErrors option must be a positive integer if provided.');
         }
-        throw new Error(`The errorClass provided was of type ${typeof errorClass} and was not an Error subclass.`);
+
+        delete validationOptions.failFast;
+        delete validationOptions.maxErrors;
+
+        return {
+            settings: this._getSettings(validationOptions),
+            rules: this._compileRequirements(paramRequirements),
+            maxErrors: failFast ? 1 : maxErrors
+        };
     }
 
-    /*
-    * @param 	{Object} 	paramsProvided - The names and values of provided parameters
-    * @param 	{Array} 	paramNames - Names of parameters, only one of which is required.
-    * @returns 	{Array} 	errors - Error message strings
-    * @returns  {Object}    params - Extracted parameter names & values.
+    /**
+    * Checks the requirements and options once, and returns a function that validates parameters against them.
+    * This is faster than calling `validate()` repeatedly with the same requirements, and malformed rules
+    * are detected immediately instead of when parameters are first validated.
+    *
+    * @param   {Array}    paramRequirements - Validation rules, as described for `validate()`
+    * @param   {Object}   [options] - Supports the same options as `validate()` and `validateAsync()`
+    * @returns {function} validate(paramsProvided, [extractedParams]) - Behaves like `validate()` with the compiled requirements
+    *                     and options. Its validateAsync(paramsProvided, [extractedParams]) property behaves like `validateAsync()`.
+    *
+    * @throws  {Error} Indicates that the requirements or options are malformed.
+    *
+    * @example
+    * let parameterValidator = new ParameterValidator();
+    * let validateUser = parameterValidator.compile([ 'name', { age: val => val > 30 } ]);
+    * let { name, age } = validateUser(params);
     */
-    _performLogicalOrParamValidation(paramsProvided, paramNames) {
-        let extractedParams = {},
-            errors = [],
-            isValid = this.defaultValidation;
+    compile(paramRequirements, options = {}) {
 
-		for (var paramName of paramNames) {
-			if (isValid(paramsProvided[paramName])) {
-                extractedParams[paramName] = paramsProvided[paramName];
-			}
-		}
+        let settings = this._getSettings(options),
+            rules = this._compileRequirements(paramRequirements);
 
-		if (!Object.keys(extractedParams).length) {
-			var errorMessage = 'One of the following parameters must be included: ';
-			for (paramName of paramNames) {
-				errorMessage += `'${paramName}', `;
-			}
-			errorMessage = errorMessage.slice(0, -2) + '.';
-			errors.push(errorMessage);
-		}
+        let compiledValidate = (paramsProvided, extractedParams) => {
+            return this._execute(paramsProvided, rules, extractedParams, settings, false);
+        };
 
-		return {
-            errors: errors,
-            params: extractedParams
+        compiledValidate.validateAsync = (paramsProvided, extractedParams) => {
+            return Promise.resolve()
+            .then(() => this._execute(paramsProvided, rules, extractedParams, settings, true));
         };
+
+        return compiledValidate;
     }
 
-    /*
-    * @param 	{Object} 	paramsProvided - The names and values of provided parameters
-    * @param 	{Object} 	paramRequirement - object with one key where the key is the parameter's name
-	*								and the value is a validation function that returns true if the value is valid.
-    * @returns 	{Array} 	errors - Error message strings
-    * @returns  {Object}    params - Extracted parameter names & values
+    /**
+    * Describes requirements for documentation, so that the documentation of an API can be generated from the same
+    * requirements that its parameters are validated against. The description can be rendered with `renderMarkdown()`,
+    * `toJsonSchema()` and `toOpenApiParameters()`.
+    *
+    * The type and constraints of a parameter come from the `schema` and `expected` properties of its validator, which the
+    * built-in validators have. A validation function without them is described as 'custom', along with the description
+    * property of its rule object, if it has one.
+    *
+    * @param   {Array}  paramRequirements - Validation rules, as described for `validate()`
+    * @returns {Object} description - Contains a description of each parameter (params) and of each rule for a group of
+    *                   parameters (groups), as described in introspection.js
+    *
+    * @throws  {Error} Indicates that the requirements are malformed.
+    *
+    * @example
+    * let description = parameterValidator.describeRequirements([ 'name', { age: validators.isPositiveInteger } ]);
+    * let markdown = renderMarkdown(description);
     */
-    _executeValidationFunction(paramsProvided, paramName, validationFunction) {
-    	var errors = [];
-        var extractedParams = {};
+    describeRequirements(paramRequirements) {
+        return describeRules(this._compileRequirements(paramRequirements));
+    }
 
-		if (typeof validationFunction !== 'function') {
-			throw new Error(`A paramRequirement value provided for the parameter ${paramName} is not a function.`);
-		}
+    /**
+    * Wraps a function so that its first argument is validated before the function runs, which saves
+    * calling `validate()` at the top of the function. The requirements are compiled once, when the
+    * function is wrapped.
+    *
+    * If the function is async (or the async option is true), the wrapper validates the argument like
+    * `validateAsync()` and always returns a promise, which rejects with the validation error. Only native async functions
+    * are detected, so the async option is needed for other functions that return promises, such as transpiled async
+    * functions. Otherwise, the wrapper throws the validation error instead of returning a rejected promise.
+    *
+    * @param   {Array}    paramRequirements - Validation rules, as described for `validate()`
+    * @param   {function} fn - The function to wrap
+    * @param   {Object}   [options] - Supports the same options as `validate()` and `validateAsync()`, plus the following:
+    * @param   {boolean}  [options.inject] - If true, the function is passed the extracted parameters as its first argument
+    *                                        instead of the object that was provided.
+    * @param   {boolean}  [options.async] - Whether to validate asynchronously. Defaults to true for async functions.
+    * @returns {function} The wrapped function, which is called with the same `this` and arguments as the wrapper
+    *
+    * @throws  {Error} Indicates that the requirements or options are malformed.
+    *
+    * @example
+    * let createUser = parameterValidator.withValidation([ 'name', { age: validators.isInteger } ], ({ name, age }) => {
+    *     // do stuff
+    * }, { inject: true });
+    */
+    withValidation(paramRequirements, fn, options = {}) {
 
-		if (validationFunction(paramsProvided[paramName]) === true) {
-            extractedParams[paramName] = paramsProvided[paramName];
-        } else {
-			errors.push(`Invalid value of '${paramsProvided[paramName]}' was provided for parameter '${paramName}'.`);
-		}
+        if (typeof fn !== 'function') {
+            throw new Error('withValidation() requires a function to wrap.');
+        }
 
-		return {
-            errors: errors,
-            params: extractedParams
+        let { inject = false, async = Object.prototype.toString.call(fn) === '[object AsyncFunction]' } = options,
+            validationOptions = Object.assign({}, options);
+
+        if (typeof inject !== 'boolean') {
+            throw new Error('inject option must be a boolean if provided.');
+        }
+
+        if (typeof async !== 'boolean') {
+            throw new Error('async option must be a boolean if provided.');
+        }
+
+        delete validationOptions.inject;
+        delete validationOptions.async;
+
+        let compiledValidate = this.compile(paramRequirements, validationOptions);
+
+        if (async) {
+            return function (...args) {
+                return compiledValidate.validateAsync(args[0])
+                .then(extractedParams => fn.apply(this, inject ? [ extractedParams, ...args.slice(1) ] : args));
+            };
+        }
+
+        return function (...args) {
+            let extractedParams = compiledValidate(args[0]);
+            return fn.apply(this, inject ? [ extractedParams, ...args.slice(1) ] : args);
         };
     }
 
-    isDefined(value) {
-        return value !== undefined;
+    /**
+    * Creates a decorator for class methods, which wraps the method with `withValidation()`. It supports both standard
+    * decorators, which are passed the method and a context object, and legacy decorators (such as TypeScript's
+    * experimentalDecorators), which are passed the prototype, the method's name and its property descriptor.
+    *
+    * @param   {Array}    paramRequirements - Validation rules, as described for `validate()`
+    * @param   {Object}   [options] - Supports the same options as `withValidation()`
+    * @returns {function} decorator(method, context) or decorator(target, name, descriptor)
+    *
+    * @example
+    * class UserService {
+    *
+    *     @validated([ 'name', 'email' ], { inject: true })
+    *     createUser({ name, email }) {
+    *         // do stuff
+    *     }
+    * }
+    */
+    validated(paramRequirements, options = {}) {
+
+        return (target, name, descriptor) => {
+
+            if (name !== null && typeof name === 'object') {
+                // A standard decorator, whose second argument is the context.
+                let context = name;
+
+                if (context.kind !== 'method' || typeof target !== 'function') {
+                    throw new Error(`The validated decorator can only be applied to methods, but ${String(context.name)} is not a method.`);
+                }
+                return this.withValidation(paramRequirements, target, options);
+            }
+
+            if (!descriptor || typeof descriptor.value !== 'function') {
+                throw new Error(`The validated decorator can only be applied to methods, but ${name} is not a method.`);
+            }
+            return Object.assign({}, descriptor, { value: this.withValidation(paramRequirements, descriptor.value, options) });
+        };
     }
-}
 
-// Also export `validate()` and `validateAsync` as standalone functions by creating a singleton instance.
+    /**
+    * Validates a single value, such as a scalar, against a rule, without putting it in a params object first.
+    *
+    * @param   {*}       value
+    * @param   {function|Object|Array|string} rule - Any of the rules that `validate()` supports as the value of a
+    *                                                `{ paramName: rule }` object
+    * @param   {Object}  [options] - Supports the same options as `validate()` except addPrefix and shape, plus the following:
+    * @param   {string}  [options.label] - The name of the value in errors. Defaults to 'value'.
+    * @returns {*}       The value, after any transforms or default are applied. If the rule has requirements for the value's
+    *                    properties, this is an object containing the validated properties.
+    *
+    * @throws  {ParameterValidationError} Indicates that the value is invalid.
+    *
+    * @example
+    * let pageSize = parameterValidator.validateValue(input, { transform: transforms.toNumber, validate: validators.inRange(1, 100) }, { label: 'pageSize' });
+    */
+    validateValue(value, rule, options = {}) {
 
-const parameterValidator = new ParameterValidator();
+        return this._validateArgs([ value ], [ rule ], this._getValueOptions(options), false)[0];
+    }
 
-export const validate = parameterValidator.validate.bind(parameterValidator);
+    /**
+    * Same as `validateValue()`, but supports asynchronous validation functions like `validateAsync()` does.
+    *
+    * @param   {*}       value
+    * @param   {function|Object|Array|string} rule
+    * @param   {Object}  [options] - Supports the same options as `validateAsync()` except addPrefix and shape, plus the label option
+    * @returns {Promise} Resolves with the value, or rejects with a ParameterValidationError if it's invalid.
+    */
+    validateValueAsync(value, rule, options = {}) {
 
-export const validateAsync = parameterValidator.validateAsync.bind(parameterValidator);
+        return Promise.resolve()
+        .then(() => this._validateArgs([ value ], [ rule ], this._getValueOptions(options), true))
+        .then(values => values[0]);
+    }
+
+    /**
+    * Validates positional arguments, such as a function's `arguments`, against a rule for each position.
+    *
+    * @param   {Array|Arguments} args
+    * @param   {Array}   argRequirements - A rule for each argument, which can be any of the rules that `validate()` supports as the
+    *                                      value of a `{ paramName: rule }` object
+    * @param   {Object}  [options] - Supports the same options as `validate()` except addPrefix and shape, plus the following:
+    * @param   {Array}   [options.labels] - The names of the arguments in errors. By default, they're named by their position,
+    *                                       like `'arguments[0]'`.
+    * @returns {Array}   The arguments, after any transforms or defaults are applied. Arguments beyond those that have rules
+    *                    are left out, unless the stripUnknown option is false. In strict mode, they're invalid.
+    *
+    * @throws  {ParameterValidationError} Indicates that one or more of the arguments are invalid.
+    *
+    * @example
+    * function transfer(fromAccount, toAccount, amount) {
+    *     [ fromAccount, toAccount, amount ] = validateArgs(arguments, [ 'accountId', 'accountId', validators.isPositiveNumber ], {
+    *         labels: [ 'fromAccount', 'toAccount', 'amount' ]
+    *     });
+    * }
+    */
+    validateArgs(args, argRequirements, options = {}) {
+
+        return this._validateArgs(args, argRequirements, options, false);
+    }
+
+    /**
+    * Same as `validateArgs()`, but supports asynchronous validation functions like `validateAsync()` does.
+    *
+    * @param   {Array|Arguments} args
+    * @param   {Array}   argRequirements
+    * @param   {Object}  [options] - Supports the same options as `validateAsync()` except addPrefix and shape, plus the labels option
+    * @returns {Promise} Resolves with the arguments, or rejects with a ParameterValidationError if any of them are invalid.
+    */
+    validateArgsAsync(args, argRequirements, options = {}) {
+
+        return Promise.resolve()
+        .then(() => this._validateArgs(args, argRequirements, options, true));
+    }
+
+    /**
+    * Converts the options of `validateValue()` into options for `_validateArgs()`.
+    *
+    * @param   {Object} options
+    * @returns {Object} options
+    * @private
+    */
+    _getValueOptions(options) {
+
+        let { label = 'value' } = options,
+            argOptions = Object.assign({}, options, { labels: [ label ] });
+
+        if (!(typeof label === 'string' && label)) {
+            throw new Error('label option must be a non-empty string if provided.');
+        }
+
+        delete argOptions.label;
+        return argOptions;
+    }
+
+    /**
+    * Implements `validateArgs()` and `validateArgsAsync()`. Each argument is validated like a parameter named by its label.
+    *
+    * @param   {Array|Arguments} args
+    * @param   {Array}   argRequirements
+    * @param   {Object}  options
+    * @param   {boolean} isAsync - Whether validation functions may return promises
+    * @returns {Array|Promise} The validated arguments, or a promise for them if any of the validation functions returned promises
+    * @private
+    */
+    _validateArgs(args, argRequirements, options, isAsync) {
+
+        if (args === null || typeof args !== 'object' || typeof args.length !== 'number') {
+            throw new Error('validateArgs() requires an array or arguments object.');
+        }
+
+        if (!Array.isArray(argRequirements)) {
+            throw new Error('validateArgs() requires an array of rules.');
+        }
+
+        let { labels = [] } = options,
+            validationOptions = Object.assign({}, options);
+
+        if (!(Array.isArray(labels) && labels.every(label => typeof label === 'string' && label))) {
+            throw new Error('labels option must be an array of non-empty strings if provided.');
+        }
+
+        delete validationOptions.labels;
+
+        let settings = this._getSettings(validationOptions),
+            argValues = Array.from(args),
+            names = [];
+
+        for (let index = 0; index < Math.max(argValues.length, argRequirements.length); index++) {
+            names.push(labels[index] || `arguments[${index}]`);
+        }
+
+        if (new Set(names).size !== names.length) {
+            throw new Error('Each of the labels of the arguments must be unique.');
+        }
+
+        let rules = argRequirements.map((rule, index) => ({ type: 'param', paramName: names[index], rule: this._normalizeParamRule(names[index], rule) })),
+            paramsProvided = {},
+            context = isAsync ? this._createAsyncContext(settings) : this._createSyncContext(settings);
+
+        // The labels are used as the names of the parameters. Since they're own properties of paramsProvided, they're
+        // looked up as they are, even if they look like paths.
+        argValues.forEach((value, index) => {
+            paramsProvided[names[index]] = value;
+        });
+
+        return whenSettled(this._runRules(paramsProvided, rules, '', context), ({ params, errors, warnings }) => {
+
+            this._reportWarnings(warnings, settings);
+
+            if (errors.length) {
+                throw this._createValidationError(settings.ValidationErrorSubclass, errors);
+            }
+            let count = settings.stripUnknown ? rules.length : names.length;
+
+            return names.slice(0, count).map((name, index) => {
+                let hasRequirements = Boolean(rules[index] && rules[index].rule.requirements);
+                return getExtractedValue(params, name, hasRequirements ? argValues[index] : undefined);
+            });
+        });
+    }
+
+    /**
+    * Creates Express (or Connect) middleware that validates the parts of a request. If the request is valid, the extracted
+    * params of all of its parts are assigned to `request.validated`. Otherwise, the middleware responds with a JSON
+    * description of the failures and doesn't call the next middleware. The requirements are compiled once.
+    *
+    * @param   {Object}   requestRequirements - Validation rules, as described for `validate()`, for any of the request's
+    *                                           `params`, `query`, `headers` (whose names are lowercase) and `body`. Since the
+    *                                           params of all of the parts are extracted into one object, each parameter may
+    *                                           only be referred to by the requirements of one part.
+    * @param   {Object}   [options] - Supports the same options as `validate()`, which apply to each part, plus the following.
+    *                                 The strict and stripUnknown options don't apply to headers, since requests always include
+    *                                 headers that the requirements don't mention. The onWarning hook is called once per
+    *                                 request, and each of the warnings has a `location`, like the errors.
+    * @param   {boolean}  [options.async] - Whether to validate like `validateAsync()`. Defaults to false.
+    * @param   {string}   [options.property] - The property of the request to which the extracted params are assigned. Defaults
+    *                                          to 'validated'. If it already contains an object, the params are added to it.
+    * @param   {number}   [options.status] - The status code of the response to an invalid request. Defaults to 400.
+    * @param   {function} [options.formatError] - Returns the JSON body of the response given the validation error and the
+    *                                             request. By default, the body is `{ message, errors }`, where each of the
+    *                                             errors' details has a `location` property, such as 'body', and values longer
+    *                                             than maxValueLength, or that aren't numbers, booleans or strings, are
+    *                                             replaced by their truncated previews.
+    * @returns {function} middleware(request, response, next) - Passes errors other than validation failures to `next()`.
+    *
+    * @throws  {Error} Indicates that the requirements or options are malformed.
+    *
+    * @example
+    * app.post('/users/:orgId', express.json(), parameterValidator.expressMiddleware({
+    *     params: [ 'orgId' ],
+    *     body: [ 'name', { age: validators.isInteger } ]
+    * }), (request, response) => {
+    *     let { orgId, name, age } = request.validated;
+    * });
+    */
+    expressMiddleware(requestRequirements, options = {}) {
+
+        let { property, validateRequest, assignParams, createErrorResponse } = this._compileRequestValidation(requestRequirements, options);
+
+        return (request, response, next) => {
+
+            let { params, query, headers, body } = request;
+
+            validateRequest({ params, query, headers, body })
+            .then(({ error, extractedParams }) => {
+
+                // Errors thrown by the formatError option or by serializing the response are passed to next(), instead of
+                // becoming unhandled rejections that leave the request without a response.
+                try {
+                    if (!error) {
+                        request[property] = assignParams(request[property], extractedParams);
+                    } else {
+                        let { status, body } = createErrorResponse(error, request);
+
+                        // Uses the methods of Node's response, which Express extends, so that it also works with Connect.
+                        response.statusCode = status;
+                        response.setHeader('Content-Type', 'application/json; charset=utf-8');
+                        response.end(JSON.stringify(body));
+                    }
+                } catch (responseError) {
+                    return next(responseError);
+                }
+
+                // Called outside of the try block, so that next() isn't called a second time with an error thrown by the
+                // next middleware, which Express and Connect handle themselves.
+                if (!error) {
+                    next();
+                }
+            }, next);
+        };
+    }
+
+    /**
+    * Same as `expressMiddleware()`, but creates Koa middleware. The parts of the request are `ctx.params` (as set by a router),
+    * `ctx.query`, `ctx.headers` and `ctx.request.body` (as set by a body parser), and the extracted params are assigned to
+    * `ctx.request.validated`.
+    *
+    * @param   {Object}   requestRequirements - Validation rules for any of the request's `params`, `query`, `headers` and `body`
+    * @param   {Object}   [options] - Supports the same options as `expressMiddleware()`
+    * @returns {function} middleware(ctx, next) - Returns a promise, which rejects with errors other than validation failures.
+    *
+    * @throws  {Error} Indicates that the requirements or options are malformed.
+    */
+    koaMiddleware(requestRequirements, options = {}) {
+
+        let { property, validateRequest, assignParams, createErrorResponse } = this._compileRequestValidation(requestRequirements, options);
+
+        return (ctx, next) => {
+
+            let { params, query, headers, request: { body } } = ctx;
+
+            return validateRequest({ params, query, headers, body })
+            .then(({ error, extractedParams }) => {
+
+                if (!error) {
+                    ctx.request[property] = assignParams(ctx.request[property], extractedParams);
+                    return next();
+                }
+                let { status, body } = createErrorResponse(error, ctx.request);
+
+                ctx.status = status;
+                ctx.body = body;
+            });
+        };
+    }
+
+    /**
+    * Checks the requirements and options of `expressMiddleware()` or `koaMiddleware()`.
+    *
+    * @param   {Object}   requestRequirements
+    * @param   {Object}   options
+    * @returns {string}   property - The property of the request to which the extracted params are assigned
+    * @returns {function} validateRequest(parts) - Returns a promise for `{ error, extractedParams }`, where error is the
+    *                     validation error, or null if the request is valid, and extractedParams contains the parameters of all
+    *                     of the parts by their paths
+    * @returns {function} assignParams(target, extractedParams) - Assigns the extracted params to the object of the request's
+    *                     property, applying the addPrefix and shape options, and returns the object
+    * @returns {function} createErrorResponse(error, request) - Returns the `{ status, body }` of the response
+    * @private
+    */
+    _compileRequestValidation(requestRequirements, options) {
+
+        if (requestRequirements === null || typeof requestRequirements !== 'object' || Array.isArray(requestRequirements)) {
+            throw new Error(`The request requirements must be an object containing the requirements for any of the request's ${formatPathList(requestParts)}.`);
+        }
+
+        let unsupportedPart = Object.keys(requestRequirements).find(part => !requestParts.includes(part));
+
+        if (unsupportedPart) {
+            throw new Error(`Requirements were provided for an unsupported part of the request '${unsupportedPart}'.`);
+        }
+
+        let { async = false, property = 'validated', status = 400, formatError } = options,
+            validationOptions = Object.assign({}, options);
+
+        if (typeof async !== 'boolean') {
+            throw new Error('async option must be a boolean if provided.');
+        }
+
+        if (!(typeof property === 'string' && property)) {
+            throw new Error('property option must be a non-empty string if provided.');
+        }
+
+        if (!(Number.isInteger(status) && status >= 400 && status <= 599)) {
+            throw new Error('status option must be an HTTP error status code if provided.');
+        }
+
+        if (!(formatError === undefined || typeof formatError === 'function')) {
+            throw new Error('formatError option must be a function if provided.');
+        }
+
+        [ 'async', 'property', 'status', 'formatError' ].forEach(name => delete validationOptions[name]);
+
+        let settings = this._getSettings(validationOptions),
+            compiledParts = requestParts
+            .filter(part => requestRequirements[part] !== undefined)
+            .map(part => ({ part, rules: this._compileRequirements(requestRequirements[part]) }));
+
+        // The parts are extracted into the same object, so a parameter of one part would silently replace a parameter of
+        // another part with the same name.
+        let partsByName = {};
+
+        for (let { part, rules } of compiledParts) {
+            for (let name of new Set(getReferencedNames(rules).map(name => String(parsePath(name)[0])))) {
+
+                if (partsByName[name]) {
+                    throw new Error(`The parameter '${name}' is referred to by the requirements of both the ${partsByName[name]} and the ${part} of the request.`);
+                }
+                partsByName[name] = part;
+            }
+        }
+
+        // Each part is extracted with its parameters' paths as they are, so that the parts can be checked for conflicts before
+        // the prefix and shape options are applied. Requests always include headers that the requirements don't mention,
+        // such as host, so the strict and stripUnknown options don't apply to them.
+        let partSettings = Object.assign({}, settings, { prefix: '', shape: 'flat' }),
+            headerSettings = Object.assign({}, partSettings, { strict: false, stripUnknown: true });
+
+        let validateRequest = parts => {
+
+            return Promise.resolve()
+            .then(() => {
+
+                // The warnings of all of the parts are collected, so that the onWarning hook is called once per request.
+                let warnings = [],
+                    collectWarnings = partWarnings => warnings.push(...partWarnings);
+
+                // A part that's missing, such as the body of a request without a body parser, is treated as empty so that its
+                // required parameters are reported.
+                let results = compiledParts.map(({ part, rules }) => {
+                    let baseSettings = (part === 'headers') ? headerSettings : partSettings,
+                        collectingSettings = withWarningDetails(Object.assign({}, baseSettings, { onWarning: collectWarnings }), { location: part });
+
+                    return this._executeSafe(parts[part] || {}, rules, null, collectingSettings, async);
+                });
+
+                return whenAllSettled(results, settledResults => {
+
+                    let errors = [],
+                        extractedParams = {};
+
+                    settledResults.forEach(({ errors: partErrors, params }, index) => {
+                        let location = compiledParts[index].part;
+
+                        errors.push(...partErrors.map(error => Object.assign({ location }, error)));
+
+                        for (let path of Object.keys(params)) {
+                            let owner = partsByName[String(parsePath(path)[0])] || location;
+
+                            // Unknown parameters (when stripUnknown is false) never replace the parameters of another part.
+                            if (owner === location && !(path in extractedParams)) {
+                                extractedParams[path] = params[path];
+                            }
+                        }
+                    });
+
+                    this._reportWarnings(warnings, settings);
+
+                    if (errors.length) {
+                        return { error: this._createValidationError(settings.ValidationErrorSubclass, errors), extractedParams: null };
+                    }
+                    return { error: null, extractedParams };
+                });
+            });
+        };
+
+        let assignParams = (target, extractedParams) => {
+
+            target = this._getExtractedParamsObject(target);
+            this._assignProperties(target, extractedParams, settings.prefix, settings.shape);
+            return target;
+        };
+
+        let createErrorResponse = (error, request) => ({
+            status,
+            body: formatError ? formatError(error, request) : formatErrorResponse(error, settings.maxValueLength)
+        });
+
+        return { property, validateRequest, assignParams, createErrorResponse };
+    }
+
+    /**
+    * Implements `validate()` and `validateAsync()`.
+    *
+    * @param   {Object}      paramsProvided
+    * @param   {Array}       paramRequirements
+    * @param   {Object|null} [extractedParams]
+    * @param   {Object}      options
+    * @param   {boolean}     isAsync - Whether validation functions may return promises
+    * @returns {Object|Promise} extractedParams, or a promise for them if any of the validation functions returned promises
+    * @private
+    */
+    _validate(paramsProvided, paramRequirements, extractedParams, options, isAsync) {
+
+        let settings = this._getSettings(options);
+        return this._execute(paramsProvided, this._compileRequirements(paramRequirements), extractedParams, settings, isAsync);
+    }
+
+    /**
+    * Implements `validateSafe()` and `validateSafeAsync()`.
+    *
+    * @param   {Object}      paramsProvided
+    * @param   {Array}       paramRequirements
+    * @param   {Object|null} [extractedParams]
+    * @param   {Object}      options
+    * @param   {boolean}     isAsync - Whether validation functions may return promises
+    * @returns {Object|Promise} The `{ valid, params, errors }` result, or a promise for it if any of the validation functions
+    *                           returned promises
+    * @private
+    */
+    _validateSafe(paramsProvided, paramRequirements, extractedParams, options, isAsync) {
+
+        let settings = this._getSettings(options);
+        return this._executeSafe(paramsProvided, this._compileRequirements(paramRequirements), extractedParams, settings, isAsync);
+    }
+
+    /**
+    * Checks the options passed to `validate()`, `validateAsync()` or `compile()`.
+    *
+    * @param   {Object} options
+    * @returns {Object} settings - The options, with their defaults applied
+    * @private
+    */
+    _getSettings(options) {
+
+        let prefix = options.addPrefix || ''; // Optional prefix to be added to each parameter name.
+
+        if (typeof prefix !== 'string') {
+            throw new Error('addPrefix option must be a string if provided.');
+        }
+
+        let shape = options.shape || 'flat'; // Whether parameters at nested paths are extracted with flattened or nested names.
+
+        if (![ 'flat', 'nested' ].includes(shape)) {
+            throw new Error(`shape option must be either 'flat' or 'nested' if provided.`);
+        }
+
+        let { concurrency, timeout, strict = false, stripUnknown = true, locale = this._locale || defaultLocale,
+            sensitiveParams = defaultSensitiveParams, maxValueLength = 100, onWarning = this._onWarning } = options;
+
+        if (typeof strict !== 'boolean') {
+            throw new Error('strict option must be a boolean if provided.');
+        }
+
+        if (typeof stripUnknown !== 'boolean') {
+            throw new Error('stripUnknown option must be a boolean if provided.');
+        }
+
+        if (!(concurrency === undefined || (Number.isInteger(concurrency) && concurrency > 0))) {
+            throw new Error('concurrency option must be a positive integer if provided.');
+        }
+
+        if (!(timeout === undefined || (typeof timeout === 'number' && timeout > 0))) {
+            throw new Error('timeout option must be a positive number if provided.');
+        }
+
+        if (!(typeof locale === 'string' && locale)) {
+            throw new Error('locale option must be a non-empty string if provided.');
+        }
+
+        if (!(Array.isArray(sensitiveParams) && sensitiveParams.every(name => typeof name === 'string' || name instanceof RegExp))) {
+            throw new Error('sensitiveParams option must be an array of strings and regular expressions if provided.');
+        }
+
+        if (!(Number.isInteger(maxValueLength) && maxValueLength > 0)) {
+            throw new Error('maxValueLength option must be a positive integer if provided.');
+        }
+
+        if (!(onWarning === undefined || typeof onWarning === 'function')) {
+            throw new Error('onWarning option must be a function if provided.');
+        }
+
+        return {
+            ValidationErrorSubclass: this._getValidationErrorSubclass(options),
+            prefix,
+            shape,
+            concurrency,
+            timeout,
+            strict,
+            stripUnknown,
+            sensitiveParams,
+            maxValueLength,
+            onWarning,
+            formatMessage: createMessageFormatter(locale, this._messages, this._formatMessage)
+        };
+    }
+
+    /**
+    * Validates parameters against compiled requirements.
+    *
+    * @param   {Object}      paramsProvided
+    * @param   {Array}       rules - Compiled requirements, as returned by `_compileRequirements()`
+    * @param   {Object|null} [extractedParams]
+    * @param   {Object}      settings - As returned by `_getSettings()`
+    * @param   {boolean}     isAsync - Whether validation functions may return promises
+    * @returns {Object|Promise} extractedParams, or a promise for them if any of the validation functions returned promises
+    * @private
+    */
+    _execute(paramsProvided, rules, extractedParams, settings, isAsync) {
+
+        return whenSettled(this._executeSafe(paramsProvided, rules, extractedParams, settings, isAsync), ({ valid, params, errors }) => {
+
+            if (!valid) {
+                throw this._createValidationError(settings.ValidationErrorSubclass, errors);
+            }
+            return params;
+        });
+    }
+
+    /**
+    * Validates parameters against compiled requirements without throwing an error if they're invalid.
+    *
+    * @param   {Object}      paramsProvided
+    * @param   {Array}       rules - Compiled requirements, as returned by `_compileRequirements()`
+    * @param   {Object|null} [extractedParams]
+    * @param   {Object}      settings - As returned by `_getSettings()`
+    * @param   {boolean}     isAsync - Whether validation functions may return promises
+    * @returns {Object|Promise} The `{ valid, params, errors }` result, or a promise for it if any of the validation functions
+    *                           returned promises
+    * @private
+    */
+    _executeSafe(paramsProvided, rules, extractedParams, settings, isAsync) {
+
+        let { prefix, shape, formatMessage } = settings;
+
+        extractedParams = this._getExtractedParamsObject(extractedParams);
+
+        if (!paramsProvided) {
+        	// If only I could use the ParameterValidator here...
+            let message = formatMessage('paramsRequired', {});
+            return { valid: false, params: extractedParams, errors: [ { paramNames: [], rule: 'required', value: paramsProvided, message } ] };
+        }
+
+        let context = isAsync ? this._createAsyncContext(settings) : this._createSyncContext(settings);
+
+        return whenSettled(this._runRules(paramsProvided, rules, '', context), ({ params, errors, warnings }) => {
+
+            this._reportWarnings(warnings, settings);
+            this._assignProperties(extractedParams, params, prefix, shape);
+            return { valid: !errors.length, params: extractedParams, errors };
+        });
+    }
+
+    /**
+    * Passes the warnings of soft rules to the onWarning hook, if there are any.
+    *
+    * @param   {Array}  warnings - Details of each failed rule whose severity is 'warning'
+    * @param   {Object} settings - As returned by `_getSettings()`
+    * @private
+    */
+    _reportWarnings(warnings, settings) {
+
+        if (warnings.length && settings.onWarning) {
+            settings.onWarning(warnings);
+        }
+    }
+
+    /**
+    * Creates the context for synchronous validation, in which validation functions can't return promises.
+    *
+    * @param   {Object} settings - As returned by `_getSettings()`
+    * @returns {Object} context - Contains the settings and an invoke(validationFunction, value, path) function that calls
+    *                             validation functions
+    * @private
+    */
+    _createSyncContext(settings) {
+
+        return {
+            settings,
+            invoke(validationFunction, value, path) {
+
+                let result = validationFunction(value);
+
+                if (isThenable(result)) {
+                    // Prevent the promise from causing an unhandled rejection, since nothing will wait for it.
+                    result.then(null, () => {});
+                    throw new Error(`The validation function for the parameter ${path} returned a promise. Use validateAsync() for asynchronous validation.`);
+                }
+                return result;
+            }
+        };
+    }
+
+    /**
+    * Creates the context for asynchronous validation, which applies the concurrency and timeout options
+    * to validation functions.
+    *
+    * @param   {Object} settings - As returned by `_getSettings()`
+    * @returns {Object} context - Contains the settings and an invoke(validationFunction, value, path) function that calls
+    *                             validation functions
+    * @private
+    */
+    _createAsyncContext(settings) {
+
+        let { concurrency, timeout, formatMessage } = settings,
+            limit = createLimiter(concurrency);
+
+        return {
+            settings,
+            invoke(validationFunction, value) {
+
+                return limit(() => withTimeout(Promise.resolve(validationFunction(value)), timeout, () => {
+                    return { message: formatMessage('timeout', { timeout }) };
+                }));
+            }
+        };
+    }
+
+    /**
+    * Checks an array of requirements and converts each of them into a compiled rule.
+    *
+    * @param   {Array}  paramRequirements - Validation rules, as described for `validate()`
+    * @param   {string} [basePath] - Path of the object the requirements apply to, if it's a nested object
+    * @returns {Array}  rules - Each rule is either `{ type: 'oneOf', paramNames }`, `{ type: 'param', paramName, rule }`,
+    *                           where rule is a rule object as returned by `_normalizeParamRule()`, or a compiled combinator
+    *                           as returned by `_compileCombinator()`.
+    * @private
+    */
+    _compileRequirements(paramRequirements, basePath = '') {
+
+        if (!Array.isArray(paramRequirements)) {
+            throw new Error('paramRequirements must be an array.');
+        }
+
+        let rules = [];
+
+        for (let paramRequirement of paramRequirements) {
+
+            if (isSchema(paramRequirement) && !this._isRegisteredRuleMap(paramRequirement)) {
+                // paramRequirement is a declarative description of one or more parameters,
+                // which is compiled into the equivalent `{ paramName: rule }` object.
+                paramRequirement = compileSchema(paramRequirement);
+            }
+
+            if (paramRequirement instanceof Combinator) {
+
+                rules.push(this._compileCombinator(paramRequirement, basePath));
+
+        	} else if (Array.isArray(paramRequirement) && paramRequirement.length) {
+
+                if (!paramRequirement.every(paramName => typeof paramName === 'string' && paramName)) {
+                    throw new Error('Each parameter name in a logical OR group must be a non-empty string.');
+                }
+                rules.push({ type: 'oneOf', paramNames: paramRequirement.slice() });
+
+        	} else if (paramRequirement && typeof paramRequirement === 'object') {
+				// paramRequirement is an object with one or more keys where each key is a parameter's name
+				// and its value is either a validation function that returns true if the value is valid,
+                // a rule object, or an array of requirements for the parameter's properties.
+                for (let paramName in paramRequirement) {
+
+                    let rule = this._normalizeParamRule(joinPath(basePath, paramName), paramRequirement[paramName]);
+                    rules.push({ type: 'param', paramName, rule });
+                }
+        	} else if ((typeof paramRequirement === 'string') && paramRequirement.includes(':')) {
+                // paramRequirement is a string like 'orgId:tenantId', specifying the name of a parameter
+                // and the name of the registered rule it must pass.
+                let separatorIndex = paramRequirement.lastIndexOf(':'),
+                    paramName = paramRequirement.slice(0, separatorIndex),
+                    ruleName = paramRequirement.slice(separatorIndex + 1);
+
+                if (!paramName || !ruleName) {
+                    throw new Error(`The requirement '${paramRequirement}' must include both a parameter name and a rule name.`);
+                }
+                let rule = this._normalizeParamRule(joinPath(basePath, paramName), ruleName);
+                rules.push({ type: 'param', paramName, rule });
+
+        	} else if ((typeof paramRequirement === 'string') && paramRequirement) {
+        		// paramRequirement is a string specifying the name of a required parameter,
+        		// So use the default validation function for validation.
+                let rule = this._normalizeParamRule(joinPath(basePath, paramRequirement), {});
+                rules.push({ type: 'param', paramName: paramRequirement, rule });
+        	}
+        }
+
+        return rules;
+    }
+
+    /**
+    * Indicates whether an object that looks like a declarative description, such as `{ name: 'nonEmpty', type: 'nonEmpty' }`,
+    * is instead a `{ paramName: rule }` object in which each of the rules is the name of a registered rule. Such an object is
+    * treated as rules rather than as a description, since a description whose values are all rule names is almost never intended.
+    *
+    * @param   {Object}  paramRequirement
+    * @returns {boolean}
+    * @private
+    */
+    _isRegisteredRuleMap(paramRequirement) {
+        return Object.keys(paramRequirement).every(key => typeof paramRequirement[key] === 'string' && Boolean(this._rules[paramRequirement[key]]));
+    }
+
+    /**
+    * Compiles a rule created by one of the factories in combinators.js.
+    *
+    * @param   {Combinator} combinator
+    * @param   {string}     basePath - Path of the object the rule applies to
+    * @returns {Object}     The compiled rule. For 'when' rules, the requirements are compiled into `rules` and `otherwiseRules`.
+    * @private
+    */
+    _compileCombinator(combinator, basePath) {
+
+        if (combinator.type === 'when') {
+            let { paramName, test, requirements, otherwise } = combinator;
+
+            return {
+                type: 'when',
+                paramName,
+                test,
+                rules: this._compileRequirements(requirements, basePath),
+                otherwiseRules: this._compileRequirements(otherwise, basePath)
+            };
+        }
+        return Object.assign({}, combinator);
+    }
+
+    /**
+    * Validates the parameters in an object against compiled requirements.
+    *
+    * @param   {Object} paramsProvided - The names and values of provided parameters
+    * @param   {Array}  rules - Compiled requirements, as returned by `_compileRequirements()`
+    * @param   {string} basePath - Path of paramsProvided within the top-level params object if it's a nested object, or an empty string
+    * @param   {Object} context - Validation context, as returned by `_createSyncContext()` or `_createAsyncContext()`
+    * @returns {Array}  errors - Details of each failed rule
+    * @returns {Object} params - Extracted parameter paths & values
+    * @private
+    */
+    _runRules(paramsProvided, rules, basePath, context) {
+
+        let validationResults = this._collectRuleResults(paramsProvided, rules, basePath, context),
+            { strict, stripUnknown } = context.settings;
+
+        if (strict || !stripUnknown) {
+            validationResults.push(this._handleUnknownParams(paramsProvided, rules, basePath, context));
+        }
+        return this._mergeResults(validationResults);
+    }
+
+    /**
+    * Runs each of the compiled rules against the parameters in an object.
+    *
+    * @param   {Object} paramsProvided - The names and values of provided parameters
+    * @param   {Array}  rules - Compiled requirements, as returned by `_compileRequirements()`
+    * @param   {string} basePath - Path of paramsProvided within the top-level params object
+    * @param   {Object} context - Validation context
+    * @returns {Array}  validationResults - The result of each rule, or a promise for it
+    * @private
+    */
+    _collectRuleResults(paramsProvided, rules, basePath, context) {
+
+        return rules.map(compiledRule => {
+
+            switch (compiledRule.type) {
+                case 'oneOf':
+                    return this._performLogicalOrParamValidation(paramsProvided, compiledRule.paramNames, basePath, context);
+                case 'param':
+                    return this._executeValidationFunction(paramsProvided, compiledRule.paramName, compiledRule.rule, basePath, context);
+                case 'when':
+                    return this._performConditionalValidation(paramsProvided, compiledRule, basePath, context);
+                default:
+                    return this._performGroupValidation(paramsProvided, compiledRule, basePath, context);
+            }
+        });
+    }
+
+    /**
+    * Combines the results of multiple rules.
+    *
+    * @param   {Array}  validationResults - Results of the rules, any of which may be promises in asynchronous validation
+    * @returns {Array}  errors - Details of each failed rule
+    * @returns {Object} params - Extracted parameter paths & values
+    * @private
+    */
+    _mergeResults(validationResults) {
+
+        // In asynchronous validation, the results may be promises, in which case the rules are run concurrently.
+        return whenAllSettled(validationResults, settledResults => {
+
+            let params = {},
+                errors = [],
+                warnings = [];
+
+            for (let validationResult of settledResults) {
+                Object.assign(params, validationResult.params);
+                errors.push(...validationResult.errors);
+                warnings.push(...(validationResult.warnings || []));
+            }
+            return { params, errors, warnings };
+        });
+    }
+
+    /**
+    * Finds the parameters that none of the rules refer to, and either reports them as errors (in strict mode)
+    * or extracts them as they are (when the stripUnknown option is false).
+    *
+    * @param   {Object}  paramsProvided - The names and values of provided parameters
+    * @param   {Array}   rules - Compiled requirements for paramsProvided
+    * @param   {string}  basePath - Path of paramsProvided within the top-level params object
+    * @param   {Object}  context - Validation context, whose settings determine whether unknown parameters are errors
+    * @returns {Array}   errors - Details of each unknown parameter, in strict mode
+    * @returns {Object}  params - The unknown parameters' paths & values, if they aren't errors
+    * @private
+    */
+    _handleUnknownParams(paramsProvided, rules, basePath, context) {
+        return this._findUnknownParams(paramsProvided, getReferencedNames(rules), basePath, context);
+    }
+
+    /**
+    * Implements `_handleUnknownParams()` given the names the rules refer to. The properties of an object that's only referred
+    * to by paths, like `'user.name'`, are checked against those paths, so that the rest of the object isn't treated as known.
+    *
+    * @param   {Object}  paramsProvided - The names and values of provided parameters
+    * @param   {Array}   knownNames - Names and paths of the parameters, relative to paramsProvided
+    * @param   {string}  basePath - Path of paramsProvided within the top-level params object
+    * @param   {Object}  context - Validation context
+    * @returns {Array}   errors - Details of each unknown parameter, in strict mode
+    * @returns {Object}  params - The unknown parameters' paths & values, if they aren't errors
+    * @private
+    */
+    _findUnknownParams(paramsProvided, knownNames, basePath, context) {
+
+        let { strict, formatMessage } = context.settings,
+            nestedNames = {},
+            errors = [],
+            params = {};
+
+        for (let name of knownNames) {
+            let [ firstSegment, ...segments ] = parsePath(name),
+                key = String(firstSegment);
+
+            if (name !== key && segments.length) {
+                nestedNames[key] = nestedNames[key] || [];
+                nestedNames[key].push(formatPath(segments));
+            }
+        }
+
+        for (let key of Object.keys(paramsProvided)) {
+
+            if (knownNames.includes(key)) {
+                continue;
+            }
+            let value = paramsProvided[key],
+                path = joinPath(basePath, Array.isArray(paramsProvided) ? `[${key}]` : key);
+
+            if (nestedNames[key]) {
+
+                if (value !== null && typeof value === 'object') {
+                    let nestedResult = this._findUnknownParams(value, nestedNames[key], path, context);
+
+                    errors.push(...nestedResult.errors);
+                    Object.assign(params, nestedResult.params);
+                }
+                continue;
+            }
+
+            if (strict) {
+                let sensitive = this._isSensitive(path, null, context);
+
+                errors.push({
+                    paramNames: [ path ],
+                    rule: 'unknown',
+                    value: sensitive ? redactedValue : value,
+                    message: formatMessage('unknown', { path, value: this._previewValue(value, sensitive, context) })
+                });
+            } else {
+                params[path] = value;
+            }
+        }
+        return { errors, params };
+    }
+
+    /**
+    * Returns isDefined() as the defaultValidation if a custom one was not provided.
+    */
+    get defaultValidation() {
+        return this._defaultValidation || this.isDefined;
+    }
+
+    /**
+    * Like Object.assign(), but with the ability to add an optional prefix to the property names.
+    *
+    * @param {Object} targetObject
+    * @param {Object} propertiesToAdd
+    * @param {string} [prefix]
+    * @param {string} [shape] - 'flat' to assign nested parameters using their full paths as property names
+    *                           (e.g. `'user.name'`), or 'nested' to rebuild the nested objects they came from.
+    */
+    _assignProperties(targetObject, propertiesToAdd, prefix = '', shape = 'flat') {
+
+        for (let propertyName in propertiesToAdd) {
+
+            if (shape === 'nested' && isPath(propertyName)) {
+                let [ firstSegment, ...segments ] = parsePath(propertyName);
+                setPath(targetObject, [ prefix + firstSegment, ...segments ], propertiesToAdd[propertyName]);
+            } else {
+                targetObject[prefix + propertyName] = propertiesToAdd[propertyName];
+            }
+        }
+    }
+
+    /**
+    * Determines the correct object to use for extractedParams based on what the client provided.
+    *
+    * @param   {Object|Function|null|undefined} - extractedParams argument provided to `validate()`
+    * @returns {Object|Function}
+    * @private
+    */
+    _getExtractedParamsObject(extractedParams) {
+
+        if ([ null, undefined ].includes(extractedParams)) {
+            // The client either didn't provide an extractedParams argument or explicitly set
+            // it to null, so just use a new object.
+            return {};
+        }
+
+        if ([ 'object', 'function' ].includes(typeof extractedParams)) {
+            // The client provided an existing object or function on which we'll set the extracted params.
+            return extractedParams;
+        }
+
+        throw new Error(`Invalid value of '${extractedParams}' was provided for the extractedParams parameter.`);
+    }
+
+    /**
+    * Determines whether to use the default ParameterValidationError or a custom
+    * error subclass passed to `validate()`.
+    *
+    * @param   {options} [options] - options that were passed to `validate()`
+    * @param   {class}   [options.errorClass]
+    * @returns {class}
+    * @private
+    */
+    _getValidationErrorSubclass(options) {
+
+        if ((typeof options !== 'object') || (options.errorClass === undefined)) {
+            return ParameterValidationError;
+        }
+        let { errorClass } = options;
+        // Verify that errorClass is Error or an Error subclass.
+        if (errorClass === Error || errorClass.prototype instanceof Error) {
+            return errorClass;
+        }
+        throw new Error(`The errorClass provided was of type ${typeof errorClass} and was not an Error subclass.`);
+    }
+
+    /**
+    * Creates the error thrown by `validate()`, with a message that combines the messages of all of the failed rules.
+    *
+    * @param   {class} ValidationErrorSubclass
+    * @param   {Array} errors - Details of each failed rule
+    * @returns {Error}
+    * @private
+    */
+    _createValidationError(ValidationErrorSubclass, errors) {
+
+        let message = errors.map(error => error.message).join(' '),
+            error = new ValidationErrorSubclass(message, errors);
+
+        if (!Array.isArray(error.errors)) {
+            // Custom error classes aren't required to accept the errors argument.
+            error.errors = errors;
+        }
+        return error;
+    }
+
+    /*
+    * @param 	{Object} 	paramsProvided - The names and values of provided parameters
+    * @param 	{Array} 	paramNames - Names of parameters, only one of which is required.
+    * @param    {string}    basePath - Path of paramsProvided within the top-level params object
+    * @param    {Object}    context - Validation context
+    * @returns 	{Array} 	errors - Details of each failed rule
+    * @returns  {Object}    params - Extracted parameter paths & values.
+    */
+    _performLogicalOrParamValidation(paramsProvided, paramNames, basePath, context) {
+        let extractedParams = {},
+            errors = [],
+            isValid = this.defaultValidation,
+            paths = paramNames.map(paramName => joinPath(basePath, paramName));
+
+		paramNames.forEach((paramName, index) => {
+            let value = getPath(paramsProvided, paramName);
+
+			if (isValid(value)) {
+                extractedParams[paths[index]] = value;
+			}
+		});
+
+		if (!Object.keys(extractedParams).length) {
+			let errorMessage = context.settings.formatMessage('oneOf', { paramNames: formatPathList(paths) });
+			errors.push({ paramNames: paths, rule: 'oneOf', message: errorMessage });
+		}
+
+		return {
+            errors: errors,
+            params: extractedParams
+        };
+    }
+
+    /**
+    * Validates the rules created by the xor(), allOrNone() and forbiddenWith() combinators.
+    *
+    * @param   {Object} paramsProvided - The names and values of provided parameters
+    * @param   {Object} compiledRule - As returned by `_compileCombinator()`
+    * @param   {string} basePath - Path of paramsProvided within the top-level params object
+    * @param   {Object} context - Validation context
+    * @returns {Array}  errors - Details of each failed rule
+    * @returns {Object} params - Extracted parameter paths & values
+    * @private
+    */
+    _performGroupValidation(paramsProvided, compiledRule, basePath, context) {
+
+        let { type } = compiledRule,
+            { formatMessage } = context.settings,
+            paramNames = (type === 'forbiddenWith') ? [ compiledRule.paramName, ...compiledRule.otherParamNames ] : compiledRule.paramNames,
+            paths = paramNames.map(paramName => joinPath(basePath, paramName)),
+            pathList = formatPathList(paths),
+            isValid = this.defaultValidation,
+            includedParams = {},
+            errors = [];
+
+        paramNames.forEach((paramName, index) => {
+            let value = getPath(paramsProvided, paramName);
+
+            if (isValid(value)) {
+                includedParams[paths[index]] = value;
+            }
+        });
+
+        let includedPaths = Object.keys(includedParams);
+
+        if (type === 'xor' && includedPaths.length !== 1) {
+            errors.push({ paramNames: paths, rule: type, message: formatMessage(type, { paramNames: pathList }) });
+        }
+
+        if (type === 'allOrNone' && ![ 0, paths.length ].includes(includedPaths.length)) {
+            errors.push({ paramNames: paths, rule: type, message: formatMessage(type, { paramNames: pathList }) });
+        }
+
+        if (type === 'forbiddenWith') {
+            let [ path, ...otherPaths ] = paths,
+                includedOtherPaths = otherPaths.filter(otherPath => includedPaths.includes(otherPath));
+
+            if (includedPaths.includes(path) && includedOtherPaths.length) {
+                errors.push({
+                    paramNames: [ path, ...includedOtherPaths ],
+                    rule: type,
+                    message: formatMessage(type, { path, otherParamNames: formatPathList(includedOtherPaths) })
+                });
+            }
+            // forbiddenWith() only constrains which parameters are included, so it doesn't extract any.
+            includedParams = {};
+        }
+
+        return {
+            errors,
+            params: errors.length ? {} : includedParams
+        };
+    }
+
+    /**
+    * Validates the rules created by the when() combinator.
+    *
+    * @param   {Object} paramsProvided - The names and values of provided parameters
+    * @param   {Object} compiledRule - As returned by `_compileCombinator()`
+    * @param   {string} basePath - Path of paramsProvided within the top-level params object
+    * @param   {Object} context - Validation context
+    * @returns {Array}  errors - Details of each failed rule
+    * @returns {Object} params - Extracted parameter paths & values
+    * @private
+    */
+    _performConditionalValidation(paramsProvided, compiledRule, basePath, context) {
+
+        let value = getPath(paramsProvided, compiledRule.paramName),
+            rules = compiledRule.test(value) ? compiledRule.rules : compiledRule.otherwiseRules;
+
+        return this._mergeResults(this._collectRuleResults(paramsProvided, rules, basePath, context));
+    }
+
+    /**
+    * Converts the value of a `{ paramName: requirement }` rule into a rule object.
+    *
+    * @param   {string}          paramName
+    * @param   {function|Object|Array} requirement - A validation function, an array of requirements for the properties of the
+    *                                          parameter's value, or a rule object with the following optional properties:
+    *                                          - validate {function}        - Validation function (defaults to the defaultValidation)
+    *                                          - message  {string|function} - Message to use when the parameter is invalid, or a function
+    *                                                                         that returns one given the parameter's value and path
+    *                                          - optional {boolean}         - Whether the parameter may be omitted, in which case it's only
+    *                                                                         validated when it's provided
+    *                                          - default  {*}               - Value to extract when the parameter is omitted. Providing a
+    *                                                                         default makes the parameter optional.
+    *                                          - transform {function|Array} - Function(s) applied in order to coerce or transform the
+    *                                                                         value before it's validated and extracted. A transform that
+    *                                                                         throws an error indicates that the value is invalid.
+    *                                          - requirements {Array}       - Requirements for the properties of the parameter's value,
+    *                                                                         which must be an object. The properties are extracted
+    *                                                                         individually instead of the object as a whole.
+    *                                          - sensitive {boolean}        - Whether the value (and the values of its properties) is
+    *                                                                         redacted in errors, regardless of the sensitiveParams option
+    *                                          - aliases {string|Array}     - Other names of the parameter, such as its names before it was
+    *                                                                         renamed. The value of an alias is used when the parameter is
+    *                                                                         omitted, and the use of an alias is reported as a warning.
+    *                                          - description {string}       - Describes the parameter in the documentation produced by
+    *                                                                         `describeRequirements()`
+    * @returns {Object}          rule - Contains the validate function, the kind of rule and optional message
+    * @private
+    */
+    _normalizeParamRule(paramName, requirement) {
+
+        if (typeof requirement === 'function') {
+            return this._normalizeParamRule(paramName, { validate: requirement });
+        }
+
+        if (Array.isArray(requirement)) {
+            return this._normalizeParamRule(paramName, { requirements: requirement });
+        }
+
+        if (typeof requirement === 'string') {
+            return this._normalizeParamRule(paramName, { validate: requirement });
+        }
+
+        if (!requirement || typeof requirement !== 'object') {
+            throw new Error(`A paramRequirement value provided for the parameter ${paramName} is not a function.`);
+        }
+
+        let ruleName;
+
+        if (typeof requirement.validate === 'string') {
+            let registeredRule = this._rules[requirement.validate];
+
+            if (!registeredRule) {
+                throw new Error(`The rule '${requirement.validate}' provided for the parameter ${paramName} is not registered.`);
+            }
+            // The registered rule's options are defaults, which the parameter's rule object can override.
+            ruleName = requirement.validate;
+            requirement = Object.assign({}, registeredRule, requirement, { validate: registeredRule.validate });
+        }
+
+        let { validate, message, optional, transform = [], requirements, sensitive, severity = 'error', aliases = [], description, items,
+                minItems, maxItems, uniqueItems } = requirement,
+            transforms = Array.isArray(transform) ? transform : [ transform ];
+
+        if (typeof aliases === 'string') {
+            aliases = [ aliases ];
+        }
+
+        for (let key in requirement) {
+            if (!paramRuleKeys.includes(key)) {
+                throw new Error(`The rule provided for the parameter ${paramName} has an unsupported property '${key}'.`);
+            }
+        }
+
+        if (!(validate === undefined || typeof validate === 'function')) {
+            throw new Error(`The validate property of the rule provided for the parameter ${paramName} is not a function.`);
+        }
+
+        if (!(message === undefined || [ 'string', 'function' ].includes(typeof message))) {
+            throw new Error(`The message property of the rule provided for the parameter ${paramName} must be a string or function.`);
+        }
+
+        if (!(optional === undefined || typeof optional === 'boolean')) {
+            throw new Error(`The optional property of the rule provided for the parameter ${paramName} must be a boolean.`);
+        }
+
+        if (!transforms.every(transformFunction => typeof transformFunction === 'function')) {
+            throw new Error(`The transform property of the rule provided for the parameter ${paramName} must be a function or an array of functions.`);
+        }
+
+        if (!(requirements === undefined || Array.isArray(requirements))) {
+            throw new Error(`The requirements property of the rule provided for the parameter ${paramName} must be an array.`);
+        }
+
+        if (!(sensitive === undefined || typeof sensitive === 'boolean')) {
+            throw new Error(`The sensitive property of the rule provided for the parameter ${paramName} must be a boolean.`);
+        }
+
+        if (!ruleSeverities.includes(severity)) {
+            throw new Error(`The severity property of the rule provided for the parameter ${paramName} must be either 'error' or 'warning'.`);
+        }
+
+        if (!(Array.isArray(aliases) && aliases.every(alias => typeof alias === 'string' && alias.length))) {
+            throw new Error(`The aliases property of the rule provided for the parameter ${paramName} must be a non-empty string or an array of them.`);
+        }
+
+        if (!(description === undefined || typeof description === 'string')) {
+            throw new Error(`The description property of the rule provided for the parameter ${paramName} must be a string.`);
+        }
+
+        if (!(minItems === undefined || (Number.isInteger(minItems) && minItems >= 0))) {
+            throw new Error(`The minItems property of the rule provided for the parameter ${paramName} must be a non-negative integer.`);
+        }
+
+        if (!(maxItems === undefined || (Number.isInteger(maxItems) && maxItems >= 0))) {
+            throw new Error(`The maxItems property of the rule provided for the parameter ${paramName} must be a non-negative integer.`);
+        }
+
+        if (minItems !== undefined && maxItems !== undefined && minItems > maxItems) {
+            throw new Error(`The minItems property of the rule provided for the parameter ${paramName} must not exceed its maxItems property.`);
+        }
+
+        if (!(uniqueItems === undefined || [ 'boolean', 'function' ].includes(typeof uniqueItems))) {
+            throw new Error(`The uniqueItems property of the rule provided for the parameter ${paramName} must be a boolean or function.`);
+        }
+
+        let isCollection = [ items, minItems, maxItems, uniqueItems ].some(property => property !== undefined);
+
+        if (isCollection && requirements !== undefined) {
+            throw new Error(`The rule provided for the parameter ${paramName} can't have both requirements and collection rules.`);
+        }
+
+        let hasDefault = Object.prototype.hasOwnProperty.call(requirement, 'default');
+
+        return {
+            validate: validate || this.defaultValidation,
+            kind: validate ? 'custom' : 'required',
+            message,
+            transforms,
+            optional: Boolean(optional || hasDefault),
+            hasDefault,
+            defaultValue: requirement.default,
+            requirements: requirements && this._compileRequirements(requirements, paramName),
+            sensitive,
+            severity,
+            aliases,
+            description,
+            ruleName,
+            collection: isCollection ? {
+                // The rule for the items is compiled like the rule of a parameter, such as `tags[]`.
+                items: (items === undefined) ? undefined : this._normalizeParamRule(`${paramName}[]`, items),
+                minItems,
+                maxItems,
+                uniqueItems: uniqueItems || false
+            } : undefined
+        };
+    }
+
+    /*
+    * @param 	{Object} 	paramsProvided - The names and values of provided parameters
+    * @param 	{string} 	paramName - The parameter's name or path
+    * @param    {Object}    rule - Rule object, as returned by `_normalizeParamRule()`
+    * @param    {string}    basePath - Path of paramsProvided within the top-level params object
+    * @param    {Object}    context - Validation context
+    * @returns 	{Array} 	errors - Details of each failed rule
+    * @returns  {Object}    params - Extracted parameter paths & values
+    */
+    _executeValidationFunction(paramsProvided, paramName, rule, basePath, context) {
+        let path = joinPath(basePath, paramName),
+            value = getPath(paramsProvided, paramName);
+
+        if (!rule.aliases.length) {
+            return this._validateParam(value, path, rule, context);
+        }
+
+        let aliasResult = this._resolveAliases(paramsProvided, paramName, rule, basePath, context);
+
+        if (aliasResult.errors.length) {
+            return this._applySeverity(rule, path, aliasResult.value, { errors: aliasResult.errors, warnings: aliasResult.warnings, params: {} });
+        }
+
+        return whenSettled(this._validateParam(aliasResult.value, path, rule, context), result => {
+            return Object.assign({}, result, { warnings: aliasResult.warnings.concat(result.warnings || []) });
+        });
+    }
+
+    /**
+    * Looks up the value of a parameter that has aliases. If the parameter is omitted, the value of the first of its aliases
+    * that's provided is used instead. Each alias that's provided is reported as a warning, and is an error if its value is
+    * different from the parameter's.
+    *
+    * @param   {Object} paramsProvided - The names and values of provided parameters
+    * @param   {string} paramName - The parameter's name or path
+    * @param   {Object} rule - Rule object, as returned by `_normalizeParamRule()`
+    * @param   {string} basePath - Path of paramsProvided within the top-level params object
+    * @param   {Object} context - Validation context
+    * @returns {*}      value - The value of the parameter or of its alias
+    * @returns {Array}  errors - Details of each alias that was provided with a conflicting value
+    * @returns {Array}  warnings - Details of each alias that was provided
+    * @private
+    */
+    _resolveAliases(paramsProvided, paramName, rule, basePath, context) {
+
+        let { formatMessage } = context.settings,
+            path = joinPath(basePath, paramName),
+            value = getPath(paramsProvided, paramName),
+            errors = [],
+            warnings = [];
+
+        for (let alias of rule.aliases) {
+            let aliasPath = joinPath(basePath, alias),
+                aliasValue = getPath(paramsProvided, alias);
+
+            if (aliasValue === undefined) {
+                continue;
+            }
+
+            warnings.push({
+                paramNames: [ aliasPath, path ],
+                rule: 'deprecatedAlias',
+                message: formatMessage('deprecatedAlias', { path, alias: aliasPath }),
+                severity: 'warning'
+            });
+
+            if (value === undefined) {
+                value = aliasValue;
+            } else if (!isEqualValue(aliasValue, value)) {
+                errors.push({
+                    paramNames: [ path, aliasPath ],
+                    rule: 'aliasConflict',
+                    message: formatMessage('aliasConflict', { path, alias: aliasPath })
+                });
+            }
+        }
+        return { value, errors, warnings };
+    }
+
+    /*
+    * Validates and extracts the value of a parameter.
+    *
+    * @param    {*}         value - The parameter's value
+    * @param    {string}    path - The parameter's path
+    * @param    {Object}    rule - Rule object, as returned by `_normalizeParamRule()`
+    * @param    {Object}    context - Validation context
+    * @returns  {Array}     errors - Details of each failed rule
+    * @returns  {Object}    params - Extracted parameter paths & values
+    */
+    _validateParam(value, path, rule, context) {
+
+        if (rule.optional && value === undefined) {
+            // Optional parameters are only validated if they're provided.
+            return {
+                errors: [],
+                params: rule.hasDefault ? { [path]: rule.defaultValue } : {}
+            };
+        }
+
+        let rawValue = value;
+
+        if (rule.transforms.length && value !== undefined) {
+            try {
+                for (let transform of rule.transforms) {
+                    value = transform(value);
+                }
+            } catch (error) {
+                return this._applySeverity(rule, path, rawValue, {
+                    errors: [ this._createTransformError(rule, path, value, rawValue, error, context) ],
+                    params: {}
+                });
+            }
+        }
+
+        return whenSettled(context.invoke(rule.validate, value, path), result => {
+            var errors = [];
+            var extractedParams = {};
+
+            if (result === true && (rule.requirements || rule.collection)) {
+                // The properties and items of a sensitive parameter are sensitive too.
+                let propertyContext = this._isSensitive(path, rule, context) ? Object.assign({}, context, { sensitive: true }) : context,
+                    nestedResult = rule.collection ?
+                        this._validateCollection(value, rule, path, propertyContext) :
+                        this._validatePropertyRequirements(value, rule.requirements, path, propertyContext);
+
+                return whenSettled(nestedResult, settledResult => this._applySeverity(rule, path, value, settledResult));
+            } else if (result === true) {
+                extractedParams[path] = value;
+            } else {
+                errors.push(this._createRuleError(rule, path, value, rawValue, result, context));
+            }
+
+            return this._applySeverity(rule, path, value, {
+                errors: errors,
+                params: extractedParams
+            });
+        });
+    }
+
+    /**
+    * Turns the failures of a rule whose severity is 'warning' into warnings, which don't make the parameters invalid.
+    * The parameter is still extracted, with the value it had when it failed.
+    *
+    * @param   {Object} rule - Rule object, as returned by `_normalizeParamRule()`
+    * @param   {string} path - The parameter's path
+    * @param   {*}      value - The parameter's value
+    * @param   {Object} result - The `{ errors, params, [warnings] }` result of the rule
+    * @returns {Object} The result, with the errors moved to its warnings if the rule is a warning
+    * @private
+    */
+    _applySeverity(rule, path, value, result) {
+
+        if (rule.severity !== 'warning' || !result.errors.length) {
+            return result;
+        }
+        let warnings = result.errors.map(error => Object.assign({}, error, { severity: 'warning' }));
+
+        return {
+            errors: [],
+            warnings: warnings.concat(result.warnings || []),
+            params: (value === undefined) ? {} : { [path]: value }
+        };
+    }
+
+    /**
+    * Validates the properties of a nested object parameter, such as `{ user: [ 'name', 'email' ] }`.
+    *
+    * @param   {Object} value - The parameter's value
+    * @param   {Array}  rules - Compiled requirements for the object's properties
+    * @param   {string} path - The parameter's path
+    * @param   {Object} context - Validation context
+    * @returns {Array}  errors - Details of each failed rule
+    * @returns {Object} params - Extracted parameter paths & values
+    * @private
+    */
+    _validatePropertyRequirements(value, rules, path, context) {
+
+        if (value === null || typeof value !== 'object') {
+            let sensitive = this._isSensitive(path, null, context);
+
+            return {
+                errors: [ {
+                    paramNames: [ path ],
+                    rule: 'required',
+                    value: sensitive ? redactedValue : value,
+                    message: context.settings.formatMessage('invalid', { path, value: this._previewValue(value, sensitive, context) })
+                } ],
+                params: {}
+            };
+        }
+        return this._runRules(value, rules, path, context);
+    }
+
+    /**
+    * Validates an array against a rule's collection rules, such as `{ items: validators.isString, maxItems: 10 }`.
+    * Each of the items is validated like a parameter, with a path like `'tags[2]'`.
+    *
+    * @param   {*}      value - The parameter's value
+    * @param   {Object} rule - Rule object, as returned by `_normalizeParamRule()`
+    * @param   {string} path - The parameter's path
+    * @param   {Object} context - Validation context
+    * @returns {Array}  errors - Details of each failed rule
+    * @returns {Object} params - The parameter's path & value, which contains the items after any transforms
+    * @private
+    */
+    _validateCollection(value, rule, path, context) {
+
+        let { items, minItems, maxItems, uniqueItems } = rule.collection;
+
+        if (!Array.isArray(value)) {
+            return { errors: [ this._createCollectionError(rule, 'custom', path, value, 'an array', context) ], params: {} };
+        }
+
+        let errors = [];
+
+        if (minItems !== undefined && value.length < minItems) {
+            errors.push(this._createCollectionError(rule, 'minItems', path, value, `at least ${formatCount(minItems, 'item')}`, context));
+        }
+        if (maxItems !== undefined && value.length > maxItems) {
+            errors.push(this._createCollectionError(rule, 'maxItems', path, value, `at most ${formatCount(maxItems, 'item')}`, context));
+        }
+
+        let itemResults = items ? value.map((item, index) => this._executeValidationFunction(value, `[${index}]`, items, path, context)) : [];
+
+        return whenSettled(this._mergeResults(itemResults), ({ params, errors: itemErrors, warnings }) => {
+
+            errors.push(...itemErrors);
+
+            if (errors.length) {
+                return { errors, params: {}, warnings };
+            }
+
+            let extractedItems = items ? value.map((item, index) => {
+                let itemPath = `${path}[${index}]`;
+                return getExtractedValue(params, itemPath, items.requirements || items.collection ? item : undefined);
+            }) : value.slice();
+
+            if (uniqueItems) {
+                let keys = new Set();
+
+                extractedItems.forEach((item, index) => {
+                    let key = (typeof uniqueItems === 'function') ? uniqueItems(item) : item;
+
+                    if (keys.has(key)) {
+                        errors.push(this._createCollectionError(rule, 'uniqueItems', `${path}[${index}]`, item, 'a unique item', context));
+                    }
+                    keys.add(key);
+                });
+            }
+            return { errors, params: errors.length ? {} : { [path]: extractedItems }, warnings };
+        });
+    }
+
+    /**
+    * Describes an array that failed one of the collection rules, or one of its items that isn't unique.
+    *
+    * @param   {Object} rule - Rule object, as returned by `_normalizeParamRule()`
+    * @param   {string} kind - The kind of rule that failed, such as 'minItems'
+    * @param   {string} path - The path of the parameter or item
+    * @param   {*}      value - The value of the parameter or item
+    * @param   {string} expected - Description of a valid value
+    * @param   {Object} context - Validation context
+    * @returns {Object} error - Details of the failed rule
+    * @private
+    */
+    _createCollectionError(rule, kind, path, value, expected, context) {
+
+        let sensitive = this._isSensitive(path, rule, context),
+            messageData = { path, value: this._previewValue(value, sensitive, context), expected },
+            message;
+
+        if (rule.message) {
+            message = (typeof rule.message === 'function') ? rule.message(value, path) : rule.message;
+        } else {
+            message = context.settings.formatMessage('invalidExpected', messageData);
+        }
+
+        return { paramNames: [ path ], rule: kind, value: sensitive ? redactedValue : value, expected, message };
+    }
+
+    /**
+    * Describes a parameter that failed its validation function.
+    *
+    * @param   {Object} rule - Rule object, as returned by `_normalizeParamRule()`
+    * @param   {string} path - The parameter's path
+    * @param   {*}      value - The parameter's value, after any transforms were applied
+    * @param   {*}      rawValue - The parameter's value as it was provided
+    * @param   {*}      result - The value returned by the validation function. A string or an object with a
+    *                            message property is interpretted as the reason the value is invalid.
+    * @param   {Object} context - Validation context
+    * @returns {Object} error - Details of the failed rule
+    * @private
+    */
+    _createRuleError(rule, path, value, rawValue, result, context) {
+
+        let { expected } = rule.validate,
+            { formatMessage } = context.settings,
+            reason = (result && typeof result === 'object') ? result.message : result,
+            sensitive = this._isSensitive(path, rule, context),
+            messageName = 'invalid',
+            messageData = { path, value: this._previewValue(rawValue, sensitive, context) },
+            error = {
+                paramNames: [ path ],
+                rule: rule.kind,
+                value: sensitive ? redactedValue : value
+            };
+
+        if (rule.transforms.length) {
+            error.rawValue = sensitive ? redactedValue : rawValue;
+        }
+
+        if (expected) {
+            // Validators like the ones in the validators library describe what they expect,
+            // which makes for a more helpful message.
+            error.expected = expected;
+            messageName = 'invalidExpected';
+            messageData.expected = expected;
+        }
+
+        if (reason && typeof reason === 'string') {
+            error.reason = reason;
+            messageName = 'invalidReason';
+            messageData.reason = reason.replace(/\.$/, '');
+        }
+
+        if (rule.message) {
+            error.message = (typeof rule.message === 'function') ? rule.message(value, path) : rule.message;
+        } else {
+            error.message = formatMessage(messageName, messageData);
+        }
+        return error;
+    }
+
+    /**
+    * Describes a parameter whose value couldn't be transformed.
+    *
+    * @param   {Object} rule - Rule object, as returned by `_normalizeParamRule()`
+    * @param   {string} path - The parameter's path
+    * @param   {*}      value - The parameter's value as of the transform that failed
+    * @param   {*}      rawValue - The parameter's value as it was provided
+    * @param   {Error}  transformError - The error thrown by the transform
+    * @param   {Object} context - Validation context
+    * @returns {Object} error - Details of the failed rule
+    * @private
+    */
+    _createTransformError(rule, path, value, rawValue, transformError, context) {
+
+        let reason = String(transformError && transformError.message || transformError),
+            sensitive = this._isSensitive(path, rule, context),
+            messageData = { path, value: this._previewValue(rawValue, sensitive, context), reason: reason.replace(/\.$/, '') };
+
+        return {
+            paramNames: [ path ],
+            rule: 'transform',
+            value: sensitive ? redactedValue : value,
+            rawValue: sensitive ? redactedValue : rawValue,
+            reason,
+            message: context.settings.formatMessage('invalidReason', messageData)
+        };
+    }
+
+    /**
+    * Indicates whether a parameter's value should be redacted in errors.
+    *
+    * @param   {string}      path - The parameter's path
+    * @param   {Object|null} rule - The parameter's rule object, if it has one. Its sensitive property takes precedence over
+    *                               the sensitiveParams option.
+    * @param   {Object}      context - Validation context, which is marked as sensitive within the properties of a sensitive parameter
+    * @returns {boolean}
+    * @private
+    */
+    _isSensitive(path, rule, context) {
+
+        if (context.sensitive) {
+            return true;
+        }
+        if (rule && rule.sensitive !== undefined) {
+            return rule.sensitive;
+        }
+        return isSensitivePath(path, context.settings.sensitiveParams);
+    }
+
+    /**
+    * @param   {*}       value
+    * @param   {boolean} sensitive - Whether the value should be redacted
+    * @param   {Object}  context - Validation context
+    * @returns {string}  The value as it should appear in error messages
+    * @private
+    */
+    _previewValue(value, sensitive, context) {
+        return sensitive ? redactedValue : previewValue(value, context.settings.maxValueLength);
+    }
+
+    isDefined(value) {
+        return value !== undefined;
+    }
+}
+
+/**
+* Adds the result of validating one of the items in `validateEach()` or `validateEachAsync()` to the batch's result.
+*
+* @param   {Object}  batchResult
+* @param   {number}  index - The item's index
+* @param   {Object}  itemResult - As returned by `_executeSafe()`
+* @returns {boolean} Whether the item is valid
+*/
+function addBatchItemResult(batchResult, index, itemResult) {
+
+    if (itemResult.valid) {
+        batchResult.params.push(itemResult.params);
+    } else {
+        batchResult.valid = false;
+        batchResult.errors[index] = itemResult.errors;
+    }
+    return itemResult.valid;
+}
+
+/**
+* Returns a copy of the settings whose onWarning hook adds details to each warning, such as the index of an item in a batch
+* or the part of a request, like those added to errors.
+*
+* @param   {Object} settings - As returned by `_getSettings()`
+* @param   {Object} details - e.g. `{ index: 3 }`
+* @returns {Object} settings
+*/
+function withWarningDetails(settings, details) {
+
+    let { onWarning } = settings;
+
+    if (!onWarning) {
+        return settings;
+    }
+    return Object.assign({}, settings, { onWarning: warnings => onWarning(warnings.map(warning => Object.assign({}, details, warning))) });
+}
+
+/**
+* Gets the value extracted for a parameter. If the parameter's properties were validated by nested requirements, its
+* properties were extracted individually with paths like `'user.name'`, so they're assembled into a new object.
+*
+* @param   {Object} params - Extracted parameter paths & values
+* @param   {string} name - The parameter's name
+* @param   {*}      [providedValue] - The value that was provided, if the parameter has nested requirements
+* @returns {*}
+*/
+function getExtractedValue(params, name, providedValue) {
+
+    if (Object.prototype.hasOwnProperty.call(params, name)) {
+        return params[name];
+    }
+
+    if (providedValue === null || typeof providedValue !== 'object') {
+        return undefined;
+    }
+
+    let value = Array.isArray(providedValue) ? [] : {};
+
+    for (let path of Object.keys(params)) {
+        // The paths were joined onto the name, so the rest of the path is parsed without the name, which may look like a path.
+        let propertyPath = path.slice(name.length);
+
+        if (path.startsWith(name) && [ '.', '[' ].includes(propertyPath[0])) {
+            setPath(value, parsePath(propertyPath), params[path]);
+        }
+    }
+    return value;
+}
+
+/**
+* Lists the names of all of the parameters that compiled rules refer to, including the rules within when() combinators.
+*
+* @param   {Array} rules - Compiled requirements
+* @returns {Array} names
+*/
+function getReferencedNames(rules) {
+
+    let names = [];
+
+    for (let compiledRule of rules) {
+        let { paramName, paramNames = [], otherParamNames = [] } = compiledRule;
+
+        if (paramName) {
+            names.push(paramName);
+        }
+        if (compiledRule.type === 'param') {
+            names.push(...compiledRule.rule.aliases);
+        }
+        names.push(...paramNames, ...otherParamNames);
+
+        if (compiledRule.type === 'when') {
+            names.push(...getReferencedNames(compiledRule.rules), ...getReferencedNames(compiledRule.otherwiseRules));
+        }
+    }
+    return names;
+}
+
+/**
+* Compares values structurally, so that an alias and its parameter can both be given equal arrays or objects, such as by a
+* query string parser. Other values are compared with `===`.
+*
+* @param   {*}       value
+* @param   {*}       otherValue
+* @returns {boolean}
+*/
+function isEqualValue(value, otherValue) {
+
+    if (Array.isArray(value) && Array.isArray(otherValue)) {
+        return value.length === otherValue.length && value.every((item, index) => isEqualValue(item, otherValue[index]));
+    }
+
+    if (isPlainObject(value) && isPlainObject(otherValue)) {
+        let keys = Object.keys(value);
+
+        return keys.length === Object.keys(otherValue).length &&
+            keys.every(key => Object.prototype.hasOwnProperty.call(otherValue, key) && isEqualValue(value[key], otherValue[key]));
+    }
+    return value === otherValue;
+}
+
+/**
+* Converts path segments, as returned by `parsePath()`, back into a path.
+*
+* @param   {Array}  segments - e.g. `[ 0, 'id' ]`
+* @returns {string} e.g. `'[0].id'`
+*/
+function formatPath(segments) {
+    return segments.reduce((path, segment) => joinPath(path, typeof segment === 'number' ? `[${segment}]` : segment), '');
+}
+
+/**
+* The default formatError option of `expressMiddleware()` and `koaMiddleware()`. Like the values in the message, the values
+* in the error details are limited to maxValueLength, so that a huge payload isn't sent back in the response.
+*
+* @param   {Error}  error - The validation error
+* @param   {number} maxValueLength
+* @returns {Object} The JSON body of the response
+*/
+function formatErrorResponse(error, maxValueLength) {
+
+    let errors = error.errors.map(detail => {
+
+        detail = Object.assign({}, detail);
+
+        for (let key of [ 'value', 'rawValue' ]) {
+            if (key in detail) {
+                detail[key] = limitValue(detail[key], maxValueLength);
+            }
+        }
+        return detail;
+    });
+    return { message: error.message, errors };
+}
+
+// Properties supported in `{ paramName: rule }` rule objects.
+const paramRuleKeys = [
+    'validate', 'message', 'optional', 'default', 'transform', 'requirements', 'sensitive', 'severity', 'aliases', 'description', 'items',
+    'minItems', 'maxItems', 'uniqueItems'
+];
+
+// The severities of rules. The failures of rules whose severity is 'warning' are reported to the onWarning hook instead of
+// making the parameters invalid.
+const ruleSeverities = [ 'error', 'warning' ];
+
+// Options supported by `registerRule()`, which are the properties of rule objects that aren't specific to a parameter.
+const registeredRuleKeys = [ 'message', 'transform', 'sensitive', 'severity', 'description' ];
+
+// The parts of a request that the middleware can validate, in the order they're validated.
+const requestParts = [ 'params', 'query', 'headers', 'body' ];
+
+// Also export `validate()`, `validateAsync()`, `validateSafe()`, `validateSafeAsync()`, `validateEach()`, `validateEachAsync()`,
+// `validateValue()`, `validateValueAsync()`, `validateArgs()`, `validateArgsAsync()`, `withValidation()`, `validated()`,
+// `expressMiddleware()`, `koaMiddleware()`, `registerRule()` and `describeRequirements()` as standalone functions by creating a
+// singleton instance.
+
+const parameterValidator = new ParameterValidator();
+
+export const validate = parameterValidator.validate.bind(parameterValidator);
+
+export const validateAsync = parameterValidator.validateAsync.bind(parameterValidator);
+
+export const validateSafe = parameterValidator.validateSafe.bind(parameterValidator);
+
+export const validateSafeAsync = parameterValidator.validateSafeAsync.bind(parameterValidator);
+
+export const validateEach = parameterValidator.validateEach.bind(parameterValidator);
+
+export const validateEachAsync = parameterValidator.validateEachAsync.bind(parameterValidator);
+
+export const validateValue = parameterValidator.validateValue.bind(parameterValidator);
+
+export const validateValueAsync = parameterValidator.validateValueAsync.bind(parameterValidator);
+
+export const validateArgs = parameterValidator.validateArgs.bind(parameterValidator);
+
+export const validateArgsAsync = parameterValidator.validateArgsAsync.bind(parameterValidator);
+
+export const withValidation = parameterValidator.withValidation.bind(parameterValidator);
+
+export const validated = parameterValidator.validated.bind(parameterValidator);
+
+export const expressMiddleware = parameterValidator.expressMiddleware.bind(parameterValidator);
+
+export const koaMiddleware = parameterValidator.koaMiddleware.bind(parameterValidator);
+
+export const registerRule = parameterValidator.registerRule.bind(parameterValidator);
+
+export const describeRequirements = parameterValidator.describeRequirements.bind(parameterValidator);
@@ -0,0 +1,101 @@
+/**
+* Factories for rules that apply to groups of parameters, for use in requirements arrays alongside the
+* other kinds of rules. (A nested array of parameter names already means "at least one of these".)
+*
+* @example
+* import { validate, combinators } from 'parameter-validator';
+*
+* let { xor, allOrNone, forbiddenWith, when } = combinators;
+*
+* validate(params, [
+*     xor('id', 'email'),
+*     allOrNone('lat', 'lng'),
+*     forbiddenWith('password', 'ssoToken'),
+*     when('paymentMethod', 'card', [ 'cardNumber' ])
+* ]);
+*/
+
+/**
+* A rule that applies to a group of parameters, as created by the factories in this module.
+*
+* @class
+*/
+export class Combinator {
+
+    /**
+    * @param {string} type - 'xor', 'allOrNone', 'forbiddenWith' or 'when'
+    * @param {Object} properties - Properties specific to the type of rule
+    */
+    constructor(type, properties) {
+        this.type = type;
+        Object.assign(this, properties);
+    }
+}
+
+/**
+* Requires exactly one of the parameters to be included.
+*
+* @param   {...string}  paramNames
+* @returns {Combinator}
+*/
+export function xor(...paramNames) {
+
+    assertParamNames(paramNames, 'xor', 2);
+    return new Combinator('xor', { paramNames });
+}
+
+/**
+* Requires either all of the parameters or none of them to be included.
+*
+* @param   {...string}  paramNames
+* @returns {Combinator}
+*/
+export function allOrNone(...paramNames) {
+
+    assertParamNames(paramNames, 'allOrNone', 2);
+    return new Combinator('allOrNone', { paramNames });
+}
+
+/**
+* Forbids a parameter from being included along with any of the other parameters. This rule doesn't
+* extract any parameters, so it's typically combined with rules for the parameters themselves.
+*
+* @param   {string}     paramName
+* @param   {...string}  otherParamNames
+* @returns {Combinator}
+*/
+export function forbiddenWith(paramName, ...otherParamNames) {
+
+    assertParamNames([ paramName ], 'forbiddenWith', 1);
+    assertParamNames(otherParamNames, 'forbiddenWith', 1);
+    return new Combinator('forbiddenWith', { paramName, otherParamNames });
+}
+
+/**
+* Applies requirements only when a parameter's value meets a condition.
+*
+* @param   {string}     paramName - The parameter whose value is checked
+* @param   {function|*} condition - A function that returns true if the requirements apply, given the parameter's
+*                                   value, or a value that the parameter must be equal to for the requirements to apply
+* @param   {Array}      requirements - Requirements that apply if the condition is met
+* @param   {Array}      [otherwise] - Requirements that apply if the condition isn't met
+* @returns {Combinator}
+*/
+export function when(paramName, condition, requirements, otherwise = []) {
+
+    assertParamNames([ paramName ], 'when', 1);
+
+    if (!Array.isArray(requirements) || !Array.isArray(otherwise)) {
+        throw new Error('when() requires arrays of requirements.');
+    }
+
+    let test = (typeof condition === 'function') ? condition : value => value === condition;
+    return new Combinator('when', { paramName, test, requirements, otherwise });
+}
+
+function assertParamNames(paramNames, factoryName, minCount) {
+
+    if (paramNames.length < minCount || !paramNames.every(paramName => typeof paramName === 'string' && paramName)) {
+        throw new Error(`${factoryName}() requires at least ${minCount} parameter name${minCount > 1 ? 's' : ''}.`);
+    }
+}
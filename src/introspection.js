@@ -0,0 +1,506 @@
+/**
+* Describes requirements for documentation, and renders those descriptions as Markdown, JSON Schema and OpenAPI
+* parameter objects.
+*
+* A description, as returned by `describeRequirements()`, has the following properties:
+* - params {Array} - A description of each parameter, with the following properties:
+*     - name        {string}       - The parameter's name or path, relative to the object that contains it
+*     - type        {string|Array} - The JSON Schema type of the parameter's value, if its validator's schema has one. Otherwise
+*                                    'custom' for a validation function without a schema or expected description, or 'any'.
+*     - required    {boolean}
+*     - expected    {string}       - Description of a valid value, from the validator
+*     - schema      {Object}       - JSON Schema keywords that describe a valid value, from the validator
+*     - description {string}       - The description property of the parameter's rule
+*     - default     {*}            - The default value, if the rule has one
+*     - ruleName    {string}       - The name of the registered rule that the parameter refers to
+*     - aliases     {Array}        - The other names of the parameter
+*     - sensitive   {boolean}      - Whether the rule marks the parameter as sensitive
+*     - severity    {string}       - 'warning' for a rule whose failures are only reported as warnings
+*     - properties  {Object}       - A description of the requirements of the parameter's properties
+*     - items       {Object}       - A description of the items of an array parameter, whose name is '[]'
+*     - minItems, maxItems {number} and uniqueItems {boolean|string} - The collection rules of an array parameter. uniqueItems
+*                                    is 'custom' if the items are unique by the key that a function returns.
+*   The optional properties are only included if they apply.
+* - groups {Array} - A description of each rule for a group of parameters, like `{ type: 'oneOf', paramNames }`,
+*                    `{ type: 'forbiddenWith', paramName, otherParamNames }`, or `{ type: 'when', paramName, requirements, otherwise }`
+*                    where requirements and otherwise are descriptions of the conditional requirements.
+*
+* @example
+* let description = describeRequirements([ 'name', { age: validators.isPositiveInteger } ]);
+*
+* renderMarkdown(description);
+* toJsonSchema(description);               // { type: 'object', properties: { name: {}, age: { type: 'integer', minimum: 1 } }, ... }
+* toOpenApiParameters(description, 'query');
+*/
+
+import { formatCount } from './messages';
+import { joinPath, parsePath } from './paths';
+
+const openApiLocations = [ 'query', 'header', 'path', 'cookie' ];
+
+/**
+* Describes compiled requirements.
+*
+* @param   {Array}  rules - Compiled requirements, as returned by `ParameterValidator#_compileRequirements()`
+* @returns {Object} description - As described above
+*/
+export function describeRules(rules) {
+
+    let params = [],
+        groups = [];
+
+    for (let compiledRule of rules) {
+        let { type, paramName, paramNames, otherParamNames } = compiledRule;
+
+        if (type === 'param') {
+            params.push(describeParam(paramName, compiledRule.rule));
+        } else if (type === 'when') {
+            groups.push({ type, paramName, requirements: describeRules(compiledRule.rules), otherwise: describeRules(compiledRule.otherwiseRules) });
+        } else if (type === 'forbiddenWith') {
+            groups.push({ type, paramName, otherParamNames: otherParamNames.slice() });
+        } else {
+            groups.push({ type, paramNames: paramNames.slice() });
+        }
+    }
+
+    // The parameters that are only named by the rules for groups are described too, as optional parameters of any type.
+    for (let group of groups) {
+        let names = (group.type === 'forbiddenWith') ? [ group.paramName, ...group.otherParamNames ] :
+            (group.type === 'when') ? [ group.paramName ] : group.paramNames;
+
+        for (let name of names) {
+            if (!params.some(param => param.name === name)) {
+                params.push({ name, type: 'any', required: false });
+            }
+        }
+    }
+    return { params, groups };
+}
+
+/**
+* Renders a description as a Markdown table of the parameters, followed by a list of the rules for groups of parameters.
+* The properties of nested parameters are listed with their paths, like `address.zip`, and the items of arrays like `tags[]`.
+*
+* @param   {Object} description - As returned by `describeRequirements()`
+* @returns {string} markdown
+*/
+export function renderMarkdown(description) {
+
+    let rows = [],
+        notes = [];
+
+    addMarkdownRows(description, '', false, rows, notes);
+
+    let lines = [
+        '| Parameter | Type | Required | Description |',
+        '| --- | --- | --- | --- |',
+        ...rows.map(row => `| ${row.map(escapeTableCell).join(' | ')} |`)
+    ];
+
+    if (notes.length) {
+        lines.push('', ...notes.map(note => `- ${note}`));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+* Converts a description into a JSON Schema for an object containing the parameters. Nested parameters, like `address.zip`,
+* are described as the properties of nested objects, and aliases as deprecated properties. The rules for groups of parameters
+* are included in allOf, except for the conditions of when() rules, which can't be represented, so their parameters are
+* described as optional properties.
+*
+* @param   {Object} description - As returned by `describeRequirements()`
+* @returns {Object} schema
+*/
+export function toJsonSchema(description) {
+
+    let schema = { type: 'object', properties: {} },
+        constraints = [];
+
+    for (let param of description.params) {
+        addProperty(schema, param.name, getParamSchema(param), param.required);
+
+        for (let alias of param.aliases || []) {
+            addProperty(schema, alias, { deprecated: true, description: `Deprecated alias of '${param.name}'.` }, false);
+        }
+    }
+
+    for (let group of description.groups) {
+        let { type, paramName, paramNames, otherParamNames } = group;
+
+        if (type === 'oneOf') {
+            constraints.push({ anyOf: paramNames.map(getRequiredSchema) });
+        } else if (type === 'xor') {
+            constraints.push({ oneOf: paramNames.map(getRequiredSchema) });
+        } else if (type === 'allOrNone') {
+            constraints.push({ anyOf: [ { allOf: paramNames.map(getRequiredSchema) }, { not: { anyOf: paramNames.map(getRequiredSchema) } } ] });
+        } else if (type === 'forbiddenWith') {
+            constraints.push({ not: { allOf: [ getRequiredSchema(paramName), { anyOf: otherParamNames.map(getRequiredSchema) } ] } });
+        } else if (type === 'when') {
+            for (let param of [ ...group.requirements.params, ...group.otherwise.params ]) {
+                if (!hasProperty(schema, param.name)) {
+                    addProperty(schema, param.name, getParamSchema(param), false);
+                }
+            }
+        }
+    }
+
+    if (constraints.length) {
+        schema.allOf = constraints;
+    }
+    return schema;
+}
+
+/**
+* Converts a description into OpenAPI parameter objects, with one for each of the top-level parameters and aliases. The
+* properties of nested parameters are described in the schema of the object that contains them, which uses the deepObject
+* style in a query. OpenAPI parameters can't express the rules for groups of parameters, so those are left out.
+* The schemas follow OpenAPI 3.0, so numeric exclusive bounds like `exclusiveMinimum: 0` become `minimum: 0, exclusiveMinimum: true`.
+*
+* @param   {Object} description - As returned by `describeRequirements()`
+* @param   {string} [location] - Where the parameters are in the request: 'query' (the default), 'header', 'path' or 'cookie'
+* @returns {Array}  parameters
+*/
+export function toOpenApiParameters(description, location = 'query') {
+
+    if (!openApiLocations.includes(location)) {
+        throw new Error(`The location '${location}' must be one of 'query', 'header', 'path' or 'cookie'.`);
+    }
+
+    let { properties, required = [] } = toJsonSchema(description);
+
+    return Object.keys(properties).map(name => {
+
+        let schema = Object.assign({}, properties[name]),
+            parameter = { name, in: location, required: location === 'path' || required.includes(name) };
+
+        if (schema.description !== undefined) {
+            parameter.description = schema.description;
+            delete schema.description;
+        }
+        if (schema.deprecated) {
+            parameter.deprecated = true;
+            delete schema.deprecated;
+        }
+        if (schema.type === 'object' && location === 'query') {
+            parameter.style = 'deepObject';
+            parameter.explode = true;
+        }
+        parameter.schema = toOpenApiSchema(schema);
+        return parameter;
+    });
+}
+
+/**
+* @param   {string} name - The parameter's name or path
+* @param   {Object} rule - Rule object, as returned by `ParameterValidator#_normalizeParamRule()`
+* @returns {Object} A description of the parameter, as described above
+*/
+function describeParam(name, rule) {
+
+    let { validate, requirements, collection } = rule,
+        isDescribed = Boolean(validate.expected || validate.schema),
+        type = (validate.schema && validate.schema.type) || (requirements && 'object') || (collection && 'array') ||
+            ((rule.kind === 'custom' && !isDescribed) ? 'custom' : 'any'),
+        param = { name, type, required: !rule.optional };
+
+    if (validate.expected) {
+        param.expected = validate.expected;
+    }
+    if (validate.schema) {
+        param.schema = validate.schema;
+    }
+    if (rule.description !== undefined) {
+        param.description = rule.description;
+    }
+    if (rule.hasDefault) {
+        param.default = rule.defaultValue;
+    }
+    if (rule.ruleName) {
+        param.ruleName = rule.ruleName;
+    }
+    if (rule.aliases.length) {
+        param.aliases = rule.aliases.slice();
+    }
+    if (rule.sensitive !== undefined) {
+        param.sensitive = rule.sensitive;
+    }
+    if (rule.severity === 'warning') {
+        param.severity = rule.severity;
+    }
+    if (requirements) {
+        param.properties = describeRules(requirements);
+    }
+    if (collection) {
+        let { items, minItems, maxItems, uniqueItems } = collection;
+
+        if (items) {
+            param.items = describeParam('[]', items);
+        }
+        if (minItems !== undefined) {
+            param.minItems = minItems;
+        }
+        if (maxItems !== undefined) {
+            param.maxItems = maxItems;
+        }
+        if (uniqueItems) {
+            param.uniqueItems = (uniqueItems === true) ? true : 'custom';
+        }
+    }
+    return param;
+}
+
+/**
+* Adds the table rows and notes for the parameters and groups in a description.
+*
+* @param {Object}  description
+* @param {string}  basePath - Path of the object that the description applies to
+* @param {boolean} conditional - Whether the requirements only apply when the condition of a when() rule is met or not met
+* @param {Array}   rows - The table's rows, each of which is an array of the cells' Markdown
+* @param {Array}   notes - The list items that describe the rules for groups of parameters
+*/
+function addMarkdownRows(description, basePath, conditional, rows, notes) {
+
+    for (let param of description.params) {
+        addMarkdownRow(param, basePath, conditional, rows, notes);
+    }
+
+    for (let group of description.groups) {
+        let { type, paramName, paramNames, otherParamNames } = group,
+            path = paramName && joinPath(basePath, paramName),
+            pathList = paramNames && formatCodeList(paramNames.map(name => joinPath(basePath, name)));
+
+        if (type === 'oneOf') {
+            notes.push(`At least one of ${pathList} must be included.`);
+        } else if (type === 'xor') {
+            notes.push(`Exactly one of ${pathList} must be included.`);
+        } else if (type === 'allOrNone') {
+            notes.push(`Either all or none of ${pathList} must be included.`);
+        } else if (type === 'forbiddenWith') {
+            notes.push(`\`${path}\` must not be included along with ${formatCodeList(otherParamNames.map(name => joinPath(basePath, name)))}.`);
+        } else if (type === 'when') {
+            let conditionalNames = [ ...group.requirements.params, ...group.otherwise.params ].map(param => joinPath(basePath, param.name));
+
+            if (conditionalNames.length) {
+                notes.push(`The requirements of ${formatCodeList(unique(conditionalNames))} depend on the value of \`${path}\`.`);
+            }
+            addMarkdownRows(group.requirements, basePath, true, rows, notes);
+            addMarkdownRows(group.otherwise, basePath, true, rows, notes);
+        }
+    }
+}
+
+/**
+* Adds the table row for a parameter, followed by the rows for its properties or items.
+*/
+function addMarkdownRow(param, basePath, conditional, rows, notes) {
+
+    let path = joinPath(basePath, param.name);
+
+    if (rows.some(row => row[0] === `\`${path}\``)) {
+        return;
+    }
+
+    let required = conditional ? 'Conditional' : (param.required ? 'Yes' : 'No'),
+        details = [];
+
+    if (param.description) {
+        details.push(/[.!?]$/.test(param.description) ? param.description : `${param.description}.`);
+    }
+    if (param.expected) {
+        details.push(`Expected ${param.expected}.`);
+    }
+    if (param.minItems !== undefined) {
+        details.push(`At least ${formatCount(param.minItems, 'item')}.`);
+    }
+    if (param.maxItems !== undefined) {
+        details.push(`At most ${formatCount(param.maxItems, 'item')}.`);
+    }
+    if (param.uniqueItems) {
+        details.push('The items must be unique.');
+    }
+    if (Object.prototype.hasOwnProperty.call(param, 'default')) {
+        details.push(`Defaults to \`${formatValue(param.default)}\`.`);
+    }
+    if (param.aliases) {
+        details.push(`Deprecated aliases: ${formatCodeList(param.aliases.map(alias => joinPath(basePath, alias)))}.`);
+    }
+    if (param.severity === 'warning') {
+        details.push('Invalid values are only reported as warnings.');
+    }
+
+    rows.push([ `\`${path}\``, [].concat(param.type).join(' or '), required, details.join(' ') ]);
+
+    if (param.properties) {
+        addMarkdownRows(param.properties, path, conditional, rows, notes);
+    }
+    if (param.items) {
+        addMarkdownRow(param.items, path, conditional, rows, notes);
+    }
+}
+
+/**
+* @param   {Object} param - A description of a parameter or items
+* @returns {Object} The JSON Schema of the parameter's value
+*/
+function getParamSchema(param) {
+
+    // The constraints of a rule whose severity is 'warning' don't make a value invalid, so they're left out.
+    let schema = (param.severity === 'warning') ? {} : Object.assign({}, param.schema);
+
+    if (![ 'any', 'custom' ].includes(param.type) && schema.type === undefined && param.severity !== 'warning') {
+        schema.type = param.type;
+    }
+    if (param.description !== undefined) {
+        schema.description = param.description;
+    }
+    if (Object.prototype.hasOwnProperty.call(param, 'default')) {
+        schema.default = param.default;
+    }
+    if (param.properties) {
+        let propertiesSchema = toJsonSchema(param.properties);
+
+        Object.assign(schema, propertiesSchema, { properties: Object.assign({}, schema.properties, propertiesSchema.properties) });
+    }
+    if (param.items) {
+        schema.items = getParamSchema(param.items);
+    }
+    if (param.minItems !== undefined) {
+        schema.minItems = param.minItems;
+    }
+    if (param.maxItems !== undefined) {
+        schema.maxItems = param.maxItems;
+    }
+    if (param.uniqueItems === true) {
+        schema.uniqueItems = true;
+    }
+    return schema;
+}
+
+/**
+* Converts a JSON Schema into an OpenAPI 3.0 schema, in which exclusiveMinimum and exclusiveMaximum are booleans that
+* modify minimum and maximum, rather than numbers.
+*
+* @param   {Object} schema
+* @returns {Object} A copy of the schema, with the exclusive bounds converted in it and its subschemas
+*/
+function toOpenApiSchema(schema) {
+
+    let converted = Object.assign({}, schema);
+
+    [ [ 'exclusiveMinimum', 'minimum', Math.max ], [ 'exclusiveMaximum', 'maximum', Math.min ] ].forEach(([ exclusiveKeyword, keyword, stricter ]) => {
+
+        let bound = converted[exclusiveKeyword];
+
+        if (typeof bound !== 'number') {
+            return;
+        }
+        if (converted[keyword] === undefined || stricter(bound, converted[keyword]) === bound) {
+            converted[keyword] = bound;
+            converted[exclusiveKeyword] = true;
+        } else {
+            delete converted[exclusiveKeyword];
+        }
+    });
+
+    if (converted.properties) {
+        converted.properties = Object.keys(converted.properties).reduce((properties, name) => {
+            properties[name] = toOpenApiSchema(converted.properties[name]);
+            return properties;
+        }, {});
+    }
+    [ 'items', 'additionalProperties', 'not' ].forEach(keyword => {
+        if (converted[keyword] && typeof converted[keyword] === 'object') {
+            converted[keyword] = toOpenApiSchema(converted[keyword]);
+        }
+    });
+    [ 'allOf', 'anyOf', 'oneOf' ].forEach(keyword => {
+        if (Array.isArray(converted[keyword])) {
+            converted[keyword] = converted[keyword].map(toOpenApiSchema);
+        }
+    });
+    return converted;
+}
+
+/**
+* Adds the schema of a parameter to an object schema. The parameter's path is split into the properties of nested object
+* schemas, unless it includes array indexes, in which case the whole path is the name of the property.
+*
+* @param {Object}  objectSchema
+* @param {string}  path - The parameter's name or path
+* @param {Object}  propertySchema
+* @param {boolean} required - Whether the parameter (and the objects that contain it) are required
+*/
+function addProperty(objectSchema, path, propertySchema, required) {
+
+    let segments = getSchemaSegments(path),
+        target = objectSchema;
+
+    segments.forEach((segment, index) => {
+
+        if (required && !(target.required || []).includes(segment)) {
+            target.required = (target.required || []).concat(segment);
+        }
+
+        if (index === segments.length - 1) {
+            target.properties[segment] = Object.assign({}, target.properties[segment], propertySchema);
+            return;
+        }
+        target.properties[segment] = target.properties[segment] || { type: 'object' };
+        target = target.properties[segment];
+        target.properties = target.properties || {};
+    });
+}
+
+/**
+* @param   {Object}  objectSchema
+* @param   {string}  path
+* @returns {boolean} Whether the object schema has a property for the parameter
+*/
+function hasProperty(objectSchema, path) {
+
+    let target = objectSchema;
+
+    for (let segment of getSchemaSegments(path)) {
+        if (!target.properties || !target.properties[segment]) {
+            return false;
+        }
+        target = target.properties[segment];
+    }
+    return true;
+}
+
+/**
+* @param   {string} path - The parameter's name or path
+* @returns {Object} A schema that requires the parameter to be included
+*/
+function getRequiredSchema(path) {
+
+    return getSchemaSegments(path).reduceRight((schema, segment) => {
+        return schema ? { required: [ segment ], properties: { [segment]: schema } } : { required: [ segment ] };
+    }, null);
+}
+
+function getSchemaSegments(path) {
+
+    let segments = parsePath(path);
+    return segments.every(segment => typeof segment === 'string') ? segments : [ path ];
+}
+
+function formatCodeList(names) {
+    return names.map(name => `\`${name}\``).join(', ');
+}
+
+function formatValue(value) {
+
+    let json = JSON.stringify(value);
+    return (json === undefined) ? String(value) : json;
+}
+
+function escapeTableCell(text) {
+    return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function unique(values) {
+    return values.filter((value, index) => values.indexOf(value) === index);
+}
@@ -0,0 +1,131 @@
+/**
+* The templates used for the messages of validation failures, and the formatting of those messages in a locale.
+*
+* A template is either a string with placeholders like `{path}`, which are replaced with the corresponding
+* data of the failure, or a function that returns the message given that data. The data can include:
+* - path            - The parameter's path
+* - value           - The value that was provided for the parameter, as a string that's truncated if it's long or
+*                     redacted if the parameter is sensitive
+* - expected        - Description of a valid value, from the validation function
+* - reason          - The reason the value is invalid, from the validation function or transform
+* - paramNames      - The paths of a group of parameters, as a quoted list like `'id', 'email'`
+* - otherParamNames - The paths of the parameters that a parameter must not be included with, as a quoted list
+* - timeout         - The timeout in milliseconds
+* - alias           - The path of an alias of the parameter
+*
+* Only the templates are localizable: the expected descriptions of the built-in validators and the reasons of the
+* built-in transforms are always in English, so a function template has to translate them itself if needed.
+*
+* @example
+* let parameterValidator = new ParameterValidator({
+*     messages: {
+*         fr: { invalid: 'Valeur invalide « {value} » fournie pour le paramètre « {path} ».' }
+*     }
+* });
+*
+* parameterValidator.validate(params, [ 'name' ], null, { locale: 'fr' });
+*/
+
+/**
+* The English templates, which are used for any templates that a locale's messages don't include.
+*/
+export const defaultMessages = {
+    paramsRequired: 'A params object is required.',
+    invalid: 'Invalid value of \'{value}\' was provided for parameter \'{path}\'.',
+    invalidExpected: 'Invalid value of \'{value}\' was provided for parameter \'{path}\': expected {expected}.',
+    invalidReason: 'Invalid value of \'{value}\' was provided for parameter \'{path}\': {reason}.',
+    unknown: 'Unknown parameter \'{path}\' was provided.',
+    oneOf: 'One of the following parameters must be included: {paramNames}.',
+    xor: 'Exactly one of the following parameters must be included: {paramNames}.',
+    allOrNone: 'Either all or none of the following parameters must be included: {paramNames}.',
+    forbiddenWith: 'The parameter \'{path}\' must not be included along with {otherParamNames}.',
+    deprecatedAlias: 'The parameter \'{alias}\' is deprecated. Use \'{path}\' instead.',
+    aliasConflict: 'Different values were provided for the parameter \'{path}\' and its alias \'{alias}\'.',
+    timeout: 'the validation function timed out after {timeout}ms'
+};
+
+export const defaultLocale = 'en';
+
+/**
+* Checks a message catalog provided to the `ParameterValidator` constructor.
+*
+* @param   {Object}  messages - Templates by locale and name, e.g. `{ fr: { invalid: '...' } }`
+* @returns {string|undefined} A description of the problem, or undefined if the catalog is valid
+*/
+export function findCatalogProblem(messages) {
+
+    if (messages === null || typeof messages !== 'object' || Array.isArray(messages)) {
+        return 'The messages option must be an object containing the templates for each locale.';
+    }
+
+    for (let locale of Object.keys(messages)) {
+        let templates = messages[locale];
+
+        if (templates === null || typeof templates !== 'object' || Array.isArray(templates)) {
+            return `The messages for the locale '${locale}' must be an object.`;
+        }
+
+        for (let name of Object.keys(templates)) {
+            if (!defaultMessages.hasOwnProperty(name)) {
+                return `The messages for the locale '${locale}' include an unsupported template '${name}'.`;
+            }
+            if (![ 'string', 'function' ].includes(typeof templates[name])) {
+                return `The '${name}' template for the locale '${locale}' must be a string or function.`;
+            }
+        }
+    }
+}
+
+/**
+* Creates the function that produces the messages of validation failures in a locale. A custom formatter's
+* message takes precedence. Otherwise, the template is looked up in the locale's messages, then the messages of
+* its language (e.g. 'fr' for 'fr-CA'), and finally the English templates.
+*
+* @param   {string}   locale
+* @param   {Object}   [messages] - Templates by locale and name
+* @param   {function} [formatMessage] - Custom formatter, called with the template name, data and locale. It can
+*                                       return undefined to use the template instead.
+* @returns {function} format(name, data) - Returns the message
+*/
+export function createMessageFormatter(locale, messages, formatMessage) {
+
+    messages = messages || {};
+
+    let locales = [ locale, locale.split('-')[0] ].filter(candidate => messages.hasOwnProperty(candidate));
+
+    return (name, data) => {
+
+        if (formatMessage) {
+            let message = formatMessage(name, data, locale);
+
+            if (typeof message === 'string') {
+                return message;
+            }
+        }
+
+        let localeWithTemplate = locales.find(candidate => messages[candidate].hasOwnProperty(name)),
+            template = localeWithTemplate ? messages[localeWithTemplate][name] : defaultMessages[name];
+
+        if (typeof template === 'function') {
+            return template(data);
+        }
+        return template.replace(/\{(\w+)\}/g, (placeholder, key) => data.hasOwnProperty(key) ? String(data[key]) : placeholder);
+    };
+}
+
+/**
+* @param   {Array}  paths
+* @returns {string} The paths as a quoted list, like `'id', 'email'`
+*/
+export function formatPathList(paths) {
+    return paths.map(path => `'${path}'`).join(', ');
+}
+
+/**
+* @param   {number} count
+* @param   {string} noun - The singular noun
+* @returns {string} e.g. '1 item' or '10 items'
+*/
+export function formatCount(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
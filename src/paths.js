@@ -0,0 +1,103 @@
+/**
+* Helpers for working with parameter paths like `'user.address.zip'` or `'items[0].id'`.
+*/
+
+const pathSegmentPattern = /([^.[\]]+)|\[(\d+)\]/g;
+
+/**
+* Splits a path into its property name and array index segments.
+*
+* @param   {string} path - e.g. `'items[0].id'`
+* @returns {Array}  segments - e.g. `[ 'items', 0, 'id' ]`
+*
+* @example
+* parsePath('user.address.zip'); // [ 'user', 'address', 'zip' ]
+*/
+export function parsePath(path) {
+
+    let segments = [],
+        match;
+
+    pathSegmentPattern.lastIndex = 0;
+
+    while ((match = pathSegmentPattern.exec(path)) !== null) {
+        segments.push(match[2] === undefined ? match[1] : Number(match[2]));
+    }
+    return segments;
+}
+
+/**
+* Indicates whether a parameter name should be interpreted as a path into nested objects.
+*
+* @param   {string}  path
+* @returns {boolean}
+*/
+export function isPath(path) {
+    return /[.[]/.test(path);
+}
+
+/**
+* Joins a parameter path onto the path of the object that contains it.
+*
+* @param   {string} basePath - e.g. `'items[0]'`, or an empty string for top-level parameters
+* @param   {string} path     - e.g. `'id'`
+* @returns {string} e.g. `'items[0].id'`
+*/
+export function joinPath(basePath, path) {
+
+    if (!basePath) {
+        return path;
+    }
+    return path[0] === '[' ? basePath + path : `${basePath}.${path}`;
+}
+
+/**
+* Gets the value at a path within an object. Returns `undefined` if any part of the path is missing.
+*
+* A key which exactly matches the path (e.g. a property literally named `'a.b'`) takes precedence
+* over the nested lookup.
+*
+* @param   {Object} object
+* @param   {string} path
+* @returns {*}
+*/
+export function getPath(object, path) {
+
+    if (!isPath(path) || Object.prototype.hasOwnProperty.call(object, path)) {
+        return object[path];
+    }
+
+    let value = object;
+
+    for (let segment of parsePath(path)) {
+        if (value === null || value === undefined) {
+            return undefined;
+        }
+        value = value[segment];
+    }
+    return value;
+}
+
+/**
+* Sets the value at a path within an object, creating any intermediate objects or arrays that don't exist yet.
+*
+* @param {Object} object
+* @param {Array}  segments - Path segments, as returned by `parsePath()`
+* @param {*}      value
+*/
+export function setPath(object, segments, value) {
+
+    let target = object;
+
+    segments.forEach((segment, index) => {
+
+        if (index === segments.length - 1) {
+            target[segment] = value;
+            return;
+        }
+        if (target[segment] === null || typeof target[segment] !== 'object') {
+            target[segment] = (typeof segments[index + 1] === 'number') ? [] : {};
+        }
+        target = target[segment];
+    });
+}
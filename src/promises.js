@@ -0,0 +1,97 @@
+/**
+* Helpers that let the same validation code handle both synchronous values and promises.
+*/
+
+/**
+* @param   {*}       value
+* @returns {boolean} Whether the value is a promise or other "thenable"
+*/
+export function isThenable(value) {
+    return Boolean(value) && typeof value.then === 'function';
+}
+
+/**
+* Invokes the callback with the value, waiting for it to resolve first if it's a promise.
+*
+* @param   {*}        value
+* @param   {function} callback
+* @returns {*|Promise} The callback's return value, or a promise for it if the value was a promise.
+*/
+export function whenSettled(value, callback) {
+    return isThenable(value) ? value.then(callback) : callback(value);
+}
+
+/**
+* Like `whenSettled()`, but for an array of values, any of which may be promises.
+*
+* @param   {Array}    values
+* @param   {function} callback - Invoked with an array of the settled values
+* @returns {*|Promise} The callback's return value, or a promise for it if any of the values were promises.
+*/
+export function whenAllSettled(values, callback) {
+    return values.some(isThenable) ? Promise.all(values).then(callback) : callback(values);
+}
+
+/**
+* Creates a function that runs tasks while limiting how many of them can be pending at once.
+*
+* @param   {number}   [concurrency] - Maximum number of pending tasks (unlimited by default)
+* @returns {function} limit - Accepts a task function and returns a promise for its result.
+*/
+export function createLimiter(concurrency = Infinity) {
+
+    let pendingCount = 0,
+        queue = [];
+
+    function runNext() {
+
+        if (pendingCount >= concurrency || !queue.length) {
+            return;
+        }
+        let { task, resolve, reject } = queue.shift();
+        pendingCount++;
+
+        Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .then(() => {
+            pendingCount--;
+            runNext();
+        });
+    }
+
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        runNext();
+    });
+}
+
+/**
+* Resolves with the result of `onTimeout()` if the promise hasn't settled within the given time.
+*
+* @param   {Promise}  promise
+* @param   {number}   [timeout] - Time limit in milliseconds. No time limit is applied if it's omitted.
+* @param   {function} onTimeout - Returns the value to resolve with when the time limit is exceeded.
+* @returns {Promise}
+*/
+export function withTimeout(promise, timeout, onTimeout) {
+
+    if (!timeout) {
+        return promise;
+    }
+    let timer;
+
+    return Promise.race([
+        promise,
+        new Promise(resolve => {
+            timer = setTimeout(() => resolve(onTimeout()), timeout);
+        })
+    ])
+    .then(result => {
+        clearTimeout(timer);
+        return result;
+    }, error => {
+        clearTimeout(timer);
+        throw error;
+    });
+}
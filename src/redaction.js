@@ -0,0 +1,123 @@
+/**
+* Keeps sensitive values and very large values out of error messages and error details, which tend to end up in
+* logs and HTTP responses.
+*/
+
+import { parsePath } from './paths';
+
+/**
+* Patterns matching the names of parameters whose values are redacted by default. A parameter is sensitive if any
+* of the names in its path match, so the properties of a `secrets` object are also redacted.
+*/
+export const defaultSensitiveParams = [ /password/i, /token/i, /secret/i, /api[_-]?key/i, /authorization/i, /cookie/i ];
+
+/**
+* Replaces the values of sensitive parameters in error messages and details.
+*/
+export const redactedValue = '[REDACTED]';
+
+// Arrays nested more deeply than this are abbreviated in previews.
+const maxPreviewDepth = 5;
+
+/**
+* Tests a string against a regular expression, from the start of the string even if the pattern is global or sticky,
+* whose lastIndex would otherwise carry over from the previous test.
+*
+* @param   {RegExp}  pattern
+* @param   {string}  string
+* @returns {boolean}
+*/
+export function testPattern(pattern, string) {
+
+    pattern.lastIndex = 0;
+    return pattern.test(string);
+}
+
+/**
+* @param   {string}  path - A parameter's path
+* @param   {Array}   sensitiveParams - Names (compared case-insensitively) and regular expressions
+* @returns {boolean} Whether any of the names in the path match one of the sensitive names or patterns
+*/
+export function isSensitivePath(path, sensitiveParams) {
+
+    return parsePath(path).some(name => {
+
+        name = String(name);
+
+        return sensitiveParams.some(sensitiveParam => {
+
+            if (sensitiveParam instanceof RegExp) {
+                return testPattern(sensitiveParam, name);
+            }
+            return sensitiveParam.toLowerCase() === name.toLowerCase();
+        });
+    });
+}
+
+/**
+* Converts a value to a string for use in an error message, like a template literal would, but without
+* converting more of the value than will fit within the maximum length.
+*
+* @param   {*}      value
+* @param   {number} maxLength
+* @returns {string} preview - Ends with '...' if the value was truncated
+*/
+export function previewValue(value, maxLength) {
+
+    let preview = stringify(value, maxLength, 0);
+    return (preview.length > maxLength) ? `${preview.slice(0, maxLength)}...` : preview;
+}
+
+/**
+* Limits the size of a value in error details that are serialized, such as in the body of an HTTP response. Numbers, booleans,
+* null, undefined and strings within the maximum length are kept as they are. Other values are replaced by their previews,
+* since they may be arbitrarily large or can't be serialized as JSON.
+*
+* @param   {*}      value
+* @param   {number} maxLength
+* @returns {*}
+*/
+export function limitValue(value, maxLength) {
+
+    if (value === null || [ 'undefined', 'boolean', 'number' ].includes(typeof value) || (typeof value === 'string' && value.length <= maxLength)) {
+        return value;
+    }
+    return previewValue(value, maxLength);
+}
+
+/**
+* @param   {*}      value
+* @param   {number} maxLength - Stops converting the items of arrays and typed arrays, or the bytes of Buffers, once the string
+*                             exceeds this length
+* @param   {number} depth - How deeply the value is nested in arrays
+* @returns {string}
+*/
+function stringify(value, maxLength, depth) {
+
+    if (typeof Buffer === 'function' && Buffer.isBuffer(value)) {
+        // Decodes enough bytes for more than maxLength characters, since each character takes at most 4 bytes.
+        return value.toString('utf8', 0, (maxLength + 1) * 4);
+    }
+
+    if (Array.isArray(value) || (ArrayBuffer.isView(value) && !(value instanceof DataView))) {
+
+        if (depth >= maxPreviewDepth) {
+            return '...';
+        }
+        let preview = '';
+
+        for (let index = 0; index < value.length && preview.length <= maxLength; index++) {
+            let item = value[index];
+            // Like Array.prototype.join(), which represents null and undefined items as empty strings.
+            preview += (index ? ',' : '') + ((item === null || item === undefined) ? '' : stringify(item, maxLength, depth + 1));
+        }
+        return preview;
+    }
+
+    try {
+        return String(value);
+    } catch (error) {
+        // Objects without a prototype can't be converted to strings.
+        return Object.prototype.toString.call(value);
+    }
+}
@@ -0,0 +1,218 @@
+/**
+* Compiles declarative, JSON-serializable parameter descriptions into the rule objects used by `validate()`.
+*
+* Two forms are supported:
+* - A parameter description with a `name`, e.g. `{ name: 'age', type: 'integer', required: true, minimum: 0 }`
+* - A subset of JSON Schema describing an object's properties, e.g.
+*   `{ type: 'object', properties: { age: { type: 'integer', minimum: 0 } }, required: [ 'age' ] }`
+*/
+
+import {
+    allOf, atLeast, atMost, isArray, isBoolean, isEmail, isInteger, isISODate,
+    isNumber, isObject, isOneOf, isString, isUUID, matches, maxLength, minLength
+} from './validators';
+
+const typeValidators = {
+    string: isString,
+    number: isNumber,
+    integer: isInteger,
+    boolean: isBoolean,
+    array: isArray,
+    object: isObject
+};
+
+const formatValidators = {
+    email: isEmail,
+    uuid: isUUID,
+    date: isISODate,
+    'date-time': isISODate
+};
+
+const schemaKeywords = [
+    'type', 'required', 'enum', 'pattern', 'format', 'minimum', 'maximum',
+    'minLength', 'maxLength', 'items', 'minItems', 'maxItems', 'uniqueItems', 'properties', 'default', 'description'
+];
+
+/**
+* Indicates whether an item in a requirements array is a declarative description rather than a
+* `{ paramName: rule }` object.
+*
+* @param   {*}       requirement
+* @returns {boolean}
+*/
+export function isSchema(requirement) {
+
+    if (!isPlainObject(requirement)) {
+        return false;
+    }
+    let keys = Object.keys(requirement);
+
+    if (typeof requirement.name === 'string') {
+        // A parameter description needs at least one keyword besides its name.
+        return keys.length > 1 && keys.every(key => key === 'name' || schemaKeywords.includes(key));
+    }
+    return requirement.type === 'object' && isPlainObject(requirement.properties) && keys.every(key => schemaKeywords.includes(key));
+}
+
+/**
+* Compiles a declarative description into a `{ paramName: rule }` object.
+*
+* @param   {Object} schema - A parameter description or object schema, as described above
+* @returns {Object} A `{ paramName: rule }` object with a rule object for each parameter
+*/
+export function compileSchema(schema) {
+
+    if (typeof schema.name === 'string') {
+        let paramSchema = Object.assign({}, schema),
+            required = schema.required === true || Array.isArray(schema.required);
+
+        delete paramSchema.name;
+        return { [schema.name]: compileParamSchema(paramSchema, schema.name, required) };
+    }
+    return compileProperties(schema.properties, schema.required);
+}
+
+/**
+* @param   {Object}        properties - Schemas of an object's properties
+* @param   {Array}         [requiredNames] - Names of the required properties
+* @param   {string}        [basePath] - Path of the object, for error messages
+* @returns {Object}        A `{ paramName: rule }` object
+*/
+function compileProperties(properties, requiredNames, basePath = '') {
+
+    let rules = {};
+
+    if (!(requiredNames === undefined || Array.isArray(requiredNames))) {
+        throw new Error(`The required keyword in the schema for ${basePath || 'the parameters'} must be an array.`);
+    }
+
+    for (let name in properties) {
+        let schema = properties[name],
+            path = basePath ? `${basePath}.${name}` : name,
+            required = (Array.isArray(requiredNames) && requiredNames.includes(name)) || schema.required === true;
+
+        rules[name] = compileParamSchema(schema, path, required);
+    }
+    return rules;
+}
+
+/**
+* @param   {Object}  schema - Schema of a single parameter
+* @param   {string}  path - The parameter's path, for error messages
+* @param   {boolean} required - Whether the parameter is required
+* @returns {Object}  rule object
+*/
+function compileParamSchema(schema, path, required) {
+
+    if (!isPlainObject(schema)) {
+        throw new Error(`The schema for the parameter ${path} must be an object.`);
+    }
+
+    for (let key in schema) {
+        if (!schemaKeywords.includes(key)) {
+            throw new Error(`The schema for the parameter ${path} has an unsupported keyword '${key}'.`);
+        }
+    }
+
+    let rule = {},
+        validate = compileValidator(schema, path);
+
+    if (validate) {
+        rule.validate = validate;
+    }
+    if (!required) {
+        rule.optional = true;
+    }
+    if (Object.prototype.hasOwnProperty.call(schema, 'default')) {
+        rule.default = schema.default;
+    }
+    if (schema.description !== undefined) {
+        rule.description = schema.description;
+    }
+    if (schema.properties !== undefined) {
+        if (!isPlainObject(schema.properties)) {
+            throw new Error(`The properties keyword in the schema for the parameter ${path} must be an object.`);
+        }
+        let requiredNames = Array.isArray(schema.required) ? schema.required : [];
+        rule.requirements = [ compileProperties(schema.properties, requiredNames, path) ];
+    }
+    if (schema.items !== undefined) {
+        // Each of the items is validated like a required parameter, with a path like `tags[2]`.
+        rule.items = compileParamSchema(schema.items, `${path}[]`, true);
+    }
+    for (let keyword of [ 'minItems', 'maxItems', 'uniqueItems' ]) {
+        if (schema[keyword] !== undefined) {
+            rule[keyword] = schema[keyword];
+        }
+    }
+    return rule;
+}
+
+/**
+* Combines the validators corresponding to the keywords in a schema.
+*
+* @param   {Object}             schema
+* @param   {string}             path - The parameter's path, for error messages
+* @returns {function|undefined} validator, or undefined if the schema doesn't constrain the value
+*/
+function compileValidator(schema, path) {
+
+    let { type, pattern, format } = schema,
+        schemaValidators = [];
+
+    if (type !== undefined) {
+        if (!typeValidators[type]) {
+            throw new Error(`The schema for the parameter ${path} has an unsupported type '${type}'.`);
+        }
+        schemaValidators.push(typeValidators[type]);
+    }
+
+    if (schema.enum !== undefined) {
+        if (!Array.isArray(schema.enum)) {
+            throw new Error(`The enum keyword in the schema for the parameter ${path} must be an array.`);
+        }
+        schemaValidators.push(isOneOf(schema.enum));
+    }
+
+    if (pattern !== undefined) {
+        schemaValidators.push(matches(new RegExp(pattern)));
+    }
+
+    if (format !== undefined) {
+        if (!formatValidators[format]) {
+            throw new Error(`The schema for the parameter ${path} has an unsupported format '${format}'.`);
+        }
+        schemaValidators.push(formatValidators[format]);
+    }
+
+    if (schema.minimum !== undefined) {
+        schemaValidators.push(atLeast(schema.minimum));
+    }
+    if (schema.maximum !== undefined) {
+        schemaValidators.push(atMost(schema.maximum));
+    }
+    if (schema.minLength !== undefined) {
+        schemaValidators.push(minLength(schema.minLength));
+    }
+    if (schema.maxLength !== undefined) {
+        schemaValidators.push(maxLength(schema.maxLength));
+    }
+
+    if (schemaValidators.length > 1) {
+        return allOf(...schemaValidators);
+    }
+    return schemaValidators[0];
+}
+
+/**
+* @param   {*}       value
+* @returns {boolean} Whether the value is an object literal or an object without a prototype
+*/
+export function isPlainObject(value) {
+
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    let prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
@@ -0,0 +1,125 @@
+/**
+* A library of functions that coerce or transform parameter values before they're validated and extracted,
+* for use in the `transform` property of rule objects. Parameters from query strings and environment
+* variables, for example, are always strings, even when they represent numbers or booleans.
+*
+* A transform that can't convert a value throws an error whose message describes what it expected, and the
+* parameter is reported as invalid.
+*
+* @example
+* import { validate, transforms, validators } from 'parameter-validator';
+*
+* let { limit } = validate(query, [ { limit: { transform: transforms.toNumber, validate: validators.isPositiveInteger } } ]);
+*/
+
+/**
+* Converts numeric strings to numbers.
+*
+* @param   {number|string} value
+* @returns {number}
+*/
+export function toNumber(value) {
+
+    let number = (typeof value === 'string' && value.trim()) ? Number(value) : value;
+
+    if (typeof number !== 'number' || Number.isNaN(number)) {
+        throw new Error('expected a value that can be converted to a number');
+    }
+    return number;
+}
+
+const trueStrings = [ 'true', '1', 'yes', 'on' ],
+    falseStrings = [ 'false', '0', 'no', 'off' ];
+
+/**
+* Converts strings like 'true', 'yes' and '1' (or 'false', 'no' and '0') and the numbers 1 and 0 to booleans.
+*
+* @param   {boolean|string|number} value
+* @returns {boolean}
+*/
+export function toBoolean(value) {
+
+    if (typeof value === 'boolean') {
+        return value;
+    }
+
+    if ([ 'string', 'number' ].includes(typeof value)) {
+        let normalizedValue = String(value).trim().toLowerCase();
+
+        if (trueStrings.includes(normalizedValue)) {
+            return true;
+        }
+        if (falseStrings.includes(normalizedValue)) {
+            return false;
+        }
+    }
+    throw new Error('expected a value that can be converted to a boolean');
+}
+
+/**
+* Converts date strings and timestamps to `Date` objects.
+*
+* @param   {Date|string|number} value
+* @returns {Date}
+*/
+export function toDate(value) {
+
+    let date = ([ 'string', 'number' ].includes(typeof value) && value !== '') ? new Date(value) : value;
+
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+        throw new Error('expected a value that can be converted to a date');
+    }
+    return date;
+}
+
+/**
+* @param   {string} value
+* @returns {string} The value without leading or trailing whitespace
+*/
+export function trim(value) {
+    return assertString(value).trim();
+}
+
+/**
+* @param   {string} value
+* @returns {string} The value converted to lower case
+*/
+export function lowercase(value) {
+    return assertString(value).toLowerCase();
+}
+
+/**
+* @param   {string} value
+* @returns {string} The value converted to upper case
+*/
+export function uppercase(value) {
+    return assertString(value).toUpperCase();
+}
+
+/**
+* Creates a transform that splits delimited strings like `'red, green,blue'` into arrays of trimmed,
+* non-empty strings. Values that are already arrays are left as they are.
+*
+* @param   {string}   [separator] - Defaults to a comma
+* @returns {function} transform
+*/
+export function splitCsv(separator = ',') {
+
+    return value => {
+
+        if (Array.isArray(value)) {
+            return value;
+        }
+        return assertString(value).split(separator)
+        .map(item => item.trim())
+        .filter(item => item.length);
+    };
+}
+
+function assertString(value) {
+
+    if (typeof value !== 'string') {
+        throw new Error('expected a string');
+    }
+    return value;
+}
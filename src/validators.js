@@ -0,0 +1,267 @@
+/**
+* A library of reusable validation functions, which can be used in `{ paramName: validationFunction }` rules
+* or as the `defaultValidation` of a `ParameterValidator`.
+*
+* Each validator has an `expected` property describing a valid value (e.g. 'a positive integer'), which is
+* used to produce a specific failure message, and a `schema` property with the equivalent JSON Schema keywords
+* (e.g. `{ type: 'integer', minimum: 1 }`), which is used to document the requirements.
+*
+* @example
+* import { validate, validators } from 'parameter-validator';
+*
+* validate(params, [ { name: validators.isNonEmptyString, pageSize: validators.inRange(1, 100) } ]);
+*/
+
+import { testPattern } from './redaction';
+
+/**
+* Creates a validation function that returns true for valid values and describes what it expects.
+*
+* @param   {string}   expected - Description of a valid value, such as 'a positive integer'
+* @param   {function} test - Returns a truthy value if the value provided is valid
+* @param   {Object}   [schema] - JSON Schema keywords that describe valid values, such as `{ type: 'integer', minimum: 1 }`
+* @returns {function} validator
+*/
+export function createValidator(expected, test, schema) {
+
+    if (typeof expected !== 'string' || typeof test !== 'function') {
+        throw new Error('createValidator() requires an expected description string and a test function.');
+    }
+
+    if (!(schema === undefined || (schema !== null && typeof schema === 'object' && !Array.isArray(schema)))) {
+        throw new Error('The schema provided to createValidator() must be an object.');
+    }
+
+    let validator = value => Boolean(test(value));
+    validator.expected = expected;
+
+    if (schema) {
+        validator.schema = schema;
+    }
+    return validator;
+}
+
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+export const isString = createValidator('a string', value => typeof value === 'string', { type: 'string' });
+
+export const isNonEmptyString = createValidator('a non-empty string', value => typeof value === 'string' && value.trim().length > 0, {
+    type: 'string',
+    pattern: '\\S'
+});
+
+export const isNumber = createValidator('a number', value => typeof value === 'number' && !Number.isNaN(value), { type: 'number' });
+
+export const isInteger = createValidator('an integer', value => Number.isInteger(value), { type: 'integer' });
+
+export const isPositiveNumber = createValidator('a positive number', value => isNumber(value) && value > 0, { type: 'number', exclusiveMinimum: 0 });
+
+export const isPositiveInteger = createValidator('a positive integer', value => Number.isInteger(value) && value > 0, { type: 'integer', minimum: 1 });
+
+export const isBoolean = createValidator('a boolean', value => typeof value === 'boolean', { type: 'boolean' });
+
+export const isArray = createValidator('an array', value => Array.isArray(value), { type: 'array' });
+
+export const isObject = createValidator('an object', value => value !== null && typeof value === 'object' && !Array.isArray(value), {
+    type: 'object'
+});
+
+export const isEmail = createValidator('an email address', value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), {
+    type: 'string',
+    format: 'email'
+});
+
+export const isUUID = createValidator('a UUID', value => {
+    return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+}, { type: 'string', format: 'uuid' });
+
+// Dates without times are valid too, so the schema uses the pattern rather than the 'date-time' format.
+export const isISODate = createValidator('an ISO 8601 date string', value => {
+    return typeof value === 'string' && isoDatePattern.test(value) && !Number.isNaN(Date.parse(value));
+}, { type: 'string', pattern: isoDatePattern.source });
+
+/**
+* @param   {function} validator - Validation function applied to each item
+* @returns {function} Validator for arrays whose items all pass the given validator
+*/
+export function isArrayOf(validator) {
+
+    if (typeof validator !== 'function') {
+        throw new Error('isArrayOf() requires a validation function.');
+    }
+    let itemDescription = validator.expected || 'valid',
+        schema = validator.schema ? { type: 'array', items: validator.schema } : { type: 'array' };
+
+    return createValidator(`an array whose items are each ${itemDescription}`, value => {
+        return Array.isArray(value) && value.every(item => validator(item) === true);
+    }, schema);
+}
+
+/**
+* @param   {Array}    allowedValues
+* @returns {function} Validator for values that are strictly equal to one of the allowed values
+*/
+export function isOneOf(allowedValues) {
+
+    if (!Array.isArray(allowedValues)) {
+        throw new Error('isOneOf() requires an array of allowed values.');
+    }
+    let description = allowedValues.map(allowedValue => `'${allowedValue}'`).join(', ');
+
+    return createValidator(`one of ${description}`, value => allowedValues.includes(value), { enum: allowedValues.slice() });
+}
+
+/**
+* @param   {RegExp}   pattern
+* @returns {function} Validator for strings that match the pattern
+*/
+export function matches(pattern) {
+
+    if (!(pattern instanceof RegExp)) {
+        throw new Error('matches() requires a regular expression.');
+    }
+
+    // JSON Schema patterns don't have flags, so a pattern whose flags change what it matches isn't included in the schema.
+    let schema = /[ims]/.test(pattern.flags) ? { type: 'string' } : { type: 'string', pattern: pattern.source };
+
+    return createValidator(`a string matching ${pattern}`, value => typeof value === 'string' && testPattern(pattern, value), schema);
+}
+
+/**
+* @param   {number}   length
+* @returns {function} Validator for strings or arrays with at least the given length
+*/
+export function minLength(length) {
+
+    assertLength(length, 'minLength');
+
+    // The value can be a string or an array, so the schema includes the keywords for both.
+    return createValidator(`a value with a length of at least ${length}`, value => {
+        return hasLength(value) && value.length >= length;
+    }, { minLength: length, minItems: length });
+}
+
+/**
+* @param   {number}   length
+* @returns {function} Validator for strings or arrays with at most the given length
+*/
+export function maxLength(length) {
+
+    assertLength(length, 'maxLength');
+
+    return createValidator(`a value with a length of at most ${length}`, value => {
+        return hasLength(value) && value.length <= length;
+    }, { maxLength: length, maxItems: length });
+}
+
+/**
+* @param   {number}   min
+* @param   {number}   max
+* @returns {function} Validator for numbers between min and max, inclusive
+*/
+export function inRange(min, max) {
+
+    if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+        throw new Error('inRange() requires a minimum and maximum number, where the minimum is not greater than the maximum.');
+    }
+
+    return createValidator(`a number from ${min} to ${max}`, value => isNumber(value) && value >= min && value <= max, {
+        type: 'number',
+        minimum: min,
+        maximum: max
+    });
+}
+
+/**
+* @param   {number}   min
+* @returns {function} Validator for numbers greater than or equal to min
+*/
+export function atLeast(min) {
+
+    if (typeof min !== 'number') {
+        throw new Error('atLeast() requires a minimum number.');
+    }
+
+    return createValidator(`a number of at least ${min}`, value => isNumber(value) && value >= min, { type: 'number', minimum: min });
+}
+
+/**
+* @param   {number}   max
+* @returns {function} Validator for numbers less than or equal to max
+*/
+export function atMost(max) {
+
+    if (typeof max !== 'number') {
+        throw new Error('atMost() requires a maximum number.');
+    }
+
+    return createValidator(`a number of at most ${max}`, value => isNumber(value) && value <= max, { type: 'number', maximum: max });
+}
+
+/**
+* Combines validators into one that requires a value to pass all of them. When the value fails, the
+* combined validator returns the reason, which describes what the first failing validator expected.
+*
+* @param   {...function} validators
+* @returns {function}    Validator that passes values which pass all of the given validators
+*/
+export function allOf(...validators) {
+
+    if (!validators.every(validator => typeof validator === 'function')) {
+        throw new Error('allOf() requires validation functions.');
+    }
+
+    let combinedValidator = value => {
+
+        for (let validator of validators) {
+            let result = validator(value);
+
+            if (result !== true) {
+                if (typeof result === 'string') {
+                    return result;
+                }
+                return validator.expected ? `expected ${validator.expected}` : false;
+            }
+        }
+        return true;
+    };
+    combinedValidator.expected = validators.map(validator => validator.expected || 'valid').join(' and ');
+
+    if (validators.some(validator => validator.schema)) {
+        combinedValidator.schema = mergeSchemas(validators.map(validator => validator.schema || {}));
+    }
+    return combinedValidator;
+}
+
+/**
+* Combines the schemas of validators that a value must pass all of. When one schema's type is 'integer' and another's
+* is 'number', the combined type is 'integer', since integers are the values that pass both.
+*
+* @param   {Array}  schemas
+* @returns {Object} schema
+*/
+function mergeSchemas(schemas) {
+
+    return schemas.reduce((mergedSchema, schema) => {
+
+        let { type } = mergedSchema;
+
+        Object.assign(mergedSchema, schema);
+
+        if (type === 'integer' && schema.type === 'number') {
+            mergedSchema.type = type;
+        }
+        return mergedSchema;
+    }, {});
+}
+
+function hasLength(value) {
+    return typeof value === 'string' || Array.isArray(value);
+}
+
+function assertLength(length, validatorName) {
+
+    if (!Number.isInteger(length) || length < 0) {
+        throw new Error(`${validatorName}() requires a non-negative integer length.`);
+    }
+}
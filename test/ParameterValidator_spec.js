@@ -1,7 +1,12 @@
 import { expect, fail } from 'chai';
+import http from 'http';
+import querystring from 'querystring';
 import sinon from 'sinon';
+import { Readable } from 'stream';
 import ParameterValidator from '../src/ParameterValidator';
-import { ParameterValidationError } from '../src/ParameterValidator';
+import {
+    ParameterValidationError, combinators, transforms, validateArgs, validateEach, validateSafe, validateSafeAsync, validateValue, validators
+} from '../src/ParameterValidator';
 
 describe('ParameterValidator', () => {
     let parameterValidator;
@@ -198,6 +203,88 @@ describe('ParameterValidator', () => {
             });
         });
 
+        describe('combinators for groups of parameters', () => {
+
+            let { xor, allOrNone, forbiddenWith, when } = combinators;
+
+            it('xor() requires exactly one of the parameters', () => {
+
+                expect(parameterValidator.validate({ email: 'paula@example.com' }, [ xor('id', 'email') ])).to.deep.equal({ email: 'paula@example.com' });
+
+                [ {}, { id: 'user1', email: 'paula@example.com' } ].forEach(params => {
+                    try {
+                        parameterValidator.validate(params, [ xor('id', 'email') ]);
+                        fail();
+                    } catch (error) {
+                        expect(error).to.be.instanceof(ParameterValidationError);
+                        expect(error.errors).to.deep.equal([ {
+                            paramNames: [ 'id', 'email' ],
+                            rule: 'xor',
+                            message: 'Exactly one of the following parameters must be included: \'id\', \'email\'.'
+                        } ]);
+                    }
+                });
+            });
+
+            it('allOrNone() requires all of the parameters or none of them', () => {
+
+                expect(parameterValidator.validate({ lat: 39.8, lng: -86.1 }, [ allOrNone('lat', 'lng') ])).to.deep.equal({ lat: 39.8, lng: -86.1 });
+                expect(parameterValidator.validate({}, [ allOrNone('lat', 'lng') ])).to.deep.equal({});
+                expect(() => parameterValidator.validate({ lat: 39.8 }, [ allOrNone('lat', 'lng') ]))
+                .to.throw(ParameterValidationError, 'Either all or none of the following parameters must be included: \'lat\', \'lng\'.');
+            });
+
+            it('forbiddenWith() forbids a parameter from being included along with the others', () => {
+
+                let rules = [ forbiddenWith('password', 'ssoToken', 'apiKey'), { password: { optional: true }, ssoToken: { optional: true } } ];
+
+                expect(parameterValidator.validate({ password: 'hunter2' }, rules)).to.deep.equal({ password: 'hunter2' });
+                expect(parameterValidator.validate({ ssoToken: 'abc' }, rules)).to.deep.equal({ ssoToken: 'abc' });
+
+                try {
+                    parameterValidator.validate({ password: 'hunter2', ssoToken: 'abc' }, rules);
+                    fail();
+                } catch (error) {
+                    expect(error.errors).to.deep.equal([ {
+                        paramNames: [ 'password', 'ssoToken' ],
+                        rule: 'forbiddenWith',
+                        message: 'The parameter \'password\' must not be included along with \'ssoToken\'.'
+                    } ]);
+                }
+            });
+
+            it('when() applies requirements only if a parameter meets the condition', () => {
+
+                let rules = [ 'paymentMethod', when('paymentMethod', 'card', [ 'cardNumber' ], [ { accountNumber: { optional: true } } ]) ];
+
+                expect(parameterValidator.validate({ paymentMethod: 'card', cardNumber: '4111' }, rules)).to.deep.equal({ paymentMethod: 'card', cardNumber: '4111' });
+                expect(parameterValidator.validate({ paymentMethod: 'cash' }, rules)).to.deep.equal({ paymentMethod: 'cash' });
+                expect(() => parameterValidator.validate({ paymentMethod: 'card' }, rules))
+                .to.throw(ParameterValidationError, 'Invalid value of \'undefined\' was provided for parameter \'cardNumber\'.');
+            });
+
+            it('can be used within nested requirements and reports full paths', () => {
+
+                let rules = [ { payment: [ xor('cardNumber', 'accountNumber'), when('method', method => method !== 'cash', [ 'billingZip' ]) ] } ];
+
+                try {
+                    parameterValidator.validate({ payment: { method: 'card' } }, rules);
+                    fail();
+                } catch (error) {
+                    expect(error.message).to.equal('Exactly one of the following parameters must be included: \'payment.cardNumber\', \'payment.accountNumber\'. ' +
+                        'Invalid value of \'undefined\' was provided for parameter \'payment.billingZip\'.');
+                }
+            });
+
+            it('count as references to their parameters in strict mode', () => {
+
+                let rules = [ xor('id', 'email'), forbiddenWith('password', 'ssoToken'), when('type', 'admin', [ 'scope' ]) ],
+                    params = { email: 'paula@example.com', ssoToken: 'abc', type: 'admin', scope: 'all' };
+
+                expect(parameterValidator.validate(params, rules, null, { strict: true })).to.deep.equal({ email: 'paula@example.com', scope: 'all' });
+            });
+        });
+
         describe('execution of custom validation functions', () => {
             it('should return the parameters specified if they passes validation', () => {
                 var animalNames = {
@@ -350,111 +437,2321 @@ describe('ParameterValidator', () => {
             });
         });
 
-        describe('addPrefix option', () => {
+        describe('nested parameter validation', () => {
 
-            let animalNames,
-                accumulator;
+            let params;
 
             beforeEach(() => {
 
-                animalNames = {
-                    dog: 'Scooby',
-                    bear: 'Yogi',
-                    penguin: 'Tux'
+                params = {
+                    user: {
+                        name: 'Paula',
+                        email: 'paula@example.com',
+                        address: { zip: '46256', city: 'Indianapolis' }
+                    },
+                    items: [ { id: 'a1', quantity: 2 } ]
                 };
+            });
 
-                accumulator = {};
+            it('validates and extracts parameters specified by path, using the path as the property name', () => {
+
+                let extractedParams = parameterValidator.validate(params, [ 'user.address.zip', { 'items[0].id': id => id === 'a1' } ]);
+
+                expect(extractedParams).to.deep.equal({
+                    'user.address.zip': '46256',
+                    'items[0].id': 'a1'
+                });
             });
 
-            it(`throws an error when a value is provided that's not a string`, () => {
+            it('validates the properties of a nested object using a nested array of requirements', () => {
+
+                let extractedParams = parameterValidator.validate(params, [ { user: [ 'name', 'email', { address: [ 'zip' ] } ] } ]);
+
+                expect(extractedParams).to.deep.equal({
+                    'user.name': 'Paula',
+                    'user.email': 'paula@example.com',
+                    'user.address.zip': '46256'
+                });
+            });
+
+            it('rebuilds the nested objects when the shape option is "nested"', () => {
+
+                let accumulator = {};
+
+                parameterValidator.validate(params, [ { user: [ 'name', 'address.zip' ] }, 'items[0].id' ], accumulator, { shape: 'nested', addPrefix: '_' });
+
+                expect(accumulator).to.deep.equal({
+                    _user: { name: 'Paula', address: { zip: '46256' } },
+                    _items: [ { id: 'a1' } ]
+                });
+            });
+
+            it('reports the full path of invalid nested parameters', () => {
 
                 try {
-                    parameterValidator.validate(animalNames, [ 'penguin', 'bear' ], accumulator, { addPrefix: 4 });
+                    parameterValidator.validate(params, [ { user: [ 'phone', [ 'address.state', 'address.country' ] ] }, { items: [ '[1].id' ] } ]);
                     fail();
                 } catch (error) {
-                    expect(error).to.be.instanceof(Error);
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.message).to.equal('Invalid value of \'undefined\' was provided for parameter \'user.phone\'. ' +
+                        'One of the following parameters must be included: \'user.address.state\', \'user.address.country\'. ' +
+                        'Invalid value of \'undefined\' was provided for parameter \'items[1].id\'.');
+                    expect(error.errors.map(({ paramNames }) => paramNames)).to.deep.equal([
+                        [ 'user.phone' ],
+                        [ 'user.address.state', 'user.address.country' ],
+                        [ 'items[1].id' ]
+                    ]);
                 }
             });
 
-            it('adds a given string prefix to the validated properties it extracts', () => {
+            it('throws a ParameterValidationError if a parameter with nested requirements is not an object', () => {
 
-                parameterValidator.validate(animalNames, [ 'penguin', 'bear' ], accumulator, { addPrefix: '_' });
-                expect(accumulator).to.deep.equal({
-                    _penguin: 'Tux',
-                    _bear: 'Yogi'
-                });
+                try {
+                    parameterValidator.validate({ user: 'Paula' }, [ { user: [ 'name' ] } ]);
+                    fail();
+                } catch (error) {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.message).to.equal('Invalid value of \'Paula\' was provided for parameter \'user\'.');
+                }
+            });
+
+            it('validates the properties of an optional nested object using the requirements property of a rule object', () => {
+
+                let rules = [ { billing: { optional: true, requirements: [ 'zip' ] } } ];
+
+                expect(parameterValidator.validate({}, rules)).to.deep.equal({});
+                expect(parameterValidator.validate({ billing: { zip: '46256', city: 'Indianapolis' } }, rules)).to.deep.equal({ 'billing.zip': '46256' });
+                expect(() => parameterValidator.validate({ billing: {} }, rules)).to.throw(ParameterValidationError, 'billing.zip');
+            });
+
+            it('throws an error when an invalid shape option is provided', () => {
+
+                expect(() => parameterValidator.validate(params, [ 'user' ], null, { shape: 'round' })).to.throw(Error, /shape/);
             });
         });
 
-        describe('errorClass option', () => {
+        describe('custom error messages', () => {
 
-            it('allows a different Error subclass to be used instead of ParameterValidationError', () => {
+            it('uses a string returned by a validation function as the reason the value is invalid', () => {
 
-                class CustomValidationError extends Error {
-                    constructor(message) {
-                        super(message);
-                        this.name = this.constructor.name;
-                        this.message = message;
-                        if (Error.captureStackTrace) {
-                            Error.captureStackTrace(this, this.constructor.name);
-                        }
-                    }
+                try {
+                    parameterValidator.validate({ age: 12 }, [ { age: val => val >= 18 || 'must be at least 18' } ]);
+                    fail();
+                } catch (error) {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.message).to.equal('Invalid value of \'12\' was provided for parameter \'age\': must be at least 18.');
+                    expect(error.errors[0].reason).to.equal('must be at least 18');
                 }
-                let lilBub = { type: 'cat' };
+            });
+
+            it('uses the message of an object returned by a validation function as the reason the value is invalid', () => {
 
                 try {
-                    parameterValidator.validate(lilBub, [ 'type', 'interests' ], null, { errorClass: CustomValidationError });
-                    expect(`failing the test because an error wasn't thrown`).to.equal(true);
+                    parameterValidator.validate({ cat: 'Sylvester' }, [ { cat: name => catNameIsCool(name) || { message: 'Not a president.' } } ]);
+                    fail();
                 } catch (error) {
-                    expect(error).to.be.instanceof(CustomValidationError);
-                    expect(error.message).to.include('interests');
+                    expect(error.message).to.equal('Invalid value of \'Sylvester\' was provided for parameter \'cat\': Not a president.');
+                }
+            });
+
+            it('uses the message of a rule object instead of the default message', () => {
+
+                try {
+                    parameterValidator.validate({ age: 12 }, [ { age: { validate: val => val >= 18, message: 'age must be at least 18' } } ]);
+                    fail();
+                } catch (error) {
+                    expect(error.message).to.equal('age must be at least 18');
+                    expect(error.errors[0]).to.deep.equal({ paramNames: [ 'age' ], rule: 'custom', value: 12, message: 'age must be at least 18' });
+                }
+            });
+
+            it('calls a message function of a rule object with the value and path', () => {
+
+                let rules = [ { user: [ { age: { validate: val => val >= 18, message: (val, path) => `${path} is only ${val}` } } ] } ];
+
+                expect(() => parameterValidator.validate({ user: { age: 12 } }, rules)).to.throw(ParameterValidationError, 'user.age is only 12');
+            });
+
+            it('uses the defaultValidation for a rule object without a validate function', () => {
+
+                try {
+                    parameterValidator.validate({}, [ { name: { message: 'Please tell us your name.' } } ]);
+                    fail();
+                } catch (error) {
+                    expect(error.message).to.equal('Please tell us your name.');
+                    expect(error.errors[0].rule).to.equal('required');
                 }
             });
+
+            it('throws an error for a rule object with an unsupported property', () => {
+
+                expect(() => parameterValidator.validate({ age: 40 }, [ { age: { validator: val => val > 30 } } ])).to.throw(Error, /validator/);
+            });
         });
-    });
 
-    describe('validateAsync()', () => {
+        describe('optional parameters', () => {
 
-        it('calls validate() asynchronously', () => {
+            it('validates and extracts an optional parameter if it is provided', () => {
 
-            let expectedReturnValue = { testParam: 'first', testParam2: 'second' };
-            let params = [ { first: true }, [ 'second' ] ];
-            sinon.stub(parameterValidator, 'validate').returns(Promise.resolve(expectedReturnValue));
+                let extractedParams = parameterValidator.validate({ pageSize: 10 }, [ { pageSize: { validate: validators.isPositiveInteger, optional: true } } ]);
 
-            return parameterValidator.validateAsync(...params)
-            .then(validatedParams => {
-                expect(parameterValidator.validate.callCount).to.equal(1);
-                expect(parameterValidator.validate.firstCall.args).to.deep.equal(params);
-                expect(validatedParams).to.deep.equal(expectedReturnValue);
+                expect(extractedParams).to.deep.equal({ pageSize: 10 });
+                expect(() => parameterValidator.validate({ pageSize: '10' }, [ { pageSize: { validate: validators.isPositiveInteger, optional: true } } ]))
+                .to.throw(ParameterValidationError, 'Invalid value of \'10\' was provided for parameter \'pageSize\': expected a positive integer.');
+            });
+
+            it('does not extract an omitted optional parameter without a default', () => {
+
+                let extractedParams = parameterValidator.validate({ name: 'Paula' }, [ 'name', { nickname: { optional: true } } ]);
+
+                expect(extractedParams).to.deep.equal({ name: 'Paula' });
+                expect(extractedParams).not.to.have.property('nickname');
+            });
+
+            it('extracts the default value of an omitted parameter', () => {
+
+                let rules = [ { pageSize: { validate: validators.inRange(1, 100), default: 25 } } ];
+
+                expect(parameterValidator.validate({}, rules)).to.deep.equal({ pageSize: 25 });
+                expect(parameterValidator.validate({ pageSize: 50 }, rules)).to.deep.equal({ pageSize: 50 });
+            });
+
+            it('assigns the default value to an existing object using the prefix', () => {
+
+                let accumulator = { _logger: console };
+
+                parameterValidator.validate({ name: 'Paula' }, [ 'name', { pageSize: { default: 25 }, sort: { optional: true } } ], accumulator, { addPrefix: '_' });
+
+                expect(accumulator).to.deep.equal({ _logger: console, _name: 'Paula', _pageSize: 25 });
+            });
+
+            it('throws an error if the optional property is not a boolean', () => {
+
+                expect(() => parameterValidator.validate({}, [ { pageSize: { optional: 'yes' } } ])).to.throw(Error, /optional/);
             });
         });
 
-        it('wraps errors thrown by validate() in a promise', () => {
+        describe('value transforms', () => {
 
-            let expectedError = new Error('Uh oh...');
-            parameterValidator.validate = () => { throw expectedError; };
+            it('extracts the transformed value', () => {
 
-            return parameterValidator.validateAsync()
-            .then(() => {
-                throw new Error(`validate() didn't throw an error like it's supposed to.`);
-            })
-            .catch(error => {
-                expect(error).to.equal(expectedError);
+                let query = { limit: '5', verbose: 'yes', tags: 'red, blue', name: '  Paula ' };
+
+                let extractedParams = parameterValidator.validate(query, [ {
+                    limit: { transform: transforms.toNumber, validate: validators.isPositiveInteger },
+                    verbose: { transform: transforms.toBoolean },
+                    tags: { transform: transforms.splitCsv() },
+                    name: { transform: [ transforms.trim, transforms.lowercase, name => name.replace('paula', 'paula p.') ] }
+                } ]);
+
+                expect(extractedParams).to.deep.equal({ limit: 5, verbose: true, tags: [ 'red', 'blue' ], name: 'paula p.' });
+            });
+
+            it('validates the transformed value and includes both values in the error details', () => {
+
+                try {
+                    parameterValidator.validate({ limit: '-5' }, [ { limit: { transform: transforms.toNumber, validate: validators.isPositiveInteger } } ]);
+                    fail();
+                } catch (error) {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.errors).to.deep.equal([ {
+                        paramNames: [ 'limit' ],
+                        rule: 'custom',
+                        value: -5,
+                        rawValue: '-5',
+                        expected: 'a positive integer',
+                        message: 'Invalid value of \'-5\' was provided for parameter \'limit\': expected a positive integer.'
+                    } ]);
+                }
+            });
+
+            it('reports a value that cannot be transformed as invalid', () => {
+
+                try {
+                    parameterValidator.validate({ limit: ' five ' }, [ { limit: { transform: [ transforms.trim, transforms.toNumber ] } } ]);
+                    fail();
+                } catch (error) {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.errors).to.deep.equal([ {
+                        paramNames: [ 'limit' ],
+                        rule: 'transform',
+                        value: 'five',
+                        rawValue: ' five ',
+                        reason: 'expected a value that can be converted to a number',
+                        message: 'Invalid value of \' five \' was provided for parameter \'limit\': expected a value that can be converted to a number.'
+                    } ]);
+                }
+            });
+
+            it('does not transform omitted parameters', () => {
+
+                let rules = [ { limit: { transform: transforms.toNumber, default: 10 } }, { offset: { transform: transforms.toNumber } } ];
+
+                try {
+                    parameterValidator.validate({}, rules);
+                    fail();
+                } catch (error) {
+                    expect(error.errors).to.have.length(1);
+                    expect(error.errors[0].rule).to.equal('required');
+                    expect(error.errors[0].paramNames).to.deep.equal([ 'offset' ]);
+                }
+            });
+
+            it('throws an error if a transform is not a function', () => {
+
+                expect(() => parameterValidator.validate({ limit: '5' }, [ { limit: { transform: 'number' } } ])).to.throw(Error, /transform/);
             });
         });
-    });
-});
 
-function catNameIsCool(name) {
-    var presidents = ['Lincoln', 'Washington', 'Roosevelt', 'Garfield'];
-    return presidents.indexOf(name) !== -1;
-}
+        describe('declarative parameter descriptions', () => {
 
-function dogNameIsCool(name) {
-    var composers = ['Tchaikovsky', 'Gershwin', 'Beethoven'];
-    return composers.indexOf(name) !== -1;
-}
+            it('validates parameters using descriptions mixed with other kinds of rules', () => {
 
-function cloneDeep(object) {
-    return JSON.parse(JSON.stringify(object));
+                let rules = [
+                    'name',
+                    { name: 'age', type: 'integer', required: true, minimum: 0 },
+                    { name: 'size', enum: [ 'small', 'large' ], default: 'small' },
+                    { email: validators.isEmail }
+                ];
+
+                let extractedParams = parameterValidator.validate({ name: 'Paula', age: 30, email: 'paula@example.com' }, rules);
+                expect(extractedParams).to.deep.equal({ name: 'Paula', age: 30, size: 'small', email: 'paula@example.com' });
+
+                try {
+                    parameterValidator.validate({ name: 'Paula', age: -1, size: 'medium', email: 'paula@example.com' }, rules);
+                    fail();
+                } catch (error) {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.message).to.equal('Invalid value of \'-1\' was provided for parameter \'age\': expected a number of at least 0. ' +
+                        'Invalid value of \'medium\' was provided for parameter \'size\': expected one of \'small\', \'large\'.');
+                }
+            });
+
+            it('validates parameters using an object schema', () => {
+
+                let schema = {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        user: {
+                            type: 'object',
+                            properties: { name: { type: 'string' }, nickname: { type: 'string' } },
+                            required: [ 'name' ]
+                        },
+                        tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+                    },
+                    required: [ 'id', 'user' ]
+                };
+
+                let params = { id: '3b241101-e2bb-4255-8caf-4136c566a962', user: { name: 'Paula' }, tags: [ 'a' ] };
+
+                expect(parameterValidator.validate(params, [ schema ], null, { shape: 'nested' })).to.deep.equal(params);
+
+                try {
+                    parameterValidator.validate({ user: { nickname: 7 }, tags: [ '' ] }, [ schema ]);
+                    fail();
+                } catch (error) {
+                    expect(error.errors.map(({ paramNames }) => paramNames[0])).to.deep.equal([ 'id', 'user.name', 'user.nickname', 'tags[0]' ]);
+                }
+            });
+        });
+
+        describe('collection rules', () => {
+
+            let tagsRule = { items: validators.isNonEmptyString, minItems: 1, maxItems: 3, uniqueItems: true };
+
+            it('validates each of the items of an array and extracts the array', () => {
+
+                expect(parameterValidator.validate({ tags: [ 'a', 'b' ] }, [ { tags: tagsRule } ])).to.deep.equal({ tags: [ 'a', 'b' ] });
+            });
+
+            it('pinpoints the items that are invalid', () => {
+
+                try {
+                    parameterValidator.validate({ tags: [ 'a', 'b', '', 4 ] }, [ { tags: { items: validators.isNonEmptyString } } ]);
+                    fail();
+                } catch (error) {
+                    expect(error.message).to.equal(`Invalid value of '' was provided for parameter 'tags[2]': expected a non-empty string. ` +
+                        `Invalid value of '4' was provided for parameter 'tags[3]': expected a non-empty string.`);
+                    expect(error.errors.map(detail => [ detail.paramNames[0], detail.rule, detail.value ])).to.deep.equal([
+                        [ 'tags[2]', 'custom', '' ],
+                        [ 'tags[3]', 'custom', 4 ]
+                    ]);
+                }
+            });
+
+            it('reports arrays with too few or too many items and items that are not unique', () => {
+
+                let { errors } = parameterValidator.validateSafe({ tags: [], labels: [ 'a', 'b', 'c', 'd' ], codes: [ 'a', 'b', 'a' ] }, [
+                    { tags: tagsRule, labels: tagsRule, codes: tagsRule }
+                ]);
+
+                expect(errors.map(detail => [ detail.paramNames[0], detail.rule, detail.expected ])).to.deep.equal([
+                    [ 'tags', 'minItems', 'at least 1 item' ],
+                    [ 'labels', 'maxItems', 'at most 3 items' ],
+                    [ 'codes[2]', 'uniqueItems', 'a unique item' ]
+                ]);
+                expect(errors[1].message).to.equal(`Invalid value of 'a,b,c,d' was provided for parameter 'labels': expected at most 3 items.`);
+                expect(errors[2].message).to.equal(`Invalid value of 'a' was provided for parameter 'codes[2]': expected a unique item.`);
+            });
+
+            it('compares the keys returned by a uniqueItems function', () => {
+
+                let { errors } = parameterValidator.validateSafe({ lines: [ { sku: 'a' }, { sku: 'b' }, { sku: 'a' } ] }, [ { lines: { uniqueItems: line => line.sku } } ]);
+                expect(errors.map(detail => detail.paramNames[0])).to.deep.equal([ 'lines[2]' ]);
+            });
+
+            it('reports a value that is not an array', () => {
+
+                expect(() => parameterValidator.validate({ tags: 'a,b' }, [ { tags: tagsRule } ]))
+                    .to.throw(ParameterValidationError, `Invalid value of 'a,b' was provided for parameter 'tags': expected an array.`);
+                expect(() => parameterValidator.validate({}, [ { tags: tagsRule } ]))
+                    .to.throw(ParameterValidationError, `Invalid value of 'undefined' was provided for parameter 'tags'.`);
+            });
+
+            it('extracts the items after their transforms and applies uniqueness to the transformed items', () => {
+
+                let rule = { items: { transform: transforms.trim, validate: validators.isNonEmptyString }, uniqueItems: true };
+
+                expect(parameterValidator.validate({ tags: [ ' a', 'b ' ] }, [ { tags: rule } ])).to.deep.equal({ tags: [ 'a', 'b' ] });
+                expect(() => parameterValidator.validate({ tags: [ ' a', 'a ' ] }, [ { tags: rule } ])).to.throw(ParameterValidationError, `'tags[1]'`);
+                expect(parameterValidator.validate({ tags: [ 'a', undefined ] }, [ { tags: { items: { optional: true, default: 'none' } } } ])).to.deep.equal({ tags: [ 'a', 'none' ] });
+            });
+
+            it('validates arrays of objects against nested requirements for their items', () => {
+
+                let params = { lines: [ { sku: 'a1', quantity: 2, note: 'gift' }, { quantity: 0 } ] },
+                    rule = { items: [ 'sku', { quantity: validators.isPositiveInteger } ], minItems: 1 };
+
+                expect(parameterValidator.validate({ lines: [ params.lines[0] ] }, [ { lines: rule } ])).to.deep.equal({ lines: [ { sku: 'a1', quantity: 2 } ] });
+                expect(parameterValidator.validate({ lines: [ params.lines[0] ] }, [ { lines: rule } ], null, { stripUnknown: false }))
+                    .to.deep.equal({ lines: [ { sku: 'a1', quantity: 2, note: 'gift' } ] });
+
+                try {
+                    parameterValidator.validate(params, [ { lines: rule } ]);
+                    fail();
+                } catch (error) {
+                    expect(error.errors.map(detail => detail.paramNames[0])).to.deep.equal([ 'lines[1].sku', 'lines[1].quantity' ]);
+                }
+            });
+
+            it('supports asynchronous validation of the items', () => {
+
+                let isExistingUser = userId => Promise.resolve(userId !== 'user2');
+
+                return parameterValidator.validateAsync({ userIds: [ 'user1', 'user2' ] }, [ { userIds: { items: isExistingUser } } ])
+                .then(() => fail())
+                .catch(error => {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.errors.map(detail => detail.paramNames[0])).to.deep.equal([ 'userIds[1]' ]);
+                });
+            });
+
+            it('redacts the items of sensitive arrays', () => {
+
+                let { errors } = parameterValidator.validateSafe({ codes: [ 'abc' ] }, [ { codes: { items: validators.isInteger, sensitive: true } } ]);
+                expect(errors[0]).to.include({ value: '[REDACTED]', message: `Invalid value of '[REDACTED]' was provided for parameter 'codes[0]': expected an integer.` });
+            });
+
+            it('throws an error for malformed collection rules', () => {
+
+                expect(() => parameterValidator.compile([ { tags: { items: 4 } } ])).to.throw(Error, 'A paramRequirement value provided for the parameter tags[] is not a function.');
+                expect(() => parameterValidator.compile([ { tags: { minItems: -1 } } ])).to.throw(Error, /minItems property .* must be a non-negative integer/);
+                expect(() => parameterValidator.compile([ { tags: { maxItems: 1.5 } } ])).to.throw(Error, /maxItems property .* must be a non-negative integer/);
+                expect(() => parameterValidator.compile([ { tags: { minItems: 3, maxItems: 1 } } ])).to.throw(Error, /must not exceed its maxItems/);
+                expect(() => parameterValidator.compile([ { tags: { uniqueItems: 'yes' } } ])).to.throw(Error, /uniqueItems property .* must be a boolean or function/);
+                expect(() => parameterValidator.compile([ { tags: { items: {}, requirements: [ '[0]' ] } } ])).to.throw(Error, /can't have both requirements and collection rules/);
+            });
+        });
+
+        describe('rule severity', () => {
+
+            let requirements = [
+                'name',
+                { legacyId: { optional: true, validate: () => 'is deprecated', severity: 'warning' } },
+                { bio: { validate: validators.maxLength(10), severity: 'warning' } }
+            ];
+
+            it('reports the failures of rules whose severity is warning to the onWarning hook and still extracts the params', () => {
+
+                let onWarning = sinon.spy(),
+                    extractedParams = parameterValidator.validate({ name: 'Paula', legacyId: 7, bio: 'A very long biography' }, requirements, null, { onWarning });
+
+                expect(extractedParams).to.deep.equal({ name: 'Paula', legacyId: 7, bio: 'A very long biography' });
+                expect(onWarning.callCount).to.equal(1);
+                expect(onWarning.firstCall.args[0]).to.deep.equal([
+                    {
+                        paramNames: [ 'legacyId' ],
+                        rule: 'custom',
+                        value: 7,
+                        reason: 'is deprecated',
+                        message: `Invalid value of '7' was provided for parameter 'legacyId': is deprecated.`,
+                        severity: 'warning'
+                    },
+                    {
+                        paramNames: [ 'bio' ],
+                        rule: 'custom',
+                        value: 'A very long biography',
+                        expected: 'a value with a length of at most 10',
+                        message: `Invalid value of 'A very long biography' was provided for parameter 'bio': expected a value with a length of at most 10.`,
+                        severity: 'warning'
+                    }
+                ]);
+            });
+
+            it('does not call the onWarning hook if there are no warnings', () => {
+
+                let onWarning = sinon.spy();
+
+                parameterValidator.validate({ name: 'Paula', bio: 'Short' }, requirements, null, { onWarning });
+                expect(onWarning.called).to.equal(false);
+            });
+
+            it('reports warnings even if other rules fail', () => {
+
+                let onWarning = sinon.spy();
+
+                expect(() => parameterValidator.validate({ bio: 'A very long biography' }, requirements, null, { onWarning }))
+                    .to.throw(ParameterValidationError, `Invalid value of 'undefined' was provided for parameter 'name'.`);
+                expect(onWarning.firstCall.args[0].map(warning => warning.paramNames[0])).to.deep.equal([ 'bio' ]);
+
+                let result = parameterValidator.validateSafe({ bio: 'A very long biography' }, requirements, null, { onWarning });
+                expect(result.errors.map(error => error.paramNames[0])).to.deep.equal([ 'name' ]);
+                expect(result.params).to.deep.equal({ bio: 'A very long biography' });
+            });
+
+            it('uses the onWarning hook of the instance unless one is provided in the options', () => {
+
+                let instanceOnWarning = sinon.spy(),
+                    callOnWarning = sinon.spy(),
+                    softValidator = new ParameterValidator({ onWarning: instanceOnWarning }),
+                    params = { name: 'Paula', legacyId: 7 };
+
+                softValidator.validate(params, requirements);
+                softValidator.validate(params, requirements, null, { onWarning: callOnWarning });
+
+                expect(instanceOnWarning.callCount).to.equal(1);
+                expect(callOnWarning.callCount).to.equal(1);
+            });
+
+            it('extracts the transformed value, or the value as it was provided if the transform fails', () => {
+
+                let onWarning = sinon.spy(),
+                    rules = [ { limit: { transform: transforms.toNumber, validate: validators.atMost(100), severity: 'warning' } } ];
+
+                expect(parameterValidator.validate({ limit: '500' }, rules, null, { onWarning })).to.deep.equal({ limit: 500 });
+                expect(parameterValidator.validate({ limit: 'lots' }, rules, null, { onWarning })).to.deep.equal({ limit: 'lots' });
+                expect(onWarning.secondCall.args[0][0]).to.include({ rule: 'transform', severity: 'warning' });
+            });
+
+            it('supports soft rules within nested requirements and collection rules, and as the rules of nested requirements', () => {
+
+                let onWarning = sinon.spy(),
+                    params = { user: { name: 'Paula', nickname: 'P' }, tags: [ 'a', 'b', 'c' ], address: { city: 'Paris' } },
+                    rules = [ {
+                        user: [ 'name', { nickname: { validate: validators.minLength(2), severity: 'warning' } } ],
+                        tags: { items: validators.isString, maxItems: 2, severity: 'warning' },
+                        address: { requirements: [ 'zip' ], severity: 'warning' }
+                    } ];
+
+                expect(parameterValidator.validate(params, rules, null, { onWarning })).to.deep.equal({
+                    'user.name': 'Paula',
+                    'user.nickname': 'P',
+                    tags: [ 'a', 'b', 'c' ],
+                    address: { city: 'Paris' }
+                });
+                expect(onWarning.firstCall.args[0].map(warning => [ warning.paramNames[0], warning.rule ])).to.deep.equal([
+                    [ 'user.nickname', 'custom' ],
+                    [ 'tags', 'maxItems' ],
+                    [ 'address.zip', 'required' ]
+                ]);
+            });
+
+            it('supports soft rules in asynchronous validation and registered rules', () => {
+
+                let onWarning = sinon.spy();
+
+                parameterValidator.registerRule('knownUser', userId => Promise.resolve(userId === 'user1'), { severity: 'warning' });
+
+                return parameterValidator.validateAsync({ userId: 'user2' }, [ 'userId:knownUser' ], null, { onWarning })
+                .then(extractedParams => {
+                    expect(extractedParams).to.deep.equal({ userId: 'user2' });
+                    expect(onWarning.firstCall.args[0][0]).to.include({ rule: 'custom', severity: 'warning' });
+                });
+            });
+
+            it('throws an error for a malformed severity or onWarning hook', () => {
+
+                expect(() => parameterValidator.compile([ { name: { severity: 'info' } } ])).to.throw(Error, `The severity property of the rule provided for the parameter name must be either 'error' or 'warning'.`);
+                expect(() => parameterValidator.registerRule('soft', () => true, { severity: 'info' })).to.throw(Error, `The severity option provided for the rule 'soft' must be either 'error' or 'warning'.`);
+                expect(() => parameterValidator.validate({}, [], null, { onWarning: 'log' })).to.throw(Error, 'onWarning option must be a function if provided.');
+                expect(() => new ParameterValidator({ onWarning: 'log' })).to.throw(ParameterValidationError, 'The optional onWarning parameter provided is not a function.');
+            });
+        });
+
+        describe('aliases', () => {
+
+            let requirements = [ { username: { validate: validators.isNonEmptyString, aliases: [ 'userName', 'login' ] } }, 'email' ];
+
+            it('extracts the value of an alias under the name of the parameter and reports the alias to the onWarning hook', () => {
+
+                let onWarning = sinon.spy(),
+                    extractedParams = parameterValidator.validate({ userName: 'paula', email: 'paula@example.com' }, requirements, null, { onWarning });
+
+                expect(extractedParams).to.deep.equal({ username: 'paula', email: 'paula@example.com' });
+                expect(onWarning.firstCall.args[0]).to.deep.equal([ {
+                    paramNames: [ 'userName', 'username' ],
+                    rule: 'deprecatedAlias',
+                    message: `The parameter 'userName' is deprecated. Use 'username' instead.`,
+                    severity: 'warning'
+                } ]);
+            });
+
+            it('does not report anything if the parameter is provided under its own name', () => {
+
+                let onWarning = sinon.spy();
+
+                expect(parameterValidator.validate({ username: 'paula', email: 'paula@example.com' }, requirements, null, { onWarning }))
+                    .to.deep.equal({ username: 'paula', email: 'paula@example.com' });
+                expect(onWarning.called).to.equal(false);
+            });
+
+            it('validates the value of an alias with the rule of the parameter', () => {
+
+                expect(() => parameterValidator.validate({ login: '', email: 'paula@example.com' }, requirements))
+                    .to.throw(ParameterValidationError, `Invalid value of '' was provided for parameter 'username': expected a non-empty string.`);
+                expect(() => parameterValidator.validate({ email: 'paula@example.com' }, requirements))
+                    .to.throw(ParameterValidationError, `Invalid value of 'undefined' was provided for parameter 'username'`);
+            });
+
+            it('throws an error if an alias and the parameter are provided with different values', () => {
+
+                let onWarning = sinon.spy(),
+                    result = parameterValidator.validateSafe({ username: 'paula', login: 'pdean', email: 'paula@example.com' }, requirements, null, { onWarning });
+
+                expect(result.errors).to.deep.equal([ {
+                    paramNames: [ 'username', 'login' ],
+                    rule: 'aliasConflict',
+                    message: `Different values were provided for the parameter 'username' and its alias 'login'.`
+                } ]);
+                expect(result.params).to.deep.equal({ email: 'paula@example.com' });
+                expect(onWarning.firstCall.args[0].map(warning => warning.paramNames[0])).to.deep.equal([ 'login' ]);
+
+                expect(parameterValidator.validate({ username: 'paula', userName: 'paula', email: 'paula@example.com' }, requirements, null, { onWarning }))
+                    .to.deep.equal({ username: 'paula', email: 'paula@example.com' });
+            });
+
+            it('compares arrays and objects provided for an alias and the parameter by their contents', () => {
+
+                let tagRequirements = [ { tags: { aliases: 'tag' }, filter: { aliases: 'where', optional: true } } ];
+
+                expect(parameterValidator.validate({ tags: [ 'a', 'b' ], tag: [ 'a', 'b' ], filter: { size: [ 'S' ] }, where: { size: [ 'S' ] } }, tagRequirements))
+                    .to.deep.equal({ tags: [ 'a', 'b' ], filter: { size: [ 'S' ] } });
+
+                expect(parameterValidator.validateSafe({ tags: [ 'a', 'b' ], tag: [ 'b', 'a' ] }, tagRequirements).errors.map(({ rule }) => rule))
+                    .to.deep.equal([ 'aliasConflict' ]);
+                expect(parameterValidator.validateSafe({ tags: [ 'a' ], filter: { size: 'S' }, where: { size: 'S', color: 'red' } }, tagRequirements).errors.map(({ rule }) => rule))
+                    .to.deep.equal([ 'aliasConflict' ]);
+            });
+
+            it('honors the addPrefix option and the extractedParams object', () => {
+
+                let extractedParams = { existing: true },
+                    rules = [ { timeout: { aliases: 'timeoutMs', default: 1000 } } ];
+
+                parameterValidator.validate({ timeoutMs: 500 }, rules, extractedParams, { addPrefix: '_' });
+                expect(extractedParams).to.deep.equal({ existing: true, _timeout: 500 });
+                expect(parameterValidator.validate({}, rules)).to.deep.equal({ timeout: 1000 });
+            });
+
+            it('supports aliases of nested parameters relative to the object that contains them', () => {
+
+                let onWarning = sinon.spy(),
+                    rules = [ { address: [ { postalCode: { aliases: 'zip' } } ] } ];
+
+                expect(parameterValidator.validate({ address: { zip: '75001' } }, rules, null, { onWarning })).to.deep.equal({ 'address.postalCode': '75001' });
+                expect(onWarning.firstCall.args[0][0].paramNames).to.deep.equal([ 'address.zip', 'address.postalCode' ]);
+            });
+
+            it('does not treat aliases as unknown parameters', () => {
+
+                expect(parameterValidator.validate({ userName: 'paula', email: 'paula@example.com' }, requirements, null, { strict: true }))
+                    .to.deep.equal({ username: 'paula', email: 'paula@example.com' });
+                expect(parameterValidator.validate({ userName: 'paula', email: 'paula@example.com', role: 'admin' }, requirements, null, { stripUnknown: false }))
+                    .to.deep.equal({ username: 'paula', email: 'paula@example.com', role: 'admin' });
+            });
+
+            it('supports aliases in asynchronous validation', () => {
+
+                let rules = [ { username: { validate: username => Promise.resolve(username === 'paula'), aliases: 'userName' } } ];
+
+                return parameterValidator.validateAsync({ userName: 'paula' }, rules)
+                .then(extractedParams => expect(extractedParams).to.deep.equal({ username: 'paula' }));
+            });
+
+            it('throws an error for malformed aliases', () => {
+
+                expect(() => parameterValidator.compile([ { username: { aliases: [ 'userName', '' ] } } ]))
+                    .to.throw(Error, 'The aliases property of the rule provided for the parameter username must be a non-empty string or an array of them.');
+                expect(() => parameterValidator.compile([ { username: { aliases: 4 } } ])).to.throw(Error, /aliases property/);
+            });
+        });
+
+        describe('built-in validators', () => {
+
+            it('uses the description of what a validator expects in the error message', () => {
+
+                try {
+                    parameterValidator.validate({ age: -3, name: 'Paula' }, [ { age: validators.isPositiveInteger, name: validators.isString } ]);
+                    fail();
+                } catch (error) {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.message).to.equal('Invalid value of \'-3\' was provided for parameter \'age\': expected a positive integer.');
+                    expect(error.errors[0].expected).to.equal('a positive integer');
+                }
+            });
+
+            it('can be used as the defaultValidation', () => {
+
+                parameterValidator = new ParameterValidator({ defaultValidation: validators.isNonEmptyString });
+
+                expect(parameterValidator.validate({ name: 'Paula' }, [ 'name' ])).to.deep.equal({ name: 'Paula' });
+                expect(() => parameterValidator.validate({ name: '' }, [ 'name' ]))
+                .to.throw(ParameterValidationError, 'Invalid value of \'\' was provided for parameter \'name\': expected a non-empty string.');
+            });
+        });
+
+        describe('strict and stripUnknown options', () => {
+
+            let params;
+
+            beforeEach(() => {
+                params = { pageSize: 10, pagesize: 20, query: 'cats', user: { name: 'Paula', isAdmin: true } };
+            });
+
+            it('reports parameters that none of the rules refer to in strict mode', () => {
+
+                try {
+                    parameterValidator.validate(params, [ 'pageSize', [ 'query', 'q' ], 'user' ], null, { strict: true });
+                    fail();
+                } catch (error) {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.message).to.equal('Unknown parameter \'pagesize\' was provided.');
+                    expect(error.errors).to.deep.equal([ { paramNames: [ 'pagesize' ], rule: 'unknown', value: 20, message: 'Unknown parameter \'pagesize\' was provided.' } ]);
+                }
+            });
+
+            it('reports unknown properties of objects whose properties are required by path in strict mode', () => {
+
+                let requirements = [ 'pageSize', 'pagesize', 'query', { 'user.name': validators.isString } ];
+
+                try {
+                    parameterValidator.validate(params, requirements, null, { strict: true });
+                    fail();
+                } catch (error) {
+                    expect(error.errors.map(({ paramNames, value }) => [ paramNames[0], value ])).to.deep.equal([ [ 'user.isAdmin', true ] ]);
+                }
+
+                params.user = { name: 'Paula' };
+                params.items = [ { id: 1, price: 0 } ];
+
+                expect(parameterValidator.validateSafe(params, requirements.concat('items[0].id'), null, { strict: true }).errors.map(({ paramNames }) => paramNames[0]))
+                .to.deep.equal([ 'items[0].price' ]);
+            });
+
+            it('reports unknown properties of nested objects with their own requirements in strict mode', () => {
+
+                try {
+                    parameterValidator.validate(params, [ 'pageSize', 'pagesize', 'query', { user: [ 'name' ] } ], null, { strict: true });
+                    fail();
+                } catch (error) {
+                    expect(error.errors.map(({ paramNames }) => paramNames[0])).to.deep.equal([ 'user.isAdmin' ]);
+                }
+            });
+
+            it('does not report any errors in strict mode when all of the parameters are known', () => {
+
+                let extractedParams = parameterValidator.validate(params, [ 'pageSize', 'pagesize', 'query', 'user' ], null, { strict: true });
+                expect(extractedParams).to.deep.equal(params);
+            });
+
+            it('extracts unknown parameters as they are if stripUnknown is false', () => {
+
+                let extractedParams = parameterValidator.validate(params, [ 'query', { user: [ 'name' ] } ], null, { stripUnknown: false, shape: 'nested' });
+                expect(extractedParams).to.deep.equal(params);
+            });
+
+            it('leaves unknown parameters out of the extracted params by default', () => {
+
+                let extractedParams = parameterValidator.validate(params, [ 'query', { user: [ 'name' ] } ], null, { stripUnknown: true, shape: 'nested' });
+                expect(extractedParams).to.deep.equal({ query: 'cats', user: { name: 'Paula' } });
+            });
+
+            it('throws an error if the options are not booleans', () => {
+
+                expect(() => parameterValidator.validate(params, [], null, { strict: 'yes' })).to.throw(Error, /strict/);
+                expect(() => parameterValidator.validate(params, [], null, { stripUnknown: 0 })).to.throw(Error, /stripUnknown/);
+            });
+        });
+
+        describe('error details', () => {
+
+            it('includes an entry in the errors property for each failed rule', () => {
+
+                let animalNames = {
+                    cat: 'Sylvester',
+                    dog: 'Jake'
+                };
+
+                try {
+                    parameterValidator.validate(animalNames, [ 'dog', 'chicken', [ 'squirrel', 'moose' ], { cat: catNameIsCool } ]);
+                    fail();
+                } catch (error) {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.errors).to.deep.equal([
+                        {
+                            paramNames: [ 'chicken' ],
+                            rule: 'required',
+                            value: undefined,
+                            message: 'Invalid value of \'undefined\' was provided for parameter \'chicken\'.'
+                        },
+                        {
+                            paramNames: [ 'squirrel', 'moose' ],
+                            rule: 'oneOf',
+                            message: 'One of the following parameters must be included: \'squirrel\', \'moose\'.'
+                        },
+                        {
+                            paramNames: [ 'cat' ],
+                            rule: 'custom',
+                            value: 'Sylvester',
+                            message: 'Invalid value of \'Sylvester\' was provided for parameter \'cat\'.'
+                        }
+                    ]);
+                }
+            });
+
+            it('includes an entry when the params object is missing', () => {
+
+                try {
+                    parameterValidator.validate(null, [ 'dog' ]);
+                    fail();
+                } catch (error) {
+                    expect(error.errors).to.deep.equal([
+                        { paramNames: [], rule: 'required', value: null, message: 'A params object is required.' }
+                    ]);
+                }
+            });
+
+            it('assigns the errors property on custom error classes that ignore the errors argument', () => {
+
+                class CustomValidationError extends Error {}
+
+                try {
+                    parameterValidator.validate({}, [ 'dog' ], null, { errorClass: CustomValidationError });
+                    fail();
+                } catch (error) {
+                    expect(error).to.be.instanceof(CustomValidationError);
+                    expect(error.errors).to.have.length(1);
+                    expect(error.errors[0].paramNames).to.deep.equal([ 'dog' ]);
+                }
+            });
+        });
+
+        describe('localized error messages', () => {
+
+            let messages = {
+                fr: {
+                    invalid: 'Valeur invalide « {value} » fournie pour le paramètre « {path} ».',
+                    invalidExpected: 'Valeur invalide « {value} » fournie pour le paramètre « {path} » : {expected} attendu.',
+                    oneOf: 'L\'un des paramètres suivants est requis : {paramNames}.',
+                    paramsRequired: 'Un objet de paramètres est requis.'
+                }
+            };
+
+            it('uses English by default', () => {
+
+                let frenchValidator = new ParameterValidator({ messages });
+
+                expect(() => frenchValidator.validate({}, [ 'name' ]))
+                .to.throw(ParameterValidationError, 'Invalid value of \'undefined\' was provided for parameter \'name\'.');
+            });
+
+            it('uses the templates of the locale specified for the call', () => {
+
+                let frenchValidator = new ParameterValidator({ messages });
+
+                try {
+                    frenchValidator.validate({ age: 'vingt' }, [ 'name', [ 'id', 'email' ], { age: validators.isInteger } ], null, { locale: 'fr' });
+                    fail();
+                } catch (error) {
+                    expect(error.errors.map(({ message }) => message)).to.deep.equal([
+                        'Valeur invalide « undefined » fournie pour le paramètre « name ».',
+                        'L\'un des paramètres suivants est requis : \'id\', \'email\'.',
+                        'Valeur invalide « vingt » fournie pour le paramètre « age » : an integer attendu.'
+                    ]);
+                }
+
+                expect(() => frenchValidator.validate(null, [ 'name' ], null, { locale: 'fr-CA' }))
+                .to.throw(ParameterValidationError, 'Un objet de paramètres est requis.');
+            });
+
+            it('leaves the descriptions of the built-in validators and transforms in English', () => {
+
+                let frenchValidator = new ParameterValidator({
+                        messages: {
+                            fr: Object.assign({ invalidReason: 'Valeur invalide « {value} » fournie pour le paramètre « {path} » : {reason}.' }, messages.fr)
+                        }
+                    }),
+                    result = frenchValidator.validateSafe({ age: 'vingt', count: 'dix' }, [
+                        { age: validators.isInteger, count: { transform: transforms.toNumber } }
+                    ], null, { locale: 'fr' });
+
+                expect(result.errors.map(({ message }) => message)).to.deep.equal([
+                    'Valeur invalide « vingt » fournie pour le paramètre « age » : an integer attendu.',
+                    'Valeur invalide « dix » fournie pour le paramètre « count » : expected a value that can be converted to a number.'
+                ]);
+            });
+
+            it('lets function templates translate the descriptions of the built-in validators', () => {
+
+                let expectedInFrench = { 'an integer': 'un entier' },
+                    frenchValidator = new ParameterValidator({
+                        messages: {
+                            fr: {
+                                invalidExpected: ({ path, value, expected }) =>
+                                    `Valeur invalide « ${value} » fournie pour le paramètre « ${path} » : ${expectedInFrench[expected] || expected} attendu.`
+                            }
+                        }
+                    });
+
+                expect(() => frenchValidator.validate({ age: 'vingt' }, [ { age: validators.isInteger } ], null, { locale: 'fr' }))
+                .to.throw(ParameterValidationError, 'Valeur invalide « vingt » fournie pour le paramètre « age » : un entier attendu.');
+            });
+
+            it('uses the locale provided to the constructor when the call does not specify one', () => {
+
+                let frenchValidator = new ParameterValidator({ messages, locale: 'fr' });
+
+                expect(() => frenchValidator.validate({}, [ 'name' ])).to.throw(ParameterValidationError, /^Valeur invalide/);
+                expect(() => frenchValidator.validate({}, [ 'name' ], null, { locale: 'en' })).to.throw(ParameterValidationError, /^Invalid value/);
+            });
+
+            it('uses the messages of a custom formatter', () => {
+
+                let formatMessage = sinon.spy((name, data, locale) => `${locale}.${name}`),
+                    customValidator = new ParameterValidator({ formatMessage }),
+                    rules = [ combinators.xor('id', 'email'), { 'user.age': { validate: validators.isInteger, message: 'custom' } }, { size: validators.isOneOf([ 'S' ]) } ];
+
+                try {
+                    customValidator.validate({ user: { age: 'ten' }, size: 'M', extra: 1 }, rules, null, { locale: 'de', strict: true });
+                    fail();
+                } catch (error) {
+                    expect(error.message).to.equal('de.xor custom de.invalidExpected de.unknown');
+                    expect(formatMessage.getCall(0).args).to.deep.equal([ 'xor', { paramNames: '\'id\', \'email\'' }, 'de' ]);
+                    expect(formatMessage.getCall(1).args).to.deep.equal([ 'invalidExpected', { path: 'size', value: 'M', expected: 'one of \'S\'' }, 'de' ]);
+                }
+            });
+
+            it('applies to the messages of asynchronous validation', () => {
+
+                let formatMessage = (name, { timeout }) => (name === 'timeout') ? `délai de ${timeout} ms dépassé` : undefined,
+                    frenchValidator = new ParameterValidator({ formatMessage }),
+                    neverSettles = () => new Promise(() => {});
+
+                return frenchValidator.validateAsync({ id: 'user1' }, [ { id: neverSettles } ], null, { timeout: 5 })
+                .then(() => fail())
+                .catch(error => {
+                    expect(error.message).to.equal('Invalid value of \'user1\' was provided for parameter \'id\': délai de 5 ms dépassé.');
+                });
+            });
+
+            it('throws an error if the messages, formatter or locale are malformed', () => {
+
+                expect(() => new ParameterValidator({ messages: { fr: { invalide: '' } } })).to.throw(ParameterValidationError, /unsupported template 'invalide'/);
+                expect(() => new ParameterValidator({ formatMessage: 'fr' })).to.throw(ParameterValidationError, /formatMessage/);
+                expect(() => new ParameterValidator({ locale: 4 })).to.throw(ParameterValidationError, /locale/);
+                expect(() => parameterValidator.validate({}, [], null, { locale: '' })).to.throw(Error, 'locale option must be a non-empty string if provided.');
+            });
+        });
+
+        describe('redaction of sensitive values', () => {
+
+            it('redacts the values of parameters in the default deny-list in messages and details', () => {
+
+                try {
+                    parameterValidator.validate({ password: 'hunter2', user: { apiKey: 42 } }, [ { password: validators.minLength(8), 'user.apiKey': validators.isString } ]);
+                    fail();
+                } catch (error) {
+                    expect(error.message).to.not.contain('hunter2');
+                    expect(error.errors).to.deep.equal([
+                        {
+                            paramNames: [ 'password' ],
+                            rule: 'custom',
+                            value: '[REDACTED]',
+                            expected: 'a value with a length of at least 8',
+                            message: 'Invalid value of \'[REDACTED]\' was provided for parameter \'password\': expected a value with a length of at least 8.'
+                        },
+                        {
+                            paramNames: [ 'user.apiKey' ],
+                            rule: 'custom',
+                            value: '[REDACTED]',
+                            expected: 'a string',
+                            message: 'Invalid value of \'[REDACTED]\' was provided for parameter \'user.apiKey\': expected a string.'
+                        }
+                    ]);
+                }
+            });
+
+            it('redacts the values of parameters marked as sensitive, and their properties', () => {
+
+                let rules = [ { ssn: { validate: validators.matches(/^\d{9}$/), sensitive: true }, card: { sensitive: true, requirements: [ { number: validators.isString } ] } } ];
+
+                try {
+                    parameterValidator.validate({ ssn: '123-45-6789', card: { number: 4111 } }, rules);
+                    fail();
+                } catch (error) {
+                    expect(error.message).to.not.match(/6789|4111/);
+                    expect(error.errors.map(({ paramNames, value }) => [ paramNames[0], value ])).to.deep.equal([ [ 'ssn', '[REDACTED]' ], [ 'card.number', '[REDACTED]' ] ]);
+                }
+            });
+
+            it('redacts the raw values of transformed parameters', () => {
+
+                let rules = [ { pin: { transform: transforms.toNumber, validate: validators.isPositiveInteger, sensitive: true } } ];
+
+                [ { pin: 'abcd' }, { pin: '-1234' } ].forEach(params => {
+                    try {
+                        parameterValidator.validate(params, rules);
+                        fail();
+                    } catch (error) {
+                        expect(error.message).to.not.match(/abcd|1234/);
+                        expect(error.errors[0]).to.include({ value: '[REDACTED]', rawValue: '[REDACTED]' });
+                    }
+                });
+            });
+
+            it('redacts unknown parameters in strict mode', () => {
+
+                expect(() => parameterValidator.validate({ name: 'Paula', secret: 'shh' }, [ 'name' ], null, { strict: true }))
+                .to.throw(ParameterValidationError, 'Unknown parameter \'secret\' was provided.');
+            });
+
+            it('allows the deny-list to be replaced, and rules to opt out of it', () => {
+
+                let options = { sensitiveParams: [ 'ssn', /^pin/i ] };
+
+                expect(() => parameterValidator.validate({ password: 'x', ssn: 'y', pinCode: 'z' }, [ { password: val => val.length > 1, ssn: () => false, pinCode: () => false } ], null, options))
+                .to.throw(ParameterValidationError, 'Invalid value of \'x\' was provided for parameter \'password\'. Invalid value of \'[REDACTED]\' was provided for parameter \'ssn\'. ' +
+                    'Invalid value of \'[REDACTED]\' was provided for parameter \'pinCode\'.');
+
+                expect(() => parameterValidator.validate({ tokenCount: -1 }, [ { tokenCount: { validate: validators.isPositiveInteger, sensitive: false } } ]))
+                .to.throw(ParameterValidationError, /'-1'/);
+            });
+
+            it('truncates long values in messages', () => {
+
+                let longValue = 'x'.repeat(5000);
+
+                try {
+                    parameterValidator.validate({ bio: longValue }, [ { bio: validators.maxLength(1000) } ], null, { maxValueLength: 20 });
+                    fail();
+                } catch (error) {
+                    expect(error.message).to.equal(`Invalid value of '${'x'.repeat(20)}...' was provided for parameter 'bio': expected a value with a length of at most 1000.`);
+                    expect(error.errors[0].value).to.equal(longValue);
+                }
+            });
+
+            it('throws an error if the options or rules are malformed', () => {
+
+                expect(() => parameterValidator.validate({}, [], null, { sensitiveParams: 'password' })).to.throw(Error, /sensitiveParams/);
+                expect(() => parameterValidator.validate({}, [], null, { maxValueLength: 0 })).to.throw(Error, /maxValueLength/);
+                expect(() => parameterValidator.validate({}, [ { ssn: { sensitive: 'yes' } } ])).to.throw(Error, /sensitive property/);
+            });
+        });
+
+        describe('addPrefix option', () => {
+
+            let animalNames,
+                accumulator;
+
+            beforeEach(() => {
+
+                animalNames = {
+                    dog: 'Scooby',
+                    bear: 'Yogi',
+                    penguin: 'Tux'
+                };
+
+                accumulator = {};
+            });
+
+            it(`throws an error when a value is provided that's not a string`, () => {
+
+                try {
+                    parameterValidator.validate(animalNames, [ 'penguin', 'bear' ], accumulator, { addPrefix: 4 });
+                    fail();
+                } catch (error) {
+                    expect(error).to.be.instanceof(Error);
+                }
+            });
+
+            it('adds a given string prefix to the validated properties it extracts', () => {
+
+                parameterValidator.validate(animalNames, [ 'penguin', 'bear' ], accumulator, { addPrefix: '_' });
+                expect(accumulator).to.deep.equal({
+                    _penguin: 'Tux',
+                    _bear: 'Yogi'
+                });
+            });
+        });
+
+        describe('errorClass option', () => {
+
+            it('allows a different Error subclass to be used instead of ParameterValidationError', () => {
+
+                class CustomValidationError extends Error {
+                    constructor(message) {
+                        super(message);
+                        this.name = this.constructor.name;
+                        this.message = message;
+                        if (Error.captureStackTrace) {
+                            Error.captureStackTrace(this, this.constructor.name);
+                        }
+                    }
+                }
+                let lilBub = { type: 'cat' };
+
+                try {
+                    parameterValidator.validate(lilBub, [ 'type', 'interests' ], null, { errorClass: CustomValidationError });
+                    expect(`failing the test because an error wasn't thrown`).to.equal(true);
+                } catch (error) {
+                    expect(error).to.be.instanceof(CustomValidationError);
+                    expect(error.message).to.include('interests');
+                }
+            });
+        });
+    });
+
+    describe('registerRule()', () => {
+
+        let isTenantId = value => /^t-\d+$/.test(value);
+
+        it('lets requirements refer to a registered rule by name', () => {
+
+            parameterValidator.registerRule('tenantId', isTenantId);
+
+            let params = { orgId: 't-1', parentOrgId: 't-2', user: { tenant: 't-3' } },
+                requirements = [ 'orgId:tenantId', { parentOrgId: 'tenantId' }, { user: [ 'tenant:tenantId' ] } ];
+
+            expect(parameterValidator.validate(params, requirements)).to.deep.equal({ orgId: 't-1', parentOrgId: 't-2', 'user.tenant': 't-3' });
+
+            try {
+                parameterValidator.validate({ orgId: 'org1', parentOrgId: 't-2', user: { tenant: 4 } }, requirements);
+                fail('validate() did not throw an error.');
+            } catch (error) {
+                expect(error.errors.map(detail => [ detail.paramNames[0], detail.rule ])).to.deep.equal([ [ 'orgId', 'custom' ], [ 'user.tenant', 'custom' ] ]);
+            }
+        });
+
+        it('uses the options of the registered rule as defaults that rule objects can override', () => {
+
+            parameterValidator.registerRule('tenantId', isTenantId, { message: 'Unknown tenant.', transform: value => value.trim() });
+
+            let result = parameterValidator.validateSafe({ orgId: ' t-1 ', otherOrgId: 'org2' }, [
+                'orgId:tenantId',
+                { otherOrgId: { validate: 'tenantId', message: 'Unknown other tenant.' }, parentOrgId: { validate: 'tenantId', optional: true } }
+            ]);
+
+            expect(result.params).to.deep.equal({ orgId: 't-1' });
+            expect(result.errors.map(detail => detail.message)).to.deep.equal([ 'Unknown other tenant.' ]);
+
+            expect(parameterValidator.validateSafe({ orgId: 'org1' }, [ 'orgId:tenantId' ]).errors[0].message).to.equal('Unknown tenant.');
+        });
+
+        it('supports asynchronous registered rules', () => {
+
+            parameterValidator.registerRule('existingUser', userId => Promise.resolve(userId === 'user1'));
+
+            return parameterValidator.validateAsync({ userId: 'user1' }, [ 'userId:existingUser' ])
+            .then(extractedParams => expect(extractedParams).to.deep.equal({ userId: 'user1' }));
+        });
+
+        it('scopes registered rules to the instance', () => {
+
+            let otherValidator = new ParameterValidator();
+
+            parameterValidator.registerRule('tenantId', isTenantId);
+            otherValidator.registerRule('tenantId', value => value === 'other');
+
+            expect(otherValidator.validate({ orgId: 'other' }, [ 'orgId:tenantId' ])).to.deep.equal({ orgId: 'other' });
+            expect(() => parameterValidator.validate({ orgId: 'other' }, [ 'orgId:tenantId' ])).to.throw(ParameterValidationError);
+            expect(() => new ParameterValidator().validate({ orgId: 't-1' }, [ 'orgId:tenantId' ])).to.throw(Error, `The rule 'tenantId' provided for the parameter orgId is not registered.`);
+        });
+
+        it('treats an object whose values are all registered rules as rules rather than a declarative description', () => {
+
+            parameterValidator.registerRule('nonEmpty', validators.isNonEmptyString);
+
+            expect(parameterValidator.validate({ name: 'Paula', description: 'hi' }, [ { name: 'nonEmpty', description: 'nonEmpty' } ]))
+            .to.deep.equal({ name: 'Paula', description: 'hi' });
+            expect(() => parameterValidator.validate({ name: 'Paula', type: '' }, [ { name: 'nonEmpty', type: 'nonEmpty' } ]))
+            .to.throw(ParameterValidationError, /'type'/);
+            expect(parameterValidator.validate({ nonEmpty: 4 }, [ { name: 'nonEmpty', type: 'integer' } ])).to.deep.equal({ nonEmpty: 4 });
+        });
+
+        it('throws an error for a rule that is already registered', () => {
+
+            parameterValidator.registerRule('tenantId', isTenantId);
+            expect(() => parameterValidator.registerRule('tenantId', isTenantId)).to.throw(Error, `A rule named 'tenantId' is already registered.`);
+        });
+
+        it('throws an error for malformed rules or references to them', () => {
+
+            expect(() => parameterValidator.registerRule('tenant:id', isTenantId)).to.throw(Error, /must be a non-empty string/);
+            expect(() => parameterValidator.registerRule('', isTenantId)).to.throw(Error, /must be a non-empty string/);
+            expect(() => parameterValidator.registerRule('tenantId', 'isTenantId')).to.throw(Error, `The validation function provided for the rule 'tenantId' is not a function.`);
+            expect(() => parameterValidator.registerRule('tenantId', isTenantId, { optional: true })).to.throw(Error, `The options provided for the rule 'tenantId' have an unsupported property 'optional'.`);
+            expect(() => parameterValidator.registerRule('tenantId', isTenantId, { message: 4 })).to.throw(Error, /message option/);
+            expect(() => parameterValidator.registerRule('tenantId', isTenantId, { transform: [ 'trim' ] })).to.throw(Error, /transform option/);
+            expect(() => parameterValidator.registerRule('tenantId', isTenantId, { sensitive: 'yes' })).to.throw(Error, /sensitive option/);
+
+            parameterValidator.registerRule('tenantId', isTenantId);
+
+            expect(() => parameterValidator.compile([ 'orgId:' ])).to.throw(Error, `The requirement 'orgId:' must include both a parameter name and a rule name.`);
+            expect(() => parameterValidator.compile([ ':tenantId' ])).to.throw(Error, /must include both/);
+            expect(() => parameterValidator.compile([ { orgId: 'tenant' } ])).to.throw(Error, `The rule 'tenant' provided for the parameter orgId is not registered.`);
+            expect(() => parameterValidator.compile([ { orgId: { validate: 'constructor' } } ])).to.throw(Error, /is not registered/);
+        });
+    });
+
+    describe('compile()', () => {
+
+        let rules = [ 'name', [ 'username', 'email' ], { age: validators.isPositiveInteger }, { name: 'size', enum: [ 'small', 'large' ], default: 'small' } ];
+
+        it('returns a function that validates parameters against the compiled requirements', () => {
+
+            let validateUser = parameterValidator.compile(rules);
+
+            expect(validateUser({ name: 'Paula', email: 'paula@example.com', age: 30 }))
+            .to.deep.equal({ name: 'Paula', email: 'paula@example.com', age: 30, size: 'small' });
+            expect(validateUser({ name: 'Nathan', username: 'nhill', age: 40, size: 'large' }))
+            .to.deep.equal({ name: 'Nathan', username: 'nhill', age: 40, size: 'large' });
+        });
+
+        it('throws a ParameterValidationError when the parameters are invalid', () => {
+
+            let validateUser = parameterValidator.compile(rules);
+
+            try {
+                validateUser({ age: 0 });
+                fail();
+            } catch (error) {
+                expect(error).to.be.instanceof(ParameterValidationError);
+                expect(error.errors.map(({ rule }) => rule)).to.deep.equal([ 'required', 'oneOf', 'custom' ]);
+            }
+        });
+
+        it('applies the compiled options and accepts an extractedParams object', () => {
+
+            let accumulator = {},
+                validateUser = parameterValidator.compile([ { user: [ 'name' ] } ], { addPrefix: '_', shape: 'nested' });
+
+            validateUser({ user: { name: 'Paula' } }, accumulator);
+            expect(accumulator).to.deep.equal({ _user: { name: 'Paula' } });
+        });
+
+        it('has a validateAsync() function that supports asynchronous validation functions', () => {
+
+            let validateUser = parameterValidator.compile([ { userId: id => Promise.resolve(id === 'user1') } ], { timeout: 50 });
+
+            return validateUser.validateAsync({ userId: 'user1' })
+            .then(extractedParams => {
+                expect(extractedParams).to.deep.equal({ userId: 'user1' });
+                return validateUser.validateAsync({ userId: 'user2' });
+            })
+            .then(() => fail())
+            .catch(error => {
+                expect(error).to.be.instanceof(ParameterValidationError);
+            });
+        });
+
+        it('throws an error immediately when the requirements or options are malformed', () => {
+
+            expect(() => parameterValidator.compile('name')).to.throw(Error, 'paramRequirements must be an array.');
+            expect(() => parameterValidator.compile([ { age: 30 } ])).to.throw(Error, /age/);
+            expect(() => parameterValidator.compile([ { user: [ { age: { optional: 'yes' } } ] } ])).to.throw(Error, /user\.age/);
+            expect(() => parameterValidator.compile([ [ 'username', 7 ] ])).to.throw(Error, /logical OR/);
+            expect(() => parameterValidator.compile([ 'name' ], { addPrefix: 4 })).to.throw(Error, /addPrefix/);
+        });
+    });
+
+    describe('validateValue()', () => {
+
+        it('validates a single value against any kind of rule and returns it', () => {
+
+            expect(parameterValidator.validateValue(42, validators.isInteger)).to.equal(42);
+            expect(parameterValidator.validateValue(' 42 ', { transform: transforms.toNumber, validate: validators.inRange(1, 100) })).to.equal(42);
+            expect(parameterValidator.validateValue(undefined, { optional: true, default: 25 })).to.equal(25);
+            expect(parameterValidator.validateValue(null, {})).to.equal(null);
+
+            parameterValidator.registerRule('tenantId', value => /^t-\d+$/.test(value));
+            expect(parameterValidator.validateValue('t-1', 'tenantId')).to.equal('t-1');
+        });
+
+        it('returns an object containing the validated properties if the rule has nested requirements', () => {
+
+            let user = { name: 'Paula', address: { zip: '12345', notes: 'back door' }, nickname: 'P' };
+
+            expect(parameterValidator.validateValue(user, [ 'name', 'address.zip' ])).to.deep.equal({ name: 'Paula', address: { zip: '12345' } });
+            expect(parameterValidator.validateValue([ { id: 1 } ], [ '[0].id' ])).to.deep.equal([ { id: 1 } ]);
+            expect(parameterValidator.validateValue({}, [ { name: { optional: true } } ])).to.deep.equal({});
+        });
+
+        it('throws a ParameterValidationError naming the value by its label', () => {
+
+            try {
+                parameterValidator.validateValue('abc', validators.isInteger, { label: 'user.age' });
+                fail('validateValue() did not throw an error.');
+            } catch (error) {
+                expect(error).to.be.instanceof(ParameterValidationError);
+                expect(error.message).to.equal(`Invalid value of 'abc' was provided for parameter 'user.age': expected an integer.`);
+                expect(error.errors[0]).to.include({ rule: 'custom', value: 'abc' });
+                expect(error.errors[0].paramNames).to.deep.equal([ 'user.age' ]);
+            }
+
+            expect(() => parameterValidator.validateValue(undefined, {})).to.throw(ParameterValidationError, `Invalid value of 'undefined' was provided for parameter 'value'.`);
+            expect(() => parameterValidator.validateValue({ age: 30 }, [ 'name' ], { label: 'user' })).to.throw(ParameterValidationError, `parameter 'user.name'`);
+            expect(() => parameterValidator.validateValue('secret', () => false, { label: 'password' })).to.throw(ParameterValidationError, `Invalid value of '[REDACTED]'`);
+        });
+
+        it('supports the validation options', () => {
+
+            class InvalidValueError extends ParameterValidationError {}
+
+            expect(() => parameterValidator.validateValue({ name: 'Paula', age: 30 }, [ 'name' ], { strict: true, errorClass: InvalidValueError }))
+                .to.throw(InvalidValueError, `Unknown parameter 'value.age' was provided.`);
+            expect(parameterValidator.validateValue({ name: 'Paula', age: 30 }, [ 'name' ], { stripUnknown: false })).to.deep.equal({ name: 'Paula', age: 30 });
+        });
+
+        it('throws an error for a malformed rule or options', () => {
+
+            expect(() => parameterValidator.validateValue(4, 4)).to.throw(Error, 'A paramRequirement value provided for the parameter value is not a function.');
+            expect(() => parameterValidator.validateValue(4, {}, { label: '' })).to.throw(Error, 'label option must be a non-empty string if provided.');
+            expect(() => parameterValidator.validateValue(4, {}, { strict: 'yes' })).to.throw(Error, 'strict option must be a boolean if provided.');
+        });
+    });
+
+    describe('validateValueAsync()', () => {
+
+        it('supports asynchronous validation functions', () => {
+
+            let isExistingUser = userId => Promise.resolve(userId === 'user1');
+
+            return parameterValidator.validateValueAsync('user1', isExistingUser)
+            .then(value => {
+                expect(value).to.equal('user1');
+                return parameterValidator.validateValueAsync('user2', isExistingUser, { label: 'userId' });
+            })
+            .then(() => fail('validateValueAsync() did not reject.'))
+            .catch(error => {
+                expect(error).to.be.instanceof(ParameterValidationError);
+                expect(error.message).to.equal(`Invalid value of 'user2' was provided for parameter 'userId'.`);
+            });
+        });
+    });
+
+    describe('validateArgs()', () => {
+
+        it('validates positional arguments and returns them', () => {
+
+            function transfer() {
+                return parameterValidator.validateArgs(arguments, [ validators.isString, validators.isString, { transform: transforms.toNumber }, { optional: true, default: 'USD' } ]);
+            }
+
+            expect(transfer('a1', 'a2', '100')).to.deep.equal([ 'a1', 'a2', 100, 'USD' ]);
+            expect(parameterValidator.validateArgs([ { name: 'Paula', age: 30 } ], [ [ 'name' ] ])).to.deep.equal([ { name: 'Paula' } ]);
+        });
+
+        it('throws a ParameterValidationError naming the invalid arguments by position or by label', () => {
+
+            let rules = [ validators.isString, validators.isPositiveNumber, [ 'currency' ] ];
+
+            try {
+                parameterValidator.validateArgs([ 4, -1, {} ], rules);
+                fail('validateArgs() did not throw an error.');
+            } catch (error) {
+                expect(error).to.be.instanceof(ParameterValidationError);
+                expect(error.errors.map(detail => detail.paramNames[0])).to.deep.equal([ 'arguments[0]', 'arguments[1]', 'arguments[2].currency' ]);
+            }
+
+            try {
+                parameterValidator.validateArgs([ 'a1', -1 ], rules, { labels: [ 'account', 'amount', 'options' ] });
+                fail('validateArgs() did not throw an error.');
+            } catch (error) {
+                expect(error.message).to.equal(`Invalid value of '-1' was provided for parameter 'amount': expected a positive number. ` +
+                    `Invalid value of 'undefined' was provided for parameter 'options'.`);
+            }
+        });
+
+        it('leaves out arguments without rules unless stripUnknown is false, and rejects them in strict mode', () => {
+
+            expect(parameterValidator.validateArgs([ 'a', 'b', 'c' ], [ {} ])).to.deep.equal([ 'a' ]);
+            expect(parameterValidator.validateArgs([ 'a', 'b', 'c' ], [ {} ], { stripUnknown: false })).to.deep.equal([ 'a', 'b', 'c' ]);
+            expect(() => parameterValidator.validateArgs([ 'a', 'b' ], [ {} ], { strict: true, labels: [ 'first', 'second' ] }))
+                .to.throw(ParameterValidationError, `Unknown parameter 'second' was provided.`);
+        });
+
+        it('throws an error for malformed arguments, rules or options', () => {
+
+            expect(() => parameterValidator.validateArgs('abc', [])).to.throw(Error, 'validateArgs() requires an array or arguments object.');
+            expect(() => parameterValidator.validateArgs([], {})).to.throw(Error, 'validateArgs() requires an array of rules.');
+            expect(() => parameterValidator.validateArgs([ 1 ], [ 4 ])).to.throw(Error, 'A paramRequirement value provided for the parameter arguments[0] is not a function.');
+            expect(() => parameterValidator.validateArgs([ 1 ], [ {} ], { labels: 'first' })).to.throw(Error, 'labels option must be an array of non-empty strings if provided.');
+            expect(() => parameterValidator.validateArgs([ 1, 2 ], [ {}, {} ], { labels: [ 'arguments[1]' ] })).to.throw(Error, 'Each of the labels of the arguments must be unique.');
+        });
+    });
+
+    describe('validateArgsAsync()', () => {
+
+        it('supports asynchronous validation functions', () => {
+
+            let isExistingUser = userId => Promise.resolve(userId === 'user1');
+
+            return parameterValidator.validateArgsAsync([ 'user1', 'user2' ], [ isExistingUser, isExistingUser ], { labels: [ 'from', 'to' ] })
+            .then(() => fail('validateArgsAsync() did not reject.'))
+            .catch(error => {
+                expect(error).to.be.instanceof(ParameterValidationError);
+                expect(error.errors.map(detail => detail.paramNames[0])).to.deep.equal([ 'to' ]);
+                return parameterValidator.validateArgsAsync([ 'user1' ], [ isExistingUser ]);
+            })
+            .then(args => expect(args).to.deep.equal([ 'user1' ]));
+        });
+    });
+
+    describe('withValidation()', () => {
+
+        let rules = [ 'name', { age: validators.isPositiveInteger } ];
+
+        it('validates the first argument before calling the wrapped function with the same this and arguments', () => {
+
+            let fn = sinon.spy(function () { return this.greeting; }),
+                wrapped = parameterValidator.withValidation(rules, fn),
+                params = { name: 'Paula', age: 30, nickname: 'P' },
+                context = { greeting: 'hello', wrapped };
+
+            expect(context.wrapped(params, 'extra')).to.equal('hello');
+            expect(fn.firstCall.args).to.deep.equal([ params, 'extra' ]);
+            expect(fn.firstCall.thisValue).to.equal(context);
+        });
+
+        it('throws a ParameterValidationError without calling the wrapped function when the argument is invalid', () => {
+
+            let fn = sinon.spy(),
+                wrapped = parameterValidator.withValidation(rules, fn);
+
+            expect(() => wrapped({ name: 'Paula', age: -1 })).to.throw(ParameterValidationError, /age/);
+            expect(() => wrapped()).to.throw(ParameterValidationError, 'A params object is required.');
+            expect(fn.called).to.equal(false);
+        });
+
+        it('passes the extracted parameters instead of the argument if the inject option is true', () => {
+
+            let fn = sinon.spy(),
+                wrapped = parameterValidator.withValidation(rules, fn, { inject: true, addPrefix: '_' });
+
+            wrapped({ name: 'Paula', age: 30, nickname: 'P' }, 'extra');
+            expect(fn.firstCall.args).to.deep.equal([ { _name: 'Paula', _age: 30 }, 'extra' ]);
+        });
+
+        it('returns a rejected promise instead of throwing if the async option is true', () => {
+
+            let fn = sinon.spy(() => Promise.resolve('done')),
+                wrapped = parameterValidator.withValidation([ { userId: id => Promise.resolve(id === 'user1') } ], fn, { async: true, inject: true });
+
+            return wrapped({ userId: 'user1' })
+            .then(result => {
+                expect(result).to.equal('done');
+                expect(fn.firstCall.args).to.deep.equal([ { userId: 'user1' } ]);
+                return wrapped({ userId: 'user2' });
+            })
+            .then(() => fail())
+            .catch(error => {
+                expect(error).to.be.instanceof(ParameterValidationError);
+                expect(fn.callCount).to.equal(1);
+            });
+        });
+
+        it('validates asynchronously by default if the function is async', () => {
+
+            let fn = () => Promise.resolve();
+            // Stand in for an async function, since they can't be written in this codebase's syntax.
+            Object.defineProperty(fn, Symbol.toStringTag, { value: 'AsyncFunction' });
+
+            let result = parameterValidator.withValidation(rules, fn)({});
+
+            expect(result).to.be.instanceof(Promise);
+            return result
+            .then(() => fail())
+            .catch(error => expect(error).to.be.instanceof(ParameterValidationError));
+        });
+
+        it('throws an error immediately when the arguments are malformed', () => {
+
+            expect(() => parameterValidator.withValidation(rules)).to.throw(Error, 'withValidation() requires a function to wrap.');
+            expect(() => parameterValidator.withValidation(rules, () => {}, { inject: 'yes' })).to.throw(Error, /inject/);
+            expect(() => parameterValidator.withValidation(rules, () => {}, { async: 1 })).to.throw(Error, /async/);
+            expect(() => parameterValidator.withValidation('name', () => {})).to.throw(Error, 'paramRequirements must be an array.');
+        });
+    });
+
+    describe('validated()', () => {
+
+        it('creates a decorator that wraps a method with withValidation()', () => {
+
+            class UserService {
+                createUser({ name }) {
+                    return `${this.prefix}${name}`;
+                }
+            }
+            UserService.prototype.prefix = 'user:';
+
+            let decorate = parameterValidator.validated([ 'name' ], { inject: true }),
+                descriptor = Object.getOwnPropertyDescriptor(UserService.prototype, 'createUser');
+
+            Object.defineProperty(UserService.prototype, 'createUser', decorate(UserService.prototype, 'createUser', descriptor));
+
+            let userService = new UserService();
+            expect(userService.createUser({ name: 'Paula' })).to.equal('user:Paula');
+            expect(() => userService.createUser({})).to.throw(ParameterValidationError, /name/);
+        });
+
+        it('supports standard decorators, which are passed the method and a context', () => {
+
+            class UserService {
+                createUser({ name }) {
+                    return `${this.prefix}${name}`;
+                }
+            }
+            UserService.prototype.prefix = 'user:';
+
+            let decorate = parameterValidator.validated([ 'name' ], { inject: true });
+
+            UserService.prototype.createUser = decorate(UserService.prototype.createUser, { kind: 'method', name: 'createUser' });
+
+            let userService = new UserService();
+            expect(userService.createUser({ name: 'Paula' })).to.equal('user:Paula');
+            expect(() => userService.createUser({})).to.throw(ParameterValidationError, /name/);
+        });
+
+        it('throws an error if it is applied to something other than a method', () => {
+
+            let decorate = parameterValidator.validated([ 'name' ]);
+            expect(() => decorate({}, 'size', { get() {} })).to.throw(Error, /size is not a method/);
+            expect(() => decorate(function () {}, { kind: 'getter', name: 'size' })).to.throw(Error, /size is not a method/);
+        });
+    });
+
+    describe('validateAsync()', () => {
+
+        it('performs validation asynchronously', () => {
+
+            let expectedReturnValue = { testParam: 'first', testParam2: 'second' };
+            let params = [ { first: true }, [ 'second' ], null, { addPrefix: '_' } ];
+            sinon.stub(parameterValidator, '_validate').returns(Promise.resolve(expectedReturnValue));
+
+            return parameterValidator.validateAsync(...params)
+            .then(validatedParams => {
+                expect(parameterValidator._validate.callCount).to.equal(1);
+                expect(parameterValidator._validate.firstCall.args).to.deep.equal([ ...params, true ]);
+                expect(validatedParams).to.deep.equal(expectedReturnValue);
+            });
+        });
+
+        it('wraps errors thrown during validation in a promise', () => {
+
+            let expectedError = new Error('Uh oh...');
+            parameterValidator._validate = () => { throw expectedError; };
+
+            return parameterValidator.validateAsync()
+            .then(() => {
+                throw new Error(`validate() didn't throw an error like it's supposed to.`);
+            })
+            .catch(error => {
+                expect(error).to.equal(expectedError);
+            });
+        });
+
+        describe('asynchronous validation functions', () => {
+
+            let userExists = id => new Promise(resolve => setTimeout(() => resolve([ 'user1', 'user2' ].includes(id)), 5));
+
+            it('waits for validation functions that return promises', () => {
+
+                return parameterValidator.validateAsync({ userId: 'user1', name: 'Paula' }, [ 'name', { userId: userExists } ])
+                .then(extractedParams => {
+                    expect(extractedParams).to.deep.equal({ userId: 'user1', name: 'Paula' });
+                });
+            });
+
+            it('collects the failures of all of the rules into a single error', () => {
+
+                let couponIsValid = code => Promise.resolve(code === 'SAVE10' || 'the coupon has expired');
+
+                return parameterValidator.validateAsync({ userId: 'user3', coupon: 'SAVE5' }, [ 'name', { userId: userExists, coupon: couponIsValid } ])
+                .then(() => fail())
+                .catch(error => {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.errors.map(({ paramNames }) => paramNames[0])).to.deep.equal([ 'name', 'userId', 'coupon' ]);
+                    expect(error.message).to.include('the coupon has expired');
+                });
+            });
+
+            it('validates nested parameters asynchronously', () => {
+
+                return parameterValidator.validateAsync({ order: { userId: 'user2' } }, [ { order: [ { userId: userExists } ] } ], null, { shape: 'nested' })
+                .then(extractedParams => {
+                    expect(extractedParams).to.deep.equal({ order: { userId: 'user2' } });
+                });
+            });
+
+            it('runs the validation functions concurrently', () => {
+
+                let pendingCount = 0,
+                    maxPendingCount = 0,
+                    slowValidation = () => {
+                        pendingCount++;
+                        maxPendingCount = Math.max(pendingCount, maxPendingCount);
+                        return new Promise(resolve => setTimeout(() => {
+                            pendingCount--;
+                            resolve(true);
+                        }, 5));
+                    };
+                let rules = [ { a: slowValidation, b: slowValidation, c: slowValidation, d: slowValidation } ],
+                    params = { a: 1, b: 2, c: 3, d: 4 };
+
+                return parameterValidator.validateAsync(params, rules)
+                .then(() => {
+                    expect(maxPendingCount).to.equal(4);
+                    maxPendingCount = 0;
+                    return parameterValidator.validateAsync(params, rules, null, { concurrency: 2 });
+                })
+                .then(extractedParams => {
+                    expect(maxPendingCount).to.equal(2);
+                    expect(extractedParams).to.deep.equal(params);
+                });
+            });
+
+            it('treats a validation function that exceeds the timeout as having failed', () => {
+
+                let neverSettles = () => new Promise(() => {});
+
+                return parameterValidator.validateAsync({ userId: 'user1' }, [ { userId: neverSettles } ], null, { timeout: 10 })
+                .then(() => fail())
+                .catch(error => {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.message).to.equal('Invalid value of \'user1\' was provided for parameter \'userId\': ' +
+                        'the validation function timed out after 10ms.');
+                });
+            });
+
+            it('rejects with the error of a validation function that rejects', () => {
+
+                let expectedError = new Error('The data store is unavailable.');
+
+                return parameterValidator.validateAsync({ userId: 'user1' }, [ { userId: () => Promise.reject(expectedError) } ])
+                .then(() => fail())
+                .catch(error => {
+                    expect(error).to.equal(expectedError);
+                });
+            });
+
+            it('rejects invalid concurrency and timeout options', () => {
+
+                return parameterValidator.validateAsync({}, [], null, { concurrency: 0 })
+                .then(() => fail())
+                .catch(error => {
+                    expect(error.message).to.include('concurrency');
+                    return parameterValidator.validateAsync({}, [], null, { timeout: 'soon' });
+                })
+                .then(() => fail())
+                .catch(error => {
+                    expect(error.message).to.include('timeout');
+                });
+            });
+
+            it('are not supported by validate()', () => {
+
+                expect(() => parameterValidator.validate({ userId: 'user1' }, [ { userId: userExists } ])).to.throw(Error, /validateAsync/);
+            });
+        });
+    });
+
+    describe('validateSafe()', () => {
+
+        let rules = [ 'name', { age: validators.isPositiveInteger } ];
+
+        it('returns the extracted parameters of valid parameters', () => {
+
+            expect(parameterValidator.validateSafe({ name: 'Paula', age: 30, nickname: 'P' }, rules))
+            .to.deep.equal({ valid: true, params: { name: 'Paula', age: 30 }, errors: [] });
+        });
+
+        it('returns the details of invalid parameters instead of throwing an error', () => {
+
+            let result = parameterValidator.validateSafe({ name: 'Paula', age: -1 }, rules);
+
+            expect(result.valid).to.equal(false);
+            expect(result.params).to.deep.equal({ name: 'Paula' });
+            expect(result.errors).to.deep.equal([ {
+                paramNames: [ 'age' ],
+                rule: 'custom',
+                value: -1,
+                expected: 'a positive integer',
+                message: 'Invalid value of \'-1\' was provided for parameter \'age\': expected a positive integer.'
+            } ]);
+
+            expect(parameterValidator.validateSafe(undefined, rules)).to.deep.equal({
+                valid: false,
+                params: {},
+                errors: [ { paramNames: [], rule: 'required', value: undefined, message: 'A params object is required.' } ]
+            });
+        });
+
+        it('assigns the extracted parameters to the extractedParams object with the options applied', () => {
+
+            let accumulator = {},
+                result = parameterValidator.validateSafe({ name: 'Paula', age: 30 }, rules, accumulator, { addPrefix: '_' });
+
+            expect(result.params).to.equal(accumulator);
+            expect(accumulator).to.deep.equal({ _name: 'Paula', _age: 30 });
+        });
+
+        it('still throws errors for malformed requirements and options', () => {
+
+            expect(() => parameterValidator.validateSafe({}, 'name')).to.throw(Error, 'paramRequirements must be an array.');
+            expect(() => parameterValidator.validateSafe({}, [ 'name' ], null, { shape: 'round' })).to.throw(Error, /shape/);
+            expect(() => parameterValidator.validateSafe({ id: 'user1' }, [ { id: () => Promise.resolve(true) } ])).to.throw(Error, /validateAsync/);
+        });
+    });
+
+    describe('validateSafeAsync()', () => {
+
+        let userExists = id => Promise.resolve([ 'user1', 'user2' ].includes(id));
+
+        it('resolves with the result whether or not the parameters are valid', () => {
+
+            return parameterValidator.validateSafeAsync({ userId: 'user1' }, [ { userId: userExists } ])
+            .then(result => {
+                expect(result).to.deep.equal({ valid: true, params: { userId: 'user1' }, errors: [] });
+                return parameterValidator.validateSafeAsync({ userId: 'user3', name: 'Paula' }, [ 'name', { userId: userExists } ]);
+            })
+            .then(({ valid, params, errors }) => {
+                expect(valid).to.equal(false);
+                expect(params).to.deep.equal({ name: 'Paula' });
+                expect(errors.map(({ paramNames }) => paramNames)).to.deep.equal([ [ 'userId' ] ]);
+            });
+        });
+
+        it('rejects for malformed requirements and options', () => {
+
+            return parameterValidator.validateSafeAsync({}, [ { userId: 'exists' } ])
+            .then(() => fail())
+            .catch(error => {
+                expect(error).to.not.be.instanceof(ParameterValidationError);
+                expect(error.message).to.include('userId');
+            });
+        });
+    });
+
+    describe('validateEach()', () => {
+
+        let rules = [ 'name', { age: validators.isPositiveInteger } ],
+            records = [ { name: 'Paula', age: 30 }, { name: 'Nathan', age: -1 }, { age: 40 }, { name: 'Ann', age: 25, extra: true } ];
+
+        it('validates every item and returns the extracted params of the valid ones', () => {
+
+            let result = parameterValidator.validateEach(records, rules);
+
+            expect(result.valid).to.equal(false);
+            expect(result.complete).to.equal(true);
+            expect(result.params).to.deep.equal([ { name: 'Paula', age: 30 }, { name: 'Ann', age: 25 } ]);
+            expect(Object.keys(result.errors)).to.deep.equal([ '1', '2' ]);
+            expect(result.errors[1][0]).to.include({ rule: 'custom', value: -1 });
+            expect(result.errors[2][0]).to.include({ rule: 'required', message: 'Invalid value of \'undefined\' was provided for parameter \'name\'.' });
+        });
+
+        it('adds the index of the item to its warnings', () => {
+
+            let onWarning = sinon.spy();
+
+            parameterValidator.validateEach(records, [ 'name', { age: { validate: validators.atLeast(26), severity: 'warning' } } ], { onWarning });
+
+            expect(onWarning.callCount).to.equal(2);
+            expect(onWarning.args.map(([ warnings ]) => warnings.map(({ index, paramNames }) => [ index, paramNames[0] ]))).to.deep.equal([
+                [ [ 1, 'age' ] ],
+                [ [ 3, 'age' ] ]
+            ]);
+        });
+
+        it('returns a valid result when all of the items are valid', () => {
+
+            expect(parameterValidator.validateEach([ records[0] ], rules, { addPrefix: '_' }))
+            .to.deep.equal({ valid: true, params: [ { _name: 'Paula', _age: 30 } ], errors: {}, complete: true });
+            expect(parameterValidator.validateEach([], rules)).to.deep.equal({ valid: true, params: [], errors: {}, complete: true });
+        });
+
+        it('stops at the first invalid item if the failFast option is true', () => {
+
+            let result = parameterValidator.validateEach(records, rules, { failFast: true });
+
+            expect(result.complete).to.equal(false);
+            expect(result.params).to.deep.equal([ { name: 'Paula', age: 30 } ]);
+            expect(Object.keys(result.errors)).to.deep.equal([ '1' ]);
+        });
+
+        it('stops once the maximum number of invalid items is reached', () => {
+
+            let validate = sinon.spy(validators.isPositiveInteger),
+                result = parameterValidator.validateEach(records, [ 'name', { age: validate } ], { maxErrors: 2 });
+
+            expect(result.complete).to.equal(false);
+            expect(Object.keys(result.errors)).to.deep.equal([ '1', '2' ]);
+            expect(validate.callCount).to.equal(3);
+
+            expect(parameterValidator.validateEach(records, rules, { maxErrors: 3 }).complete).to.equal(true);
+        });
+
+        it('throws an error if the items, requirements or options are malformed', () => {
+
+            expect(() => parameterValidator.validateEach(records[0], rules)).to.throw(Error, 'validateEach() requires an array of params objects.');
+            expect(() => parameterValidator.validateEach(records, 'name')).to.throw(Error, 'paramRequirements must be an array.');
+            expect(() => parameterValidator.validateEach(records, rules, { failFast: 'yes' })).to.throw(Error, /failFast/);
+            expect(() => parameterValidator.validateEach(records, rules, { maxErrors: 0 })).to.throw(Error, /maxErrors/);
+            expect(() => parameterValidator.validateEach(records, rules, { shape: 'round' })).to.throw(Error, /shape/);
+        });
+    });
+
+    describe('validateEachAsync()', () => {
+
+        let userExists = id => Promise.resolve([ 'user1', 'user2' ].includes(id)),
+            rules = [ { userId: userExists } ],
+            records = [ { userId: 'user1' }, { userId: 'user3' }, { userId: 'user2' }, {} ];
+
+        it('validates arrays of items with asynchronous validation functions', () => {
+
+            return parameterValidator.validateEachAsync(records, rules)
+            .then(result => {
+                expect(result.valid).to.equal(false);
+                expect(result.complete).to.equal(true);
+                expect(result.params).to.deep.equal([ { userId: 'user1' }, { userId: 'user2' } ]);
+                expect(Object.keys(result.errors)).to.deep.equal([ '1', '3' ]);
+            });
+        });
+
+        it('validates the items of async iterables one at a time', () => {
+
+            let pendingCount = 0,
+                maxPendingCount = 0,
+                index = 0;
+
+            let slowUserExists = id => {
+                pendingCount++;
+                maxPendingCount = Math.max(pendingCount, maxPendingCount);
+
+                return new Promise(resolve => setTimeout(resolve, 2))
+                .then(() => {
+                    pendingCount--;
+                    return userExists(id);
+                });
+            };
+
+            let asyncIterable = {
+                [Symbol.asyncIterator]() {
+                    return {
+                        next: () => Promise.resolve(index < records.length ? { done: false, value: records[index++] } : { done: true })
+                    };
+                }
+            };
+
+            return parameterValidator.validateEachAsync(asyncIterable, [ { userId: slowUserExists } ])
+            .then(result => {
+                expect(maxPendingCount).to.equal(1);
+                expect(result.params).to.deep.equal([ { userId: 'user1' }, { userId: 'user2' } ]);
+                expect(Object.keys(result.errors)).to.deep.equal([ '1', '3' ]);
+            });
+        });
+
+        it('stops reading a stream once the maximum number of invalid items is reached', () => {
+
+            let stream = Readable.from(records);
+
+            return parameterValidator.validateEachAsync(stream, rules, { failFast: true })
+            .then(result => {
+                expect(result).to.deep.include({ valid: false, complete: false });
+                expect(Object.keys(result.errors)).to.deep.equal([ '1' ]);
+                expect(stream.destroyed).to.equal(true);
+            });
+        });
+
+        it('does not read another item once the maximum number of invalid items is reached', () => {
+
+            let readCount = 0,
+                returnCount = 0;
+
+            let iterable = {
+                [Symbol.iterator]() {
+                    return {
+                        next: () => (readCount < 5 ? { done: false, value: { userId: `user${3 + readCount++}` } } : { done: true }),
+                        return: () => {
+                            returnCount++;
+                            return { done: true };
+                        }
+                    };
+                }
+            };
+
+            return parameterValidator.validateEachAsync(iterable, rules, { failFast: true })
+            .then(result => {
+                expect(result).to.deep.include({ valid: false, complete: false });
+                expect(readCount).to.equal(1);
+                expect(returnCount).to.equal(1);
+                return parameterValidator.validateEachAsync(records.slice(0, 2), rules, { failFast: true });
+            })
+            .then(result => {
+                expect(result).to.deep.include({ valid: false, complete: true });
+            });
+        });
+
+        it('rejects if the items, requirements or options are malformed', () => {
+
+            return parameterValidator.validateEachAsync({ userId: 'user1' }, rules)
+            .then(() => fail())
+            .catch(error => {
+                expect(error.message).to.equal('validateEachAsync() requires an array, iterable or async iterable of params objects.');
+                return parameterValidator.validateEachAsync(records, rules, { maxErrors: -1 });
+            })
+            .then(() => fail())
+            .catch(error => {
+                expect(error.message).to.include('maxErrors');
+            });
+        });
+
+        it('rejects if the iterable fails', () => {
+
+            let failingIterable = {
+                [Symbol.asyncIterator]() {
+                    return { next: () => Promise.reject(new Error('The file could not be read.')) };
+                }
+            };
+
+            return parameterValidator.validateEachAsync(failingIterable, rules)
+            .then(() => fail())
+            .catch(error => {
+                expect(error.message).to.equal('The file could not be read.');
+            });
+        });
+    });
+
+    describe('expressMiddleware()', () => {
+
+        let server,
+            nextError;
+
+        let requirements = {
+            params: [ 'orgId' ],
+            query: [ { verbose: { transform: transforms.toBoolean, optional: true, default: false } } ],
+            headers: [ 'x-request-id' ],
+            body: [ 'name', { age: validators.isInteger } ]
+        };
+
+        function startServer(middleware) {
+            nextError = undefined;
+            return listen(createExpressLikeHandler(middleware, error => { nextError = error; }))
+            .then(startedServer => { server = startedServer; });
+        }
+
+        afterEach(done => {
+            if (!server) {
+                return done();
+            }
+            server.close(done);
+            server = undefined;
+        });
+
+        it('assigns the extracted params of all parts of the request to request.validated and calls the next middleware', () => {
+
+            return startServer(parameterValidator.expressMiddleware(requirements))
+            .then(() => sendRequest(server, '/orgs/org1/users?verbose=true&page=2', { 'x-request-id': 'abc' }, { name: 'Paula', age: 30, nickname: 'P' }))
+            .then(({ status, body }) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ orgId: 'org1', verbose: true, 'x-request-id': 'abc', name: 'Paula', age: 30 });
+            });
+        });
+
+        it('responds with a 400 status and the details of the failures of all parts of the request when the request is invalid', () => {
+
+            return startServer(parameterValidator.expressMiddleware(requirements))
+            .then(() => sendRequest(server, '/orgs/org1/users', {}, { age: 'thirty' }))
+            .then(({ status, contentType, body }) => {
+                expect(status).to.equal(400);
+                expect(contentType).to.equal('application/json; charset=utf-8');
+                expect(body.message).to.equal(`Invalid value of 'undefined' was provided for parameter 'x-request-id'. Invalid value of 'undefined' was provided for parameter 'name'. ` +
+                    `Invalid value of 'thirty' was provided for parameter 'age': expected an integer.`);
+                expect(body.errors.map(error => [ error.location, error.paramNames[0], error.rule ])).to.deep.equal([
+                    [ 'headers', 'x-request-id', 'required' ],
+                    [ 'body', 'name', 'required' ],
+                    [ 'body', 'age', 'custom' ]
+                ]);
+            });
+        });
+
+        it('validates like validateAsync() if the async option is true', () => {
+
+            let middleware = parameterValidator.expressMiddleware({
+                body: [ { userId: id => Promise.resolve(id === 'user1') } ]
+            }, { async: true });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/users', {}, { userId: 'user1' }))
+            .then(({ status, body }) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ userId: 'user1' });
+                return sendRequest(server, '/users', {}, { userId: 'user2' });
+            })
+            .then(({ status, body }) => {
+                expect(status).to.equal(400);
+                expect(body.errors[0]).to.include({ location: 'body', rule: 'custom', value: 'user2' });
+            });
+        });
+
+        it('passes errors other than validation failures to the next middleware', () => {
+
+            let middleware = parameterValidator.expressMiddleware({ body: [ { userId: () => Promise.resolve(true) } ] });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/users', {}, { userId: 'user1' }))
+            .then(({ status }) => {
+                expect(status).to.equal(500);
+                expect(nextError.message).to.match(/returned a promise/);
+            });
+        });
+
+        it('supports the property, status, formatError and validation options', () => {
+
+            class InvalidRequestError extends ParameterValidationError {}
+
+            let formatError = sinon.spy(error => ({ invalid: error.errors.map(detail => detail.paramNames[0]), isCustom: error instanceof InvalidRequestError })),
+                middleware = parameterValidator.expressMiddleware({ body: [ 'name' ] }, {
+                    property: 'input', status: 422, formatError, errorClass: InvalidRequestError, addPrefix: '_', strict: true
+                });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/users?property=input', {}, { name: 'Paula' }))
+            .then(({ status, body }) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ _name: 'Paula' });
+                return sendRequest(server, '/users', {}, { nickname: 'P' });
+            })
+            .then(({ status, body }) => {
+                expect(status).to.equal(422);
+                expect(body).to.deep.equal({ invalid: [ 'name', 'nickname' ], isCustom: true });
+                expect(formatError.firstCall.args[1].url).to.equal('/users');
+            });
+        });
+
+        it('limits the size of the values in the error details of the response', () => {
+
+            let name = 'x'.repeat(100000),
+                middleware = parameterValidator.expressMiddleware({ body: [ { name: validators.isEmail }, { tags: validators.isArrayOf(validators.isString) } ] });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/users', {}, { name, tags: new Array(10000).fill(4) }))
+            .then(({ status, body }) => {
+                expect(status).to.equal(400);
+                expect(JSON.stringify(body).length).to.be.below(2000);
+                expect(body.errors[0].value).to.equal(`${'x'.repeat(100)}...`);
+                expect(body.errors[1].value).to.match(/^4,4,4,.*\.\.\.$/);
+            });
+        });
+
+        it('adds the part of the request to warnings and reports them once per request', () => {
+
+            let onWarning = sinon.spy(),
+                middleware = parameterValidator.expressMiddleware({
+                    query: [ { page: { validate: () => 'is deprecated', severity: 'warning' } } ],
+                    body: [ { name: { validate: validators.maxLength(3), severity: 'warning' } } ]
+                }, { onWarning });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/users?page=2', {}, { name: 'Paula' }))
+            .then(({ status }) => {
+                expect(status).to.equal(200);
+                expect(onWarning.callCount).to.equal(1);
+                expect(onWarning.firstCall.args[0].map(({ location, paramNames, severity }) => [ location, paramNames[0], severity ])).to.deep.equal([
+                    [ 'query', 'page', 'warning' ],
+                    [ 'body', 'name', 'warning' ]
+                ]);
+            });
+        });
+
+        it('passes errors thrown by the formatError option to the next middleware', () => {
+
+            let middleware = parameterValidator.expressMiddleware({ body: [ 'name' ] }, {
+                formatError() {
+                    throw new Error('Unable to format the error.');
+                }
+            });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/users', {}, {}))
+            .then(({ status }) => {
+                expect(status).to.equal(500);
+                expect(nextError.message).to.equal('Unable to format the error.');
+            });
+        });
+
+        it(`doesn't apply the strict option to headers`, () => {
+
+            let middleware = parameterValidator.expressMiddleware({ headers: [ 'x-request-id' ], body: [ 'name' ] }, { strict: true });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/users', { 'x-request-id': 'abc' }, { name: 'Paula' }))
+            .then(({ status, body }) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ 'x-request-id': 'abc', name: 'Paula' });
+            });
+        });
+
+        it(`doesn't extract unknown headers when the stripUnknown option is false`, () => {
+
+            let middleware = parameterValidator.expressMiddleware({ headers: [ 'x-request-id' ], body: [ 'name' ] }, { stripUnknown: false });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/users', { 'x-request-id': 'abc' }, { name: 'Paula', nickname: 'P' }))
+            .then(({ status, body }) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ 'x-request-id': 'abc', name: 'Paula', nickname: 'P' });
+            });
+        });
+
+        it('does not call the next middleware a second time if it throws an error', () => {
+
+            let middleware = parameterValidator.expressMiddleware({ body: [ 'name' ] }),
+                next = sinon.spy(() => {
+                    throw new Error('The route failed.');
+                });
+
+            // Express and Connect catch the errors thrown by their handlers themselves, so the error is left unhandled here.
+            return new Promise(resolve => {
+                process.once('unhandledRejection', resolve);
+                middleware({ body: { name: 'Paula' } }, {}, next);
+            })
+            .then(reason => {
+                expect(reason.message).to.equal('The route failed.');
+                expect(next.callCount).to.equal(1);
+                expect(next.firstCall.args).to.deep.equal([]);
+            });
+        });
+
+        it('only assigns the extracted params to the request if it is valid', () => {
+
+            let middleware = parameterValidator.expressMiddleware({ params: [ 'orgId' ], body: [ 'name' ] }),
+                request = { params: { orgId: 'org1' }, body: {} },
+                response = { setHeader: sinon.spy(), end: sinon.spy() },
+                next = sinon.spy();
+
+            middleware(request, response, next);
+
+            return new Promise(resolve => setTimeout(resolve))
+            .then(() => {
+                expect(response.statusCode).to.equal(400);
+                expect(next.called).to.equal(false);
+                expect(request.validated).to.equal(undefined);
+            });
+        });
+
+        it('throws an error if a parameter is referred to by the requirements of more than one part of the request', () => {
+
+            expect(() => parameterValidator.expressMiddleware({ params: [ 'id' ], body: [ 'id' ] }))
+            .to.throw(Error, `The parameter 'id' is referred to by the requirements of both the params and the body of the request.`);
+            expect(() => parameterValidator.expressMiddleware({ query: [ 'user.name' ], body: [ { user: [ 'age' ] } ] }))
+            .to.throw(Error, `The parameter 'user' is referred to by the requirements of both the query and the body of the request.`);
+        });
+
+        it('throws an error for malformed requirements or options', () => {
+
+            expect(() => parameterValidator.expressMiddleware([ 'name' ])).to.throw(Error, /must be an object/);
+            expect(() => parameterValidator.expressMiddleware({ cookies: [ 'session' ] })).to.throw(Error, `Requirements were provided for an unsupported part of the request 'cookies'.`);
+            expect(() => parameterValidator.expressMiddleware({ body: [ 'name' ] }, { status: 200 })).to.throw(Error, 'status option must be an HTTP error status code if provided.');
+            expect(() => parameterValidator.expressMiddleware({ body: [ 'name' ] }, { property: '' })).to.throw(Error, 'property option must be a non-empty string if provided.');
+            expect(() => parameterValidator.expressMiddleware({ body: [ 'name' ] }, { formatError: 'json' })).to.throw(Error, 'formatError option must be a function if provided.');
+            expect(() => parameterValidator.expressMiddleware({ body: [ 'name' ] }, { shape: 'round' })).to.throw(Error, /shape option/);
+        });
+    });
+
+    describe('koaMiddleware()', () => {
+
+        let server;
+
+        function startServer(middleware) {
+            return listen(createKoaLikeHandler(middleware))
+            .then(startedServer => { server = startedServer; });
+        }
+
+        afterEach(done => {
+            if (!server) {
+                return done();
+            }
+            server.close(done);
+            server = undefined;
+        });
+
+        it('assigns the extracted params to ctx.request.validated and calls the next middleware', () => {
+
+            let middleware = parameterValidator.koaMiddleware({ params: [ 'orgId' ], query: [ 'page' ], body: [ 'name' ] });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/orgs/org1/users?page=2', {}, { name: 'Paula' }))
+            .then(({ status, body }) => {
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ orgId: 'org1', page: '2', name: 'Paula' });
+            });
+        });
+
+        it('responds with the details of the failures when the request is invalid', () => {
+
+            let middleware = parameterValidator.koaMiddleware({ body: [ { age: validators.isInteger } ] }, { async: true, status: 422 });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/users', {}, { age: 'thirty' }))
+            .then(({ status, body }) => {
+                expect(status).to.equal(422);
+                expect(body.errors).to.have.length(1);
+                expect(body.errors[0]).to.include({ location: 'body', rule: 'custom', value: 'thirty', expected: 'an integer' });
+            });
+        });
+
+        it('returns a rejected promise for errors other than validation failures', () => {
+
+            let middleware = parameterValidator.koaMiddleware({ body: [ { userId: () => Promise.resolve(true) } ] });
+
+            return startServer(middleware)
+            .then(() => sendRequest(server, '/users', {}, { userId: 'user1' }))
+            .then(({ status, body }) => {
+                expect(status).to.equal(500);
+                expect(body).to.match(/returned a promise/);
+            });
+        });
+    });
+
+    describe('standalone functions', () => {
+
+        it('are bound to a shared instance', () => {
+
+            expect(validateSafe({}, [ 'name' ]).valid).to.equal(false);
+            expect(validateEach([ {}, { name: 'Paula' } ], [ 'name' ]).params).to.deep.equal([ { name: 'Paula' } ]);
+            expect(validateValue(4, validators.isInteger)).to.equal(4);
+            expect(validateArgs([ 4 ], [ validators.isInteger ])).to.deep.equal([ 4 ]);
+
+            return validateSafeAsync({ name: 'Paula' }, [ 'name' ])
+            .then(result => expect(result).to.deep.equal({ valid: true, params: { name: 'Paula' }, errors: [] }));
+        });
+    });
+});
+
+function catNameIsCool(name) {
+    var presidents = ['Lincoln', 'Washington', 'Roosevelt', 'Garfield'];
+    return presidents.indexOf(name) !== -1;
+}
+
+function dogNameIsCool(name) {
+    var composers = ['Tchaikovsky', 'Gershwin', 'Beethoven'];
+    return composers.indexOf(name) !== -1;
+}
+
+function cloneDeep(object) {
+    return JSON.parse(JSON.stringify(object));
+}
+
+/**
+* The following helpers run the middleware in a plain Node HTTP server, with the parts of the request parsed like Express
+* or Koa would. Paths like `/orgs/org1/users` have an `orgId` route param.
+*/
+
+function listen(handleRequest) {
+    let server = http.createServer(handleRequest);
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function parseRequest(request) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('error', reject);
+        request.on('end', () => {
+            let [ pathname, search = '' ] = request.url.split('?'),
+                orgMatch = /^\/orgs\/([^/]+)/.exec(pathname);
+
+            resolve({
+                params: orgMatch ? { orgId: orgMatch[1] } : {},
+                query: querystring.parse(search),
+                body: chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : undefined
+            });
+        });
+    });
+}
+
+function sendJson(response, status, body) {
+    response.statusCode = status;
+    response.setHeader('Content-Type', 'application/json; charset=utf-8');
+    response.end(JSON.stringify(body));
+}
+
+function createExpressLikeHandler(middleware, onNextError) {
+    return (request, response) => {
+        parseRequest(request)
+        .then(({ params, query, body }) => {
+            Object.assign(request, { params, query, body });
+            middleware(request, response, error => {
+                if (error) {
+                    onNextError(error);
+                    return sendJson(response, 500, error.message);
+                }
+                sendJson(response, 200, request[query.property || 'validated']);
+            });
+        });
+    };
+}
+
+function createKoaLikeHandler(middleware) {
+    return (request, response) => {
+        parseRequest(request)
+        .then(({ params, query, body }) => {
+            let ctx = { request: { body }, params, query, headers: request.headers, status: 404 };
+
+            return Promise.resolve(middleware(ctx, () => {
+                ctx.status = 200;
+                ctx.body = ctx.request.validated;
+            }))
+            .then(() => sendJson(response, ctx.status, ctx.body), error => sendJson(response, 500, error.message));
+        });
+    };
+}
+
+function sendRequest(server, path, headers, body) {
+    return new Promise((resolve, reject) => {
+        let { port } = server.address(),
+            request = http.request({ host: '127.0.0.1', port, path, method: 'POST', headers: Object.assign({ 'Content-Type': 'application/json' }, headers) }, response => {
+                let chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('error', reject);
+                response.on('end', () => resolve({
+                    status: response.statusCode,
+                    contentType: response.headers['content-type'],
+                    body: JSON.parse(Buffer.concat(chunks).toString())
+                }));
+            });
+        request.on('error', reject);
+        request.end(JSON.stringify(body));
+    });
 }
@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import ParameterValidator from '../src/ParameterValidator';
+import { validators } from '../src/ParameterValidator';
+
+describe('benchmark', function () {
+
+    this.timeout(10000);
+
+    it('compile() validates the same requirements faster than repeated calls to validate()', () => {
+
+        let parameterValidator = new ParameterValidator(),
+            iterations = 2000,
+            params = { name: 'Paula', email: 'paula@example.com', age: 30, address: { zip: '46256' }, tags: [ 'a', 'b' ] },
+            rules = [
+                'name',
+                [ 'username', 'email' ],
+                { age: validators.isPositiveInteger, address: [ 'zip' ] },
+                { name: 'size', enum: [ 'small', 'large' ], default: 'small' },
+                {
+                    type: 'object',
+                    properties: {
+                        email: { type: 'string', format: 'email' },
+                        tags: { type: 'array', items: { type: 'string', minLength: 1 } },
+                        zip: { type: 'string', pattern: '^\\d{5}$' }
+                    }
+                }
+            ];
+
+        let validateTime = time(() => parameterValidator.validate(params, rules), iterations),
+            compiledValidate = parameterValidator.compile(rules),
+            compiledTime = time(() => compiledValidate(params), iterations);
+
+        expect(compiledTime).to.be.below(validateTime);
+    });
+});
+
+function time(task, iterations) {
+
+    // Warm up before measuring.
+    for (let i = 0; i < 100; i++) {
+        task();
+    }
+
+    let start = process.hrtime();
+
+    for (let i = 0; i < iterations; i++) {
+        task();
+    }
+
+    let [ seconds, nanoseconds ] = process.hrtime(start);
+    return (seconds * 1e3) + (nanoseconds / 1e6);
+}
@@ -0,0 +1,67 @@
+import { expect } from 'chai';
+import { Combinator, allOrNone, forbiddenWith, when, xor } from '../src/combinators';
+
+describe('combinators', () => {
+
+    describe('xor() and allOrNone()', () => {
+
+        it('create rules for groups of parameters', () => {
+
+            expect(xor('id', 'email')).to.be.instanceof(Combinator);
+            expect(Object.assign({}, xor('id', 'email'))).to.deep.equal({ type: 'xor', paramNames: [ 'id', 'email' ] });
+            expect(Object.assign({}, allOrNone('lat', 'lng'))).to.deep.equal({ type: 'allOrNone', paramNames: [ 'lat', 'lng' ] });
+        });
+
+        it('throw an error if fewer than two parameter names are provided', () => {
+
+            expect(() => xor('id')).to.throw(Error, 'xor() requires at least 2 parameter names.');
+            expect(() => allOrNone('lat', 4)).to.throw(Error, /allOrNone/);
+        });
+    });
+
+    describe('forbiddenWith()', () => {
+
+        it('creates a rule that forbids a parameter from being included with others', () => {
+
+            expect(Object.assign({}, forbiddenWith('password', 'ssoToken', 'apiKey'))).to.deep.equal({
+                type: 'forbiddenWith',
+                paramName: 'password',
+                otherParamNames: [ 'ssoToken', 'apiKey' ]
+            });
+        });
+
+        it('throws an error if no other parameter names are provided', () => {
+            expect(() => forbiddenWith('password')).to.throw(Error, /forbiddenWith/);
+        });
+    });
+
+    describe('when()', () => {
+
+        it('creates a conditional rule from a function', () => {
+
+            let isCard = method => method === 'card',
+                rule = when('paymentMethod', isCard, [ 'cardNumber' ], [ 'accountNumber' ]);
+
+            expect(Object.assign({}, rule)).to.deep.equal({
+                type: 'when',
+                paramName: 'paymentMethod',
+                test: isCard,
+                requirements: [ 'cardNumber' ],
+                otherwise: [ 'accountNumber' ]
+            });
+        });
+
+        it('creates a conditional rule from a value', () => {
+
+            let rule = when('paymentMethod', 'card', [ 'cardNumber' ]);
+
+            expect(rule.test('card')).to.equal(true);
+            expect(rule.test('cash')).to.equal(false);
+            expect(rule.otherwise).to.deep.equal([]);
+        });
+
+        it('throws an error if the requirements are not arrays', () => {
+            expect(() => when('paymentMethod', 'card', 'cardNumber')).to.throw(Error, /when/);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+import { expect } from 'chai';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+// Run by `npm run test-dist`, which builds the artifacts first.
+
+const distPath = path.resolve(__dirname, '../../dist');
+
+// Babel would compile a dynamic import() into a require().
+const importModule = new Function('specifier', 'return import(specifier);'); // jshint ignore:line
+
+const artifacts = {
+    'CommonJS build (require)': () => require('parameter-validator'),
+    'ES module build (import)': () => importModule('parameter-validator'),
+    'AMD build': () => loadAmdModule(path.join(distPath, 'amd/ParameterValidator.js')),
+    'UMD bundle (require)': () => require(path.join(distPath, 'umd/parameter-validator.js')),
+    'UMD bundle (browser global)': () => loadBrowserGlobal(path.join(distPath, 'umd/parameter-validator.js'), 'ParameterValidator')
+};
+
+describe('built artifacts', () => {
+
+    Object.keys(artifacts).forEach(artifactName => {
+
+        describe(artifactName, () => {
+
+            let parameterValidatorModule;
+
+            before(() => {
+                return Promise.resolve(artifacts[artifactName]())
+                .then(loadedModule => {
+                    parameterValidatorModule = loadedModule;
+                });
+            });
+
+            it('exports the ParameterValidator class and the standalone functions', () => {
+
+                let { validate, validateAsync, validators } = parameterValidatorModule,
+                    parameterValidator = new parameterValidatorModule.default();
+
+                expect(parameterValidator.validate({ name: 'Paula', age: 30 }, [ 'name' ])).to.deep.equal({ name: 'Paula' });
+                expect(validate({ age: 30 }, [ { age: validators.isInteger } ])).to.deep.equal({ age: 30 });
+                expect(validateAsync).to.be.a('function');
+            });
+
+            it('throws errors that are instances of ParameterValidationError', () => {
+
+                let { ParameterValidationError, validate } = parameterValidatorModule;
+
+                try {
+                    validate({}, [ 'name' ]);
+                    throw new Error('validate() did not throw an error.');
+                } catch (error) {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(isError(error)).to.equal(true);
+                    expect(error.name).to.equal('ParameterValidationError');
+                    expect(error.errors).to.have.length(1);
+                }
+            });
+
+            it('rejects with instances of ParameterValidationError', () => {
+
+                let { ParameterValidationError, validateAsync } = parameterValidatorModule;
+
+                return validateAsync({}, [ 'name' ])
+                .then(() => {
+                    throw new Error('validateAsync() did not reject.');
+                })
+                .catch(error => {
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                });
+            });
+
+            it('throws instances of subclasses of ParameterValidationError provided as the errorClass', () => {
+
+                let { ParameterValidationError, validate } = parameterValidatorModule;
+
+                let InvalidRequestError = createSubclass(ParameterValidationError);
+
+                try {
+                    validate({}, [ 'name' ], null, { errorClass: InvalidRequestError });
+                    throw new Error('validate() did not throw an error.');
+                } catch (error) {
+                    expect(error).to.be.instanceof(InvalidRequestError);
+                    expect(error).to.be.instanceof(ParameterValidationError);
+                    expect(error.errors).to.have.length(1);
+                }
+            });
+        });
+    });
+});
+
+/**
+* Like `instanceof Error`, but also works for errors created in another realm, such as a vm context.
+*/
+function isError(value) {
+    return Object.prototype.toString.call(value) === '[object Error]';
+}
+
+/**
+* Babel's classes can't extend the native classes of the ES module build, so this subclasses without Babel.
+*/
+function createSubclass(BaseClass) {
+
+    function Subclass(...args) {
+        return Reflect.construct(BaseClass, args, Subclass);
+    }
+    Object.setPrototypeOf(Subclass, BaseClass);
+    Subclass.prototype = Object.create(BaseClass.prototype, { constructor: { value: Subclass, writable: true, configurable: true } });
+    return Subclass;
+}
+
+/**
+* A minimal AMD loader, which supports the anonymous modules with relative dependencies produced by the AMD build.
+*/
+function loadAmdModule(modulePath, loadedModules = {}) {
+
+    if (loadedModules[modulePath]) {
+        return loadedModules[modulePath];
+    }
+
+    let dependencies,
+        factory,
+        moduleExports = {};
+
+    let define = (...args) => {
+        [ dependencies, factory ] = args;
+    };
+    define.amd = {};
+
+    vm.runInThisContext(`(function (define) {\n${fs.readFileSync(modulePath, 'utf8')}\n})`, { filename: modulePath })(define);
+
+    loadedModules[modulePath] = moduleExports;
+
+    let dependencyExports = dependencies.map(dependency => {
+        if (dependency === 'exports') {
+            return moduleExports;
+        }
+        return loadAmdModule(`${path.resolve(path.dirname(modulePath), dependency)}.js`, loadedModules);
+    });
+
+    factory(...dependencyExports);
+    return moduleExports;
+}
+
+/**
+* Runs a script in a new context without CommonJS or AMD, like a browser's script tag, and returns the global it defines.
+*/
+function loadBrowserGlobal(scriptPath, globalName) {
+
+    let context = vm.createContext({});
+    vm.runInContext(fs.readFileSync(scriptPath, 'utf8'), context, { filename: scriptPath });
+    return context[globalName];
+}
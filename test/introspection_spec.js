@@ -0,0 +1,280 @@
+import { expect } from 'chai';
+import ParameterValidator, { describeRequirements, validators } from '../src/ParameterValidator';
+import { renderMarkdown, toJsonSchema, toOpenApiParameters } from '../src/introspection';
+import { forbiddenWith, when, xor } from '../src/combinators';
+import { createValidator } from '../src/validators';
+
+describe('introspection', () => {
+
+    describe('describeRequirements()', () => {
+
+        it('describes each parameter with the metadata of its validator', () => {
+
+            expect(describeRequirements([
+                'name',
+                { age: { validate: validators.allOf(validators.isInteger, validators.inRange(0, 150)), optional: true } },
+                { pageSize: { validate: validators.isPositiveInteger, default: 25, description: 'Results per page.' } }
+            ])).to.deep.equal({
+                params: [
+                    { name: 'name', type: 'any', required: true },
+                    {
+                        name: 'age',
+                        type: 'integer',
+                        required: false,
+                        expected: 'an integer and a number from 0 to 150',
+                        schema: { type: 'integer', minimum: 0, maximum: 150 }
+                    },
+                    {
+                        name: 'pageSize',
+                        type: 'integer',
+                        required: false,
+                        expected: 'a positive integer',
+                        schema: { type: 'integer', minimum: 1 },
+                        description: 'Results per page.',
+                        default: 25
+                    }
+                ],
+                groups: []
+            });
+        });
+
+        it('describes opaque validation functions as custom, with the description of their rule', () => {
+
+            let { params } = describeRequirements([ { code: value => value.length === 6, token: { validate: value => value, description: 'An API token.' } } ]);
+
+            expect(params).to.deep.equal([
+                { name: 'code', type: 'custom', required: true },
+                { name: 'token', type: 'custom', required: true, description: 'An API token.' }
+            ]);
+        });
+
+        it('describes registered rules, aliases, sensitive parameters and soft rules', () => {
+
+            let parameterValidator = new ParameterValidator();
+
+            parameterValidator.registerRule('tenantId', validators.matches(/^t-\d+$/), { description: 'A tenant ID.' });
+
+            expect(parameterValidator.describeRequirements([
+                'orgId:tenantId',
+                { username: { aliases: 'userName', sensitive: true }, bio: { validate: validators.maxLength(500), severity: 'warning' } }
+            ]).params).to.deep.equal([
+                {
+                    name: 'orgId',
+                    type: 'string',
+                    required: true,
+                    expected: 'a string matching /^t-\\d+$/',
+                    schema: { type: 'string', pattern: '^t-\\d+$' },
+                    description: 'A tenant ID.',
+                    ruleName: 'tenantId'
+                },
+                { name: 'username', type: 'any', required: true, aliases: [ 'userName' ], sensitive: true },
+                {
+                    name: 'bio',
+                    type: 'any',
+                    required: true,
+                    expected: 'a value with a length of at most 500',
+                    schema: { maxLength: 500, maxItems: 500 },
+                    severity: 'warning'
+                }
+            ]);
+        });
+
+        it('describes nested requirements, collection rules and declarative descriptions', () => {
+
+            let { params } = describeRequirements([
+                { address: [ 'city' ], tags: { items: validators.isString, maxItems: 3, uniqueItems: true } },
+                { name: 'size', enum: [ 'S', 'M' ], description: 'The size.' }
+            ]);
+
+            expect(params[0]).to.deep.equal({
+                name: 'address',
+                type: 'object',
+                required: true,
+                properties: { params: [ { name: 'city', type: 'any', required: true } ], groups: [] }
+            });
+            expect(params[1]).to.deep.equal({
+                name: 'tags',
+                type: 'array',
+                required: true,
+                items: { name: '[]', type: 'string', required: true, expected: 'a string', schema: { type: 'string' } },
+                maxItems: 3,
+                uniqueItems: true
+            });
+            expect(params[2]).to.include({ name: 'size', type: 'any', required: false, description: 'The size.' });
+        });
+
+        it('describes the rules for groups of parameters, and the parameters they name', () => {
+
+            let description = describeRequirements([
+                [ 'id', 'email' ],
+                xor('lat', 'zip'),
+                forbiddenWith('password', 'ssoToken'),
+                when('method', 'card', [ 'cardNumber' ]),
+                { password: validators.isString }
+            ]);
+
+            expect(description.groups).to.deep.equal([
+                { type: 'oneOf', paramNames: [ 'id', 'email' ] },
+                { type: 'xor', paramNames: [ 'lat', 'zip' ] },
+                { type: 'forbiddenWith', paramName: 'password', otherParamNames: [ 'ssoToken' ] },
+                {
+                    type: 'when',
+                    paramName: 'method',
+                    requirements: { params: [ { name: 'cardNumber', type: 'any', required: true } ], groups: [] },
+                    otherwise: { params: [], groups: [] }
+                }
+            ]);
+            expect(description.params.map(param => [ param.name, param.required ])).to.deep.equal([
+                [ 'password', true ], [ 'id', false ], [ 'email', false ], [ 'lat', false ], [ 'zip', false ], [ 'ssoToken', false ], [ 'method', false ]
+            ]);
+        });
+
+        it('throws an error for malformed requirements and descriptions', () => {
+
+            expect(() => describeRequirements('name')).to.throw(Error, 'paramRequirements must be an array.');
+            expect(() => describeRequirements([ { name: { description: 4 } } ]))
+                .to.throw(Error, 'The description property of the rule provided for the parameter name must be a string.');
+            expect(() => new ParameterValidator().registerRule('tenantId', () => true, { description: 4 }))
+                .to.throw(Error, `The description option provided for the rule 'tenantId' must be a string.`);
+        });
+    });
+
+    describe('renderMarkdown()', () => {
+
+        it('renders a table of the parameters, followed by the rules for groups of parameters', () => {
+
+            let description = describeRequirements([
+                { name: { validate: validators.isNonEmptyString, description: 'The full name' } },
+                { pageSize: { validate: validators.isPositiveInteger, default: 25 }, username: { aliases: 'userName' } },
+                { address: [ { zip: { validate: value => value, description: 'A | separated code.' } } ] },
+                { tags: { items: validators.isString, minItems: 1, uniqueItems: true } },
+                [ 'id', 'email' ],
+                when('method', 'card', [ 'cardNumber' ])
+            ]);
+
+            expect(renderMarkdown(description)).to.equal([
+                '| Parameter | Type | Required | Description |',
+                '| --- | --- | --- | --- |',
+                '| `name` | string | Yes | The full name. Expected a non-empty string. |',
+                '| `pageSize` | integer | No | Expected a positive integer. Defaults to `25`. |',
+                '| `username` | any | Yes | Deprecated aliases: `userName`. |',
+                '| `address` | object | Yes |  |',
+                '| `address.zip` | custom | Yes | A \\| separated code. |',
+                '| `tags` | array | Yes | At least 1 item. The items must be unique. |',
+                '| `tags[]` | string | Yes | Expected a string. |',
+                '| `id` | any | No |  |',
+                '| `email` | any | No |  |',
+                '| `method` | any | No |  |',
+                '| `cardNumber` | any | Conditional |  |',
+                '',
+                '- At least one of `id`, `email` must be included.',
+                '- The requirements of `cardNumber` depend on the value of `method`.',
+                ''
+            ].join('\n'));
+        });
+    });
+
+    describe('toJsonSchema()', () => {
+
+        it('converts a description into the schema of an object containing the parameters', () => {
+
+            let description = describeRequirements([
+                { name: validators.isNonEmptyString, age: { validate: validators.isInteger, optional: true, description: 'The age.' } },
+                { 'user.email': validators.isEmail, username: { aliases: 'userName' } },
+                { tags: { items: validators.isString, maxItems: 3, uniqueItems: true } },
+                { bio: { validate: validators.maxLength(500), severity: 'warning' } }
+            ]);
+
+            expect(toJsonSchema(description)).to.deep.equal({
+                type: 'object',
+                properties: {
+                    name: { type: 'string', pattern: '\\S' },
+                    age: { type: 'integer', description: 'The age.' },
+                    user: { type: 'object', properties: { email: { type: 'string', format: 'email' } }, required: [ 'email' ] },
+                    username: {},
+                    userName: { deprecated: true, description: `Deprecated alias of 'username'.` },
+                    tags: { type: 'array', items: { type: 'string' }, maxItems: 3, uniqueItems: true },
+                    bio: {}
+                },
+                required: [ 'name', 'user', 'username', 'tags', 'bio' ]
+            });
+        });
+
+        it('includes nested requirements and the rules for groups of parameters', () => {
+
+            let description = describeRequirements([
+                { address: [ 'city', { zip: { validate: validators.isString, optional: true } } ] },
+                [ 'id', 'address.postalCode' ],
+                forbiddenWith('password', 'ssoToken'),
+                when('method', 'card', [ { cardNumber: validators.isString } ])
+            ]);
+
+            expect(toJsonSchema(description)).to.deep.equal({
+                type: 'object',
+                properties: {
+                    address: { type: 'object', properties: { city: {}, zip: { type: 'string' }, postalCode: {} }, required: [ 'city' ] },
+                    id: {},
+                    password: {},
+                    ssoToken: {},
+                    method: {},
+                    cardNumber: { type: 'string' }
+                },
+                required: [ 'address' ],
+                allOf: [
+                    { anyOf: [ { required: [ 'id' ] }, { required: [ 'address' ], properties: { address: { required: [ 'postalCode' ] } } } ] },
+                    { not: { allOf: [ { required: [ 'password' ] }, { anyOf: [ { required: [ 'ssoToken' ] } ] } ] } }
+                ]
+            });
+        });
+    });
+
+    describe('toOpenApiParameters()', () => {
+
+        let description = describeRequirements([
+            { page: { validate: validators.isPositiveInteger, default: 1, description: 'The page number.' } },
+            { filter: [ 'status' ], sort: { aliases: 'order', optional: true } }
+        ]);
+
+        it('converts a description into OpenAPI parameter objects', () => {
+
+            expect(toOpenApiParameters(description)).to.deep.equal([
+                { name: 'page', in: 'query', required: false, description: 'The page number.', schema: { type: 'integer', minimum: 1, default: 1 } },
+                {
+                    name: 'filter',
+                    in: 'query',
+                    required: true,
+                    style: 'deepObject',
+                    explode: true,
+                    schema: { type: 'object', properties: { status: {} }, required: [ 'status' ] }
+                },
+                { name: 'sort', in: 'query', required: false, schema: {} },
+                { name: 'order', in: 'query', required: false, description: `Deprecated alias of 'sort'.`, deprecated: true, schema: {} }
+            ]);
+        });
+
+        it('supports the other locations of parameters, in which path parameters are always required', () => {
+
+            let parameters = toOpenApiParameters(describeRequirements([ { orgId: { validate: validators.isUUID, optional: true } } ]), 'path');
+
+            expect(parameters).to.deep.equal([ { name: 'orgId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } } ]);
+            expect(() => toOpenApiParameters(description, 'body')).to.throw(Error, `The location 'body' must be one of 'query', 'header', 'path' or 'cookie'.`);
+        });
+
+        it('converts numeric exclusive bounds into the boolean form of OpenAPI 3.0', () => {
+
+            let boundedNumber = createValidator('a fraction', value => value > 0 && value < 1, { type: 'number', minimum: 0, exclusiveMaximum: 1 }),
+                parameters = toOpenApiParameters(describeRequirements([
+                    { price: validators.isPositiveNumber, fraction: boundedNumber },
+                    { 'order.total': validators.isPositiveNumber, weights: { items: validators.isPositiveNumber } }
+                ]));
+
+            expect(parameters.map(parameter => parameter.schema)).to.deep.equal([
+                { type: 'number', minimum: 0, exclusiveMinimum: true },
+                { type: 'number', minimum: 0, maximum: 1, exclusiveMaximum: true },
+                { type: 'object', properties: { total: { type: 'number', minimum: 0, exclusiveMinimum: true } }, required: [ 'total' ] },
+                { type: 'array', items: { type: 'number', minimum: 0, exclusiveMinimum: true } }
+            ]);
+            expect(toJsonSchema(describeRequirements([ { price: validators.isPositiveNumber } ])).properties.price).to.deep.equal({ type: 'number', exclusiveMinimum: 0 });
+        });
+    });
+});
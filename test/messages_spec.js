@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import { createMessageFormatter, defaultMessages, findCatalogProblem, formatCount, formatPathList } from '../src/messages';
+
+describe('messages', () => {
+
+    describe('createMessageFormatter()', () => {
+
+        let messages = {
+            fr: {
+                invalid: 'Valeur invalide « {value} » fournie pour le paramètre « {path} ».',
+                oneOf: ({ paramNames }) => `L'un des paramètres suivants est requis : ${paramNames}.`
+            },
+            'fr-CA': {
+                unknown: 'Paramètre inconnu « {path} ».'
+            }
+        };
+
+        it('fills in the placeholders of the English templates by default', () => {
+
+            let format = createMessageFormatter('en');
+
+            expect(format('invalid', { path: 'age', value: 12 })).to.equal('Invalid value of \'12\' was provided for parameter \'age\'.');
+            expect(format('oneOf', { paramNames: '\'id\', \'email\'' })).to.equal('One of the following parameters must be included: \'id\', \'email\'.');
+        });
+
+        it('uses the templates of the locale, then its language, then English', () => {
+
+            let format = createMessageFormatter('fr-CA', messages);
+
+            expect(format('unknown', { path: 'size' })).to.equal('Paramètre inconnu « size ».');
+            expect(format('invalid', { path: 'age', value: undefined })).to.equal('Valeur invalide « undefined » fournie pour le paramètre « age ».');
+            expect(format('oneOf', { paramNames: '\'id\'' })).to.equal('L\'un des paramètres suivants est requis : \'id\'.');
+            expect(format('xor', { paramNames: '\'id\'' })).to.equal('Exactly one of the following parameters must be included: \'id\'.');
+        });
+
+        it('leaves placeholders without data as they are', () => {
+            expect(createMessageFormatter('en')('invalidExpected', { path: 'age' })).to.equal('Invalid value of \'{value}\' was provided for parameter \'age\': expected {expected}.');
+        });
+
+        it('prefers the message of a custom formatter unless it returns undefined', () => {
+
+            let formatMessage = (name, data, locale) => (name === 'invalid') ? `${locale}:${name}:${data.path}` : undefined,
+                format = createMessageFormatter('de', messages, formatMessage);
+
+            expect(format('invalid', { path: 'age', value: 12 })).to.equal('de:invalid:age');
+            expect(format('unknown', { path: 'size' })).to.equal('Unknown parameter \'size\' was provided.');
+        });
+    });
+
+    describe('findCatalogProblem()', () => {
+
+        it('returns undefined for valid catalogs', () => {
+            expect(findCatalogProblem({})).to.equal(undefined);
+            expect(findCatalogProblem({ fr: { invalid: 'Valeur invalide', timeout: () => 'délai dépassé' } })).to.equal(undefined);
+        });
+
+        it('describes the problem with invalid catalogs', () => {
+            expect(findCatalogProblem([])).to.match(/messages option must be an object/);
+            expect(findCatalogProblem({ fr: 'Valeur invalide' })).to.equal('The messages for the locale \'fr\' must be an object.');
+            expect(findCatalogProblem({ fr: { invalide: 'Valeur invalide' } })).to.equal('The messages for the locale \'fr\' include an unsupported template \'invalide\'.');
+            expect(findCatalogProblem({ fr: { invalid: 4 } })).to.equal('The \'invalid\' template for the locale \'fr\' must be a string or function.');
+        });
+    });
+
+    it('defaultMessages contains a template for each kind of failure', () => {
+        expect(Object.keys(defaultMessages)).to.deep.equal([
+            'paramsRequired', 'invalid', 'invalidExpected', 'invalidReason', 'unknown', 'oneOf', 'xor', 'allOrNone', 'forbiddenWith', 'deprecatedAlias',
+            'aliasConflict', 'timeout'
+        ]);
+    });
+
+    it('formatPathList() quotes and joins paths', () => {
+        expect(formatPathList([ 'id', 'user.email' ])).to.equal('\'id\', \'user.email\'');
+    });
+
+    it('formatCount() pluralizes the noun unless the count is 1', () => {
+        expect([ 0, 1, 2 ].map(count => formatCount(count, 'item'))).to.deep.equal([ '0 items', '1 item', '2 items' ]);
+    });
+});
@@ -0,0 +1,66 @@
+import { expect } from 'chai';
+import { getPath, isPath, joinPath, parsePath, setPath } from '../src/paths';
+
+describe('paths', () => {
+
+    describe('parsePath()', () => {
+
+        it('splits a path into property names and array indexes', () => {
+            expect(parsePath('user.address.zip')).to.deep.equal([ 'user', 'address', 'zip' ]);
+            expect(parsePath('items[0].id')).to.deep.equal([ 'items', 0, 'id' ]);
+            expect(parsePath('matrix[1][2]')).to.deep.equal([ 'matrix', 1, 2 ]);
+        });
+    });
+
+    describe('isPath()', () => {
+
+        it('indicates whether a parameter name refers to a nested property', () => {
+            expect(isPath('user.name')).to.equal(true);
+            expect(isPath('items[0]')).to.equal(true);
+            expect(isPath('name')).to.equal(false);
+        });
+    });
+
+    describe('joinPath()', () => {
+
+        it('joins a path onto a base path', () => {
+            expect(joinPath('', 'name')).to.equal('name');
+            expect(joinPath('user', 'name')).to.equal('user.name');
+            expect(joinPath('items', '[0].id')).to.equal('items[0].id');
+        });
+    });
+
+    describe('getPath()', () => {
+
+        it('gets the value at a nested path', () => {
+            let params = { user: { address: { zip: '46256' } }, items: [ { id: 7 } ] };
+
+            expect(getPath(params, 'user.address.zip')).to.equal('46256');
+            expect(getPath(params, 'items[0].id')).to.equal(7);
+        });
+
+        it('returns undefined if part of the path is missing', () => {
+            expect(getPath({ user: null }, 'user.address.zip')).to.equal(undefined);
+            expect(getPath({}, 'items[3].id')).to.equal(undefined);
+        });
+
+        it('prefers a property whose name exactly matches the path', () => {
+            expect(getPath({ 'user.name': 'Paula', user: { name: 'Nathan' } }, 'user.name')).to.equal('Paula');
+        });
+    });
+
+    describe('setPath()', () => {
+
+        it('creates any missing objects and arrays along the path', () => {
+            let target = { user: { id: 1 } };
+
+            setPath(target, [ 'user', 'address', 'zip' ], '46256');
+            setPath(target, [ 'items', 0, 'id' ], 7);
+
+            expect(target).to.deep.equal({
+                user: { id: 1, address: { zip: '46256' } },
+                items: [ { id: 7 } ]
+            });
+        });
+    });
+});
@@ -0,0 +1,85 @@
+import { expect } from 'chai';
+import { createLimiter, isThenable, whenAllSettled, whenSettled, withTimeout } from '../src/promises';
+
+describe('promises', () => {
+
+    describe('isThenable()', () => {
+
+        it('indicates whether a value is a promise', () => {
+            expect(isThenable(Promise.resolve())).to.equal(true);
+            expect(isThenable({ then() {} })).to.equal(true);
+            expect(isThenable(true)).to.equal(false);
+            expect(isThenable(null)).to.equal(false);
+        });
+    });
+
+    describe('whenSettled()', () => {
+
+        it('invokes the callback synchronously for values that are not promises', () => {
+            expect(whenSettled(2, value => value * 2)).to.equal(4);
+        });
+
+        it('invokes the callback once a promise resolves', () => {
+            return whenSettled(Promise.resolve(2), value => value * 2)
+            .then(result => expect(result).to.equal(4));
+        });
+    });
+
+    describe('whenAllSettled()', () => {
+
+        it('invokes the callback synchronously if none of the values are promises', () => {
+            expect(whenAllSettled([ 1, 2 ], values => values.join())).to.equal('1,2');
+        });
+
+        it('waits for any promises to resolve before invoking the callback', () => {
+            return whenAllSettled([ 1, Promise.resolve(2) ], values => values.join())
+            .then(result => expect(result).to.equal('1,2'));
+        });
+    });
+
+    describe('createLimiter()', () => {
+
+        it('limits the number of pending tasks and resolves with the result of each task', () => {
+
+            let limit = createLimiter(2),
+                pendingCount = 0,
+                maxPendingCount = 0,
+                task = result => () => {
+                    pendingCount++;
+                    maxPendingCount = Math.max(pendingCount, maxPendingCount);
+                    return new Promise(resolve => setTimeout(() => {
+                        pendingCount--;
+                        resolve(result);
+                    }, 5));
+                };
+
+            return Promise.all([ 'a', 'b', 'c', 'd', 'e' ].map(result => limit(task(result))))
+            .then(results => {
+                expect(results).to.deep.equal([ 'a', 'b', 'c', 'd', 'e' ]);
+                expect(maxPendingCount).to.equal(2);
+            });
+        });
+
+        it('continues running tasks after one rejects', () => {
+
+            let limit = createLimiter(1),
+                failure = limit(() => Promise.reject(new Error('Oops')));
+
+            return Promise.all([ failure.catch(error => error.message), limit(() => 'ok') ])
+            .then(results => expect(results).to.deep.equal([ 'Oops', 'ok' ]));
+        });
+    });
+
+    describe('withTimeout()', () => {
+
+        it('resolves with the result of the promise if it settles in time', () => {
+            return withTimeout(Promise.resolve('done'), 50, () => 'timed out')
+            .then(result => expect(result).to.equal('done'));
+        });
+
+        it('resolves with the result of onTimeout() if the promise does not settle in time', () => {
+            return withTimeout(new Promise(() => {}), 5, () => 'timed out')
+            .then(result => expect(result).to.equal('timed out'));
+        });
+    });
+});
@@ -0,0 +1,104 @@
+import { expect } from 'chai';
+import { defaultSensitiveParams, isSensitivePath, limitValue, previewValue, testPattern } from '../src/redaction';
+
+describe('redaction', () => {
+
+    describe('testPattern()', () => {
+
+        it('tests from the start of the string even if the pattern is global or sticky', () => {
+
+            [ /pin/g, /pin/y ].forEach(pattern => {
+                expect(testPattern(pattern, 'pin')).to.equal(true);
+                expect(testPattern(pattern, 'pin')).to.equal(true);
+            });
+        });
+    });
+
+    describe('isSensitivePath()', () => {
+
+        it('matches names in the default deny-list', () => {
+
+            [ 'password', 'newPassword', 'accessToken', 'clientSecret', 'apiKey', 'api_key', 'user.password', 'secrets.aws', 'tokens[0]' ].forEach(path => {
+                expect(isSensitivePath(path, defaultSensitiveParams), path).to.equal(true);
+            });
+            [ 'name', 'user.email', 'items[0].id', 'keyword', 'x-request-id' ].forEach(path => {
+                expect(isSensitivePath(path, defaultSensitiveParams), path).to.equal(false);
+            });
+        });
+
+        it('matches the names of headers that carry credentials', () => {
+
+            [ 'x-api-key', 'api-key', 'authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'X-Api-Key' ].forEach(path => {
+                expect(isSensitivePath(path, defaultSensitiveParams), path).to.equal(true);
+            });
+        });
+
+        it('compares names case-insensitively', () => {
+            expect(isSensitivePath('user.SSN', [ 'ssn' ])).to.equal(true);
+            expect(isSensitivePath('user.ssnLast4', [ 'ssn' ])).to.equal(false);
+        });
+
+        it('resets the lastIndex of global regular expressions', () => {
+
+            let pattern = /pin/g;
+            expect(isSensitivePath('pin', [ pattern ])).to.equal(true);
+            expect(isSensitivePath('pin', [ pattern ])).to.equal(true);
+        });
+    });
+
+    describe('previewValue()', () => {
+
+        it('converts values to strings like a template literal', () => {
+            expect(previewValue(12, 100)).to.equal('12');
+            expect(previewValue(undefined, 100)).to.equal('undefined');
+            expect(previewValue({ a: 1 }, 100)).to.equal('[object Object]');
+            expect(previewValue([ 1, null, [ 2, 3 ] ], 100)).to.equal('1,,2,3');
+        });
+
+        it('truncates values that are longer than the maximum length', () => {
+            expect(previewValue('abcdef', 4)).to.equal('abcd...');
+            expect(previewValue('abcd', 4)).to.equal('abcd');
+        });
+
+        it('only converts as much of a large array as is needed', () => {
+
+            let items = new Array(100000).fill('item');
+            items[items.length - 1] = { toString: () => { throw new Error('converted the whole array'); } };
+
+            expect(previewValue(items, 10)).to.equal('item,item,...');
+        });
+
+        it('only converts as much of a large typed array or Buffer as is needed', () => {
+
+            let bytes = new Uint8Array(5000000).fill(7);
+            bytes.join = bytes.toString = () => { throw new Error('converted the whole typed array'); };
+
+            expect(previewValue(bytes, 10)).to.equal('7,7,7,7,7,...');
+
+            expect(previewValue(Buffer.from('abcdef'), 4)).to.equal('abcd...');
+            expect(previewValue(Buffer.from('é'.repeat(10)), 4)).to.equal('éééé...');
+            expect(previewValue(Buffer.from('ab'), 4)).to.equal('ab');
+        });
+
+        it('abbreviates deeply nested arrays', () => {
+            expect(previewValue([ [ [ [ [ [ [ 1 ] ] ] ] ] ] ], 100)).to.equal('...');
+        });
+
+        it('describes objects that cannot be converted to strings', () => {
+            expect(previewValue(Object.create(null), 100)).to.equal('[object Object]');
+        });
+    });
+
+    describe('limitValue()', () => {
+
+        it('keeps numbers, booleans, null, undefined and short strings as they are', () => {
+            expect([ 4, false, null, undefined, 'abcd' ].map(value => limitValue(value, 4))).to.deep.equal([ 4, false, null, undefined, 'abcd' ]);
+        });
+
+        it('replaces long strings and other values with their previews', () => {
+            expect(limitValue('abcdef', 4)).to.equal('abcd...');
+            expect(limitValue([ 1, 2, 3 ], 4)).to.equal('1,2,...');
+            expect(limitValue({ a: 1 }, 100)).to.equal('[object Object]');
+        });
+    });
+});
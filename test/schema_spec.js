@@ -0,0 +1,132 @@
+import { expect } from 'chai';
+import { compileSchema, isSchema } from '../src/schema';
+
+describe('schema', () => {
+
+    describe('isSchema()', () => {
+
+        it('recognizes parameter descriptions', () => {
+            expect(isSchema({ name: 'age', type: 'integer' })).to.equal(true);
+            expect(isSchema({ name: 'age', required: true })).to.equal(true);
+        });
+
+        it('recognizes object schemas', () => {
+            expect(isSchema({ type: 'object', properties: { age: { type: 'integer' } }, required: [ 'age' ] })).to.equal(true);
+        });
+
+        it('does not mistake other requirements for schemas', () => {
+            expect(isSchema('age')).to.equal(false);
+            expect(isSchema([ 'age', 'birthday' ])).to.equal(false);
+            expect(isSchema({ name: val => val })).to.equal(false);
+            expect(isSchema({ name: 'age' })).to.equal(false);
+            expect(isSchema({ name: 'age', age: val => val > 30 })).to.equal(false);
+            expect(isSchema({ type: 'object', properties: {}, owner: val => val })).to.equal(false);
+        });
+    });
+
+    describe('compileSchema()', () => {
+
+        it('compiles a parameter description into a rule object', () => {
+
+            let { age } = compileSchema({ name: 'age', type: 'integer', required: true, minimum: 0, maximum: 150 });
+
+            expect(age.optional).to.equal(undefined);
+            expect(age.validate(30)).to.equal(true);
+            expect(age.validate(3.5)).to.equal('expected an integer');
+            expect(age.validate(-1)).to.equal('expected a number of at least 0');
+            expect(age.validate.expected).to.equal('an integer and a number of at least 0 and a number of at most 150');
+        });
+
+        it('keeps the description and the equivalent schema for documentation', () => {
+
+            let { age } = compileSchema({ name: 'age', type: 'integer', minimum: 0, description: 'The age in years.' });
+
+            expect(age.description).to.equal('The age in years.');
+            expect(age.validate.schema).to.deep.equal({ type: 'integer', minimum: 0 });
+        });
+
+        it('compiles parameters that are not required into optional rules', () => {
+
+            let { size } = compileSchema({ name: 'size', enum: [ 'small', 'large' ], default: 'small' });
+
+            expect(size.optional).to.equal(true);
+            expect(size.default).to.equal('small');
+            expect(size.validate('large')).to.equal(true);
+            expect(size.validate('medium')).to.equal(false);
+        });
+
+        it('compiles string keywords', () => {
+
+            let { code, email } = compileSchema({
+                type: 'object',
+                properties: {
+                    code: { type: 'string', pattern: '^[A-Z]+$', minLength: 2, maxLength: 4 },
+                    email: { format: 'email' }
+                }
+            });
+
+            expect(code.validate('ABC')).to.equal(true);
+            expect(code.validate('abc')).to.equal('expected a string matching /^[A-Z]+$/');
+            expect(code.validate('A')).to.equal('expected a value with a length of at least 2');
+            expect(email.validate('paula@example.com')).to.equal(true);
+        });
+
+        it('compiles the items keyword and the other keywords for arrays into collection rules', () => {
+
+            let { tags, anything } = compileSchema({
+                type: 'object',
+                properties: {
+                    tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 10, uniqueItems: true },
+                    anything: { items: {} }
+                }
+            });
+
+            expect(tags.validate([ 'a', 'b' ])).to.equal(true);
+            expect(tags.items.validate(2)).to.equal(false);
+            expect(tags.items.validate.expected).to.equal('a string');
+            expect(tags).to.include({ minItems: 1, maxItems: 10, uniqueItems: true });
+            expect(anything).to.deep.equal({ optional: true, items: {} });
+        });
+
+        it('compiles the items keyword for arrays of objects', () => {
+
+            let { lines } = compileSchema({
+                name: 'lines',
+                type: 'array',
+                items: { type: 'object', properties: { sku: { type: 'string' } }, required: [ 'sku' ] }
+            });
+
+            expect(Object.keys(lines.items.requirements[0])).to.deep.equal([ 'sku' ]);
+        });
+
+        it('compiles the required properties of an object schema', () => {
+
+            let rules = compileSchema({ type: 'object', properties: { name: {}, nickname: {} }, required: [ 'name' ] });
+
+            expect(rules).to.deep.equal({ name: {}, nickname: { optional: true } });
+        });
+
+        it('compiles nested properties into nested requirements', () => {
+
+            let { user } = compileSchema({
+                name: 'user',
+                type: 'object',
+                properties: { name: { type: 'string' }, zip: { type: 'string', required: true } },
+                required: [ 'name' ]
+            });
+
+            expect(user.requirements).to.have.length(1);
+            expect(Object.keys(user.requirements[0])).to.deep.equal([ 'name', 'zip' ]);
+            expect(user.requirements[0].name.optional).to.equal(undefined);
+            expect(user.requirements[0].zip.optional).to.equal(undefined);
+        });
+
+        it('throws an error for unsupported keywords, types and formats', () => {
+
+            expect(() => compileSchema({ name: 'age', type: 'integer', multipleOf: 2 })).to.throw(Error, /multipleOf/);
+            expect(() => compileSchema({ name: 'age', type: 'bigint' })).to.throw(Error, /bigint/);
+            expect(() => compileSchema({ name: 'site', format: 'uri' })).to.throw(Error, /uri/);
+            expect(() => compileSchema({ name: 'size', enum: 'small' })).to.throw(Error, /enum/);
+        });
+    });
+});
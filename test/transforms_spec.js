@@ -0,0 +1,74 @@
+import { expect } from 'chai';
+import * as transforms from '../src/transforms';
+
+describe('transforms', () => {
+
+    describe('toNumber()', () => {
+
+        it('converts numeric strings to numbers', () => {
+            expect(transforms.toNumber('5')).to.equal(5);
+            expect(transforms.toNumber(' -2.5 ')).to.equal(-2.5);
+            expect(transforms.toNumber(7)).to.equal(7);
+        });
+
+        it('throws an error for values that are not numeric', () => {
+            [ 'five', '', '  ', NaN, null, undefined, true ].forEach(value => {
+                expect(() => transforms.toNumber(value), `${value}`).to.throw(Error, 'expected a value that can be converted to a number');
+            });
+        });
+    });
+
+    describe('toBoolean()', () => {
+
+        it('converts boolean-like strings and numbers to booleans', () => {
+            [ true, 'true', 'TRUE', 'yes', 'on', '1', 1 ].forEach(value => expect(transforms.toBoolean(value), `${value}`).to.equal(true));
+            [ false, 'false', 'No', 'off', '0', 0 ].forEach(value => expect(transforms.toBoolean(value), `${value}`).to.equal(false));
+        });
+
+        it('throws an error for other values', () => {
+            [ 'maybe', 2, null, undefined ].forEach(value => {
+                expect(() => transforms.toBoolean(value), `${value}`).to.throw(Error, 'expected a value that can be converted to a boolean');
+            });
+        });
+    });
+
+    describe('toDate()', () => {
+
+        it('converts date strings and timestamps to dates', () => {
+            expect(transforms.toDate('2017-03-14T15:09:26Z').toISOString()).to.equal('2017-03-14T15:09:26.000Z');
+            expect(transforms.toDate(0).getTime()).to.equal(0);
+        });
+
+        it('throws an error for invalid dates', () => {
+            [ 'not a date', '', null, new Date('nope') ].forEach(value => {
+                expect(() => transforms.toDate(value), `${value}`).to.throw(Error, 'expected a value that can be converted to a date');
+            });
+        });
+    });
+
+    describe('string transforms', () => {
+
+        it('trim and change the case of strings', () => {
+            expect(transforms.trim('  Paula  ')).to.equal('Paula');
+            expect(transforms.lowercase('Paula')).to.equal('paula');
+            expect(transforms.uppercase('Paula')).to.equal('PAULA');
+        });
+
+        it('throw an error for values that are not strings', () => {
+            expect(() => transforms.trim(4)).to.throw(Error, 'expected a string');
+        });
+    });
+
+    describe('splitCsv()', () => {
+
+        it('splits delimited strings into arrays', () => {
+            expect(transforms.splitCsv()('red, green,,blue ')).to.deep.equal([ 'red', 'green', 'blue' ]);
+            expect(transforms.splitCsv('|')('a|b')).to.deep.equal([ 'a', 'b' ]);
+            expect(transforms.splitCsv()('')).to.deep.equal([]);
+        });
+
+        it('leaves arrays as they are', () => {
+            expect(transforms.splitCsv()([ 'a', 'b' ])).to.deep.equal([ 'a', 'b' ]);
+        });
+    });
+});
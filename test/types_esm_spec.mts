@@ -0,0 +1,24 @@
+// Type tests for an ES module consumer, which resolves the package's types through the import condition of its exports.
+
+import ParameterValidator, { ParameterValidationError, validate, validators } from 'parameter-validator';
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+
+function expectType<T extends true>(): void {}
+
+declare const params: { [name: string]: unknown };
+
+// The default export is the class, as it is in dist/esm, rather than the whole CommonJS module.
+
+let parameterValidator: ParameterValidator = new ParameterValidator();
+
+let extracted = parameterValidator.validate(params, [ 'name', { age: validators.isInteger } ]);
+expectType<Equal<typeof extracted, { name: any; age: number }>>();
+
+let standalone = validate(params, [ 'name' ]);
+expectType<Equal<typeof standalone, { name: any }>>();
+
+class CustomValidator extends ParameterValidator {}
+new CustomValidator();
+
+new ParameterValidationError('Invalid parameters.');
@@ -0,0 +1,184 @@
+// Type tests for the type definitions, which are checked by `npm run test-types` rather than run by mocha.
+
+import ParameterValidator, {
+    OpenApiParameter, ParameterValidationError, ValidationErrorDetail, combinators, describeRequirements, expressMiddleware, koaMiddleware,
+    renderMarkdown, toJsonSchema, toOpenApiParameters, transforms, validate, validateArgs, validateAsync, validateEach, validateSafe,
+    validateValue, validated, validators, withValidation
+} from '..';
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+
+function expectType<T extends true>(): void {}
+
+declare const params: { [name: string]: unknown };
+
+// The extracted params are inferred from the requirements.
+
+let basic = validate(params, [ 'name', 'id' ]);
+expectType<Equal<typeof basic, { name: any; id: any }>>();
+
+let oneOf = validate(params, [ 'name', [ 'username', 'email' ] ]);
+expectType<Equal<typeof oneOf, { name: any; username?: any; email?: any }>>();
+
+let typed = validate(params, [ { age: validators.isPositiveInteger, size: validators.isOneOf([ 'small', 'large' ]), tags: validators.isArrayOf(validators.isString) } ]);
+expectType<Equal<typeof typed, { age: number; size: 'small' | 'large'; tags: string[] }>>();
+
+let untyped = validate(params, [ { age: (value: number) => value > 30 } ]);
+expectType<Equal<typeof untyped, { age: any }>>();
+
+let ruleObjects = validate(params, [ {
+    pageSize: { validate: validators.isInteger, default: 25 },
+    sort: { validate: validators.isOneOf([ 'asc', 'desc' ]), optional: true },
+    limit: { transform: transforms.toNumber },
+    tags: { transform: [ transforms.trim, transforms.splitCsv() ] }
+} ]);
+expectType<Equal<typeof ruleObjects, { pageSize: number; sort?: 'asc' | 'desc'; limit: number; tags: string[] }>>();
+
+let soft = validate(params, [ { bio: { validate: validators.maxLength(10), severity: 'warning' }, age: { validate: validators.isInteger, severity: 'error' } } ], null, {
+    onWarning: warnings => warnings.forEach(warning => warning.severity)
+});
+expectType<Equal<typeof soft, { bio: any; age: number }>>();
+
+let renamed = validate(params, [ { username: { validate: validators.isString, aliases: [ 'userName', 'login' ] }, timeout: { aliases: 'timeoutMs', optional: true } } ]);
+expectType<Equal<typeof renamed, { username: string; timeout?: any }>>();
+
+let collections = validate(params, [ {
+    tags: { items: validators.isNonEmptyString, minItems: 1, maxItems: 10, uniqueItems: true },
+    ids: { items: { transform: transforms.toNumber }, optional: true },
+    lines: { items: [ 'sku' ], uniqueItems: (line: { sku: string }) => line.sku }
+} ]);
+expectType<Equal<typeof collections, { tags: string[]; ids?: number[]; lines: any[] }>>();
+
+let nested = validate(params, [ 'user.email', { address: [ 'zip', { city: validators.isString } ] }, { billing: { optional: true, requirements: [ 'zip' ] } } ]);
+expectType<Equal<typeof nested, { 'user.email': any; 'address.zip': any; 'address.city': string; 'billing.zip'?: any }>>();
+
+let described = validate(params, [
+    { name: 'age', type: 'integer', required: true },
+    { name: 'size', enum: [ 'S', 'M' ] },
+    { type: 'object', properties: { email: { type: 'string', format: 'email' }, admin: { type: 'boolean' } }, required: [ 'email' ] }
+]);
+expectType<Equal<typeof described, { age: number; size?: 'S' | 'M'; email: string; admin?: boolean }>>();
+
+// An object with a name and no schema keywords, or with other keys, is a `{ paramName: rule }` object.
+
+let nameOnly = validate(params, [ { name: 'tenantId' } ]);
+expectType<Equal<typeof nameOnly, { name: any }>>();
+
+let nameAndRules = validate(params, [ { name: 'tenantId', type: 'tenantId', age: validators.isInteger } ]);
+expectType<Equal<typeof nameAndRules, { name: any; type: any; age: number }>>();
+
+let named = validate(params, [ 'orgId:tenantId', { parentOrgId: 'tenantId', teamId: { validate: 'teamId', optional: true } } ]);
+expectType<Equal<typeof named, { orgId: any; parentOrgId: any; teamId?: any }>>();
+
+let grouped = validate(params, [ combinators.xor('id', 'email'), combinators.forbiddenWith('password', 'ssoToken'), combinators.when('method', 'card', [ 'cardNumber' ]) ]);
+expectType<Equal<typeof grouped, { id?: any; email?: any; cardNumber?: any }>>();
+
+// Literal prefixes are added to the names of the extracted params.
+
+let prefixed = validate(params, [ 'logger', { retries: validators.isInteger } ], null, { addPrefix: '_' });
+expectType<Equal<typeof prefixed, { _logger: any; _retries: number }>>();
+
+let accumulator = { existing: 1 },
+    accumulated = validate(params, [ 'logger' ], accumulator, { addPrefix: '_' });
+expectType<Equal<typeof accumulated, { existing: number } & { _logger: any }>>();
+
+let nestedShape = validate(params, [ 'user.name' ], null, { shape: 'nested' });
+expectType<Equal<typeof nestedShape, { [name: string]: any }>>();
+
+// The other methods and standalone functions return the same types.
+
+let parameterValidator = new ParameterValidator({ defaultValidation: validators.isNonEmptyString, locale: 'fr', messages: { fr: { invalid: 'Valeur invalide' } } });
+
+parameterValidator.registerRule('tenantId', value => /^t-\d+$/.test(value), { message: 'Unknown tenant.' }).registerRule('teamId', value => value > 0);
+
+let asyncResult = validateAsync(params, [ 'name' ]);
+expectType<Equal<typeof asyncResult, Promise<{ name: any }>>>();
+
+let safeResult = validateSafe(params, [ { age: validators.isInteger } ]);
+expectType<Equal<typeof safeResult.params, { age?: number }>>();
+expectType<Equal<typeof safeResult.errors, ValidationErrorDetail[]>>();
+
+let batchResult = validateEach([ params ], [ 'name' ], { maxErrors: 10 });
+expectType<Equal<typeof batchResult.params, { name: any }[]>>();
+
+let compiled = parameterValidator.compile([ 'name', { age: validators.isInteger } ]);
+let compiledResult = compiled(params);
+expectType<Equal<typeof compiledResult, { name: any; age: number }>>();
+compiled.validateAsync(params).then(result => expectType<Equal<typeof result, { name: any; age: number }>>());
+
+let pageSize = validateValue('25', { transform: transforms.toNumber, validate: validators.inRange(1, 100) }, { label: 'pageSize' });
+expectType<Equal<typeof pageSize, number>>();
+
+let args = validateArgs([ 'a1', 100 ], [ validators.isString, validators.isPositiveNumber, { optional: true } ], { labels: [ 'account', 'amount', 'note' ] });
+expectType<Equal<typeof args, [ string, number, any ]>>();
+
+let createUser = withValidation([ 'name', { age: validators.isInteger } ], ({ name, age }, notify: boolean) => `${name} ${age + 1} ${notify}`, { inject: true });
+expectType<Equal<typeof createUser, (paramsProvided: object, notify: boolean) => string>>();
+
+let updateUser = withValidation([ 'id' ], (options: { id: string }) => Promise.resolve(options.id), { async: true });
+expectType<Equal<ReturnType<typeof updateUser>, Promise<string>>>();
+
+class UserService {
+    @validated([ 'name' ])
+    createUser(options: { name: string }) {
+        return options.name;
+    }
+}
+new UserService().createUser({ name: 'Paula' });
+
+// Standard decorators are passed the method and a context, and return the replacement method.
+declare const methodContext: ClassMethodDecoratorContext;
+let decoratedMethod = validated([ 'name' ])((options: { name: string }) => options.name, methodContext);
+expectType<Equal<typeof decoratedMethod, (options: { name: string }) => string>>();
+
+let middleware = expressMiddleware({ params: [ 'orgId' ], body: [ 'name' ] }, { status: 422, formatError: error => error.errors.map(detail => detail.location) });
+middleware({}, {}, () => {});
+koaMiddleware({ query: [ 'page' ] }, { async: true })({}, () => Promise.resolve()).then(() => {});
+
+// Introspection
+
+let description = describeRequirements([ 'name', { age: { validate: validators.isInteger, description: 'The age in years.' } }, [ 'id', 'email' ] ]);
+description.params.forEach(param => param.items && param.items.type);
+description.groups.forEach(group => group.type === 'when' ? group.requirements.params : group.type);
+
+let markdown: string = renderMarkdown(description),
+    jsonSchema = toJsonSchema(parameterValidator.describeRequirements([ 'orgId:tenantId' ])),
+    openApiParameters = toOpenApiParameters(description, 'header');
+expectType<Equal<typeof openApiParameters, OpenApiParameter[]>>();
+markdown.trim();
+jsonSchema.properties;
+
+let isEven = validators.createValidator('an even number', value => value % 2 === 0, { type: 'integer', multipleOf: 2 });
+isEven.schema;
+
+// Errors
+
+try {
+    validate(params, [ 'name' ]);
+} catch (error) {
+    if (error instanceof ParameterValidationError) {
+        let rules: string[] = error.errors.map(detail => detail.rule);
+        rules.push(error.message);
+    }
+}
+
+// Malformed requirements and options are rejected.
+
+// @ts-expect-error
+validate(params, 'name');
+// @ts-expect-error
+validate(params, [ 4 ]);
+// @ts-expect-error
+validate(params, [ { age: 30 } ]);
+// @ts-expect-error
+validate(params, [ 'name' ], null, { addPrefix: 4 });
+// @ts-expect-error
+validate(params, [ 'name' ], null, { shape: 'round' });
+// @ts-expect-error
+new ParameterValidator({ defaultValidation: 'isDefined' });
+// @ts-expect-error
+expressMiddleware({ cookies: [ 'session' ] });
+// @ts-expect-error
+parameterValidator.registerRule('tenantId', value => value > 0, { optional: true });
+// @ts-expect-error
+toOpenApiParameters(description, 'body');
@@ -0,0 +1,188 @@
+import { expect } from 'chai';
+import * as validators from '../src/validators';
+
+describe('validators', () => {
+
+    let expectations = {
+        isString: { valid: [ '', 'Garfield' ], invalid: [ 4, null, undefined ] },
+        isNonEmptyString: { valid: [ 'Garfield' ], invalid: [ '', '   ', 4 ] },
+        isNumber: { valid: [ 0, -2.5 ], invalid: [ NaN, '4' ] },
+        isInteger: { valid: [ 0, -3 ], invalid: [ 1.5, '3' ] },
+        isPositiveNumber: { valid: [ 0.5, 3 ], invalid: [ 0, -1, '3' ] },
+        isPositiveInteger: { valid: [ 1, 40 ], invalid: [ 0, 1.5, '3' ] },
+        isBoolean: { valid: [ true, false ], invalid: [ 'true', 0 ] },
+        isArray: { valid: [ [], [ 1 ] ], invalid: [ {}, 'a' ] },
+        isObject: { valid: [ {}, { a: 1 } ], invalid: [ [], null, 'a' ] },
+        isEmail: { valid: [ 'paula@example.com' ], invalid: [ 'paula', 'paula@example', 'pa ula@example.com' ] },
+        isUUID: { valid: [ '3b241101-e2bb-4255-8caf-4136c566a962' ], invalid: [ '3b241101e2bb42558caf4136c566a962', 42 ] },
+        isISODate: { valid: [ '2017-03-14', '2017-03-14T15:09:26Z', '2017-03-14T15:09:26.535+05:00' ], invalid: [ '2017-13-45', '03/14/2017', 7 ] }
+    };
+
+    Object.keys(expectations).forEach(validatorName => {
+
+        describe(`${validatorName}()`, () => {
+
+            let { valid, invalid } = expectations[validatorName],
+                validator = validators[validatorName];
+
+            it('returns true for valid values', () => {
+                valid.forEach(value => expect(validator(value), `${value}`).to.equal(true));
+            });
+
+            it('returns false for invalid values', () => {
+                invalid.forEach(value => expect(validator(value), `${value}`).to.equal(false));
+            });
+
+            it('describes the value it expects', () => {
+                expect(validator.expected).to.be.a('string');
+                expect(validator.schema).to.be.an('object');
+            });
+        });
+    });
+
+    describe('isArrayOf()', () => {
+
+        it('validates each item in an array', () => {
+
+            let isArrayOfStrings = validators.isArrayOf(validators.isString);
+
+            expect(isArrayOfStrings([ 'a', 'b' ])).to.equal(true);
+            expect(isArrayOfStrings([])).to.equal(true);
+            expect(isArrayOfStrings([ 'a', 2 ])).to.equal(false);
+            expect(isArrayOfStrings('a')).to.equal(false);
+            expect(isArrayOfStrings.expected).to.equal('an array whose items are each a string');
+            expect(isArrayOfStrings.schema).to.deep.equal({ type: 'array', items: { type: 'string' } });
+        });
+
+        it('throws an error if a validation function is not provided', () => {
+            expect(() => validators.isArrayOf('string')).to.throw(Error);
+        });
+    });
+
+    describe('isOneOf()', () => {
+
+        it('validates that a value is one of the allowed values', () => {
+
+            let isSize = validators.isOneOf([ 'small', 'large' ]);
+
+            expect(isSize('small')).to.equal(true);
+            expect(isSize('medium')).to.equal(false);
+            expect(isSize.expected).to.equal(`one of 'small', 'large'`);
+            expect(isSize.schema).to.deep.equal({ enum: [ 'small', 'large' ] });
+        });
+    });
+
+    describe('matches()', () => {
+
+        it('validates that a string matches a pattern', () => {
+
+            let isZipCode = validators.matches(/^\d{5}$/g);
+
+            expect(isZipCode('46256')).to.equal(true);
+            expect(isZipCode('46256')).to.equal(true);
+            expect(isZipCode('4625')).to.equal(false);
+            expect(isZipCode(46256)).to.equal(false);
+        });
+
+        it('includes the pattern in its schema unless the pattern has flags that change what it matches', () => {
+            expect(validators.matches(/^\d{5}$/g).schema).to.deep.equal({ type: 'string', pattern: '^\\d{5}$' });
+            expect(validators.matches(/^[a-z]+$/i).schema).to.deep.equal({ type: 'string' });
+        });
+    });
+
+    describe('minLength() and maxLength()', () => {
+
+        it('validate the length of strings and arrays', () => {
+
+            expect(validators.minLength(2)('ab')).to.equal(true);
+            expect(validators.minLength(2)([ 1 ])).to.equal(false);
+            expect(validators.maxLength(2)([ 1, 2 ])).to.equal(true);
+            expect(validators.maxLength(2)('abc')).to.equal(false);
+            expect(validators.maxLength(2)(12)).to.equal(false);
+            expect(validators.minLength(2).schema).to.deep.equal({ minLength: 2, minItems: 2 });
+        });
+
+        it('throw an error if the length is not a non-negative integer', () => {
+            expect(() => validators.minLength(-1)).to.throw(Error);
+            expect(() => validators.maxLength('2')).to.throw(Error);
+        });
+    });
+
+    describe('inRange()', () => {
+
+        it('validates that a number is within the range, inclusive', () => {
+
+            let isPercentage = validators.inRange(0, 100);
+
+            expect(isPercentage(0)).to.equal(true);
+            expect(isPercentage(100)).to.equal(true);
+            expect(isPercentage(101)).to.equal(false);
+            expect(isPercentage('50')).to.equal(false);
+            expect(isPercentage.expected).to.equal('a number from 0 to 100');
+        });
+
+        it('throws an error if the range is invalid', () => {
+            expect(() => validators.inRange(10, 1)).to.throw(Error);
+        });
+    });
+
+    describe('atLeast() and atMost()', () => {
+
+        it('validate the minimum and maximum of a number, inclusive', () => {
+
+            expect(validators.atLeast(5)(5)).to.equal(true);
+            expect(validators.atLeast(5)(4)).to.equal(false);
+            expect(validators.atMost(5)(5)).to.equal(true);
+            expect(validators.atMost(5)('4')).to.equal(false);
+            expect(validators.atLeast(5).expected).to.equal('a number of at least 5');
+        });
+    });
+
+    describe('allOf()', () => {
+
+        it('requires a value to pass all of the validators', () => {
+
+            let isSmallInteger = validators.allOf(validators.isInteger, validators.atMost(10));
+
+            expect(isSmallInteger(3)).to.equal(true);
+            expect(isSmallInteger(3.5)).to.equal('expected an integer');
+            expect(isSmallInteger(11)).to.equal('expected a number of at most 10');
+            expect(isSmallInteger.expected).to.equal('an integer and a number of at most 10');
+        });
+
+        it('combines the schemas of the validators', () => {
+            expect(validators.allOf(validators.isInteger, validators.inRange(1, 10)).schema).to.deep.equal({ type: 'integer', minimum: 1, maximum: 10 });
+            expect(validators.allOf(validators.isString, val => val !== 'admin').schema).to.deep.equal({ type: 'string' });
+            expect(validators.allOf(val => val !== 'admin').schema).to.equal(undefined);
+        });
+
+        it('passes along the reason returned by a validator', () => {
+
+            let isAdult = validators.allOf(validators.isInteger, val => val >= 18 || 'must be at least 18', val => val < 150);
+
+            expect(isAdult(12)).to.equal('must be at least 18');
+            expect(isAdult(200)).to.equal(false);
+        });
+    });
+
+    describe('createValidator()', () => {
+
+        it('creates a validator that returns a boolean and describes what it expects', () => {
+
+            let isEven = validators.createValidator('an even number', value => value % 2 === 0 ? 'yes' : 0);
+
+            expect(isEven(2)).to.equal(true);
+            expect(isEven(3)).to.equal(false);
+            expect(isEven.expected).to.equal('an even number');
+            expect(isEven.schema).to.equal(undefined);
+        });
+
+        it('attaches the schema provided', () => {
+
+            let isEven = validators.createValidator('an even number', value => value % 2 === 0, { type: 'integer', multipleOf: 2 });
+
+            expect(isEven.schema).to.deep.equal({ type: 'integer', multipleOf: 2 });
+            expect(() => validators.createValidator('an even number', value => value % 2 === 0, 'integer')).to.throw(Error, 'The schema provided to createValidator() must be an object.');
+        });
+    });
+});
@@ -0,0 +1,12 @@
+// Type definitions for the ES module build. The package isn't "type": "module", so TypeScript reads ParameterValidator.d.ts as
+// CommonJS, whose default export would be the whole module to an ES module importing it. This re-exports the same
+// definitions, with the class as the default export like in dist/esm.
+
+import * as commonjs from './ParameterValidator.js';
+
+export * from './ParameterValidator.js';
+
+declare const ParameterValidator: typeof commonjs.default.default;
+type ParameterValidator = InstanceType<typeof commonjs.default.default>;
+
+export default ParameterValidator;
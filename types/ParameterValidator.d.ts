@@ -0,0 +1,590 @@
+// Type definitions for parameter-validator.
+//
+// The extracted params returned by `validate()` and the other methods are inferred from the requirements,
+// which are inferred as a tuple, so that `validate(params, [ 'name', { age: validators.isInteger } ])`
+// returns `{ name: any; age: number }`. Validation functions that are type guards determine the type of a
+// parameter's value, as do transforms.
+
+export {};
+
+declare const shapeOf: unique symbol;
+
+// Requirements
+
+/**
+* A validation function returns true if the value is valid, or a string (or an object with a message property)
+* describing why it isn't. With `validateAsync()`, it can also return a promise for its result.
+*/
+export type ValidationResult = boolean | string | { message: string };
+
+export type ValidationFunction = (value: any) => ValidationResult | PromiseLike<ValidationResult>;
+
+/**
+* A validation function that describes what it expects, like the ones in the `validators` library.
+*/
+export interface Validator {
+    (value: any): ValidationResult;
+    expected?: string;
+    /** JSON Schema keywords that describe a valid value, which are used to document the requirements. */
+    schema?: JsonSchema;
+}
+
+/**
+* A validator whose type guard determines the type of the extracted parameter.
+*/
+export interface TypedValidator<T> {
+    (value: unknown): value is T;
+    expected: string;
+    schema?: JsonSchema;
+}
+
+export type JsonSchema = { [keyword: string]: any };
+
+export type Transform = (value: any) => any;
+
+export interface RuleObject {
+    /** A validation function, or the name of a rule registered with `registerRule()`. */
+    validate?: ValidationFunction | string;
+    message?: string | ((value: any, path: string) => string);
+    optional?: boolean;
+    default?: any;
+    transform?: Transform | readonly Transform[];
+    requirements?: readonly Requirement[];
+    sensitive?: boolean;
+    /** 'warning' for a rule whose failures are passed to the onWarning hook instead of making the parameters invalid. */
+    severity?: RuleSeverity;
+    /** Other names of the parameter, whose values are used if it's omitted, and whose use is passed to the onWarning hook. */
+    aliases?: string | readonly string[];
+    /** Describes the parameter in the documentation produced by `describeRequirements()`. */
+    description?: string;
+    /** The rule that each of the items of an array must pass. */
+    items?: Rule;
+    minItems?: number;
+    maxItems?: number;
+    /** Whether the items must be unique, or a function that returns the key that must be unique for each item. */
+    uniqueItems?: boolean | ((item: any) => unknown);
+}
+
+export type RuleSeverity = 'error' | 'warning';
+
+export type Rule = ValidationFunction | RuleObject | readonly Requirement[] | string;
+
+/**
+* Maps parameter names (or paths, like `'user.address.zip'`) to their rules.
+*/
+export interface RuleMap {
+    [paramName: string]: Rule;
+}
+
+export type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object';
+
+export type SchemaFormat = 'email' | 'uuid' | 'date' | 'date-time';
+
+export interface PropertySchema {
+    type?: SchemaType;
+    required?: boolean | readonly string[];
+    enum?: readonly any[];
+    pattern?: string;
+    format?: SchemaFormat;
+    minimum?: number;
+    maximum?: number;
+    minLength?: number;
+    maxLength?: number;
+    items?: PropertySchema;
+    minItems?: number;
+    maxItems?: number;
+    uniqueItems?: boolean;
+    properties?: { [name: string]: PropertySchema };
+    default?: any;
+    description?: string;
+}
+
+/**
+* A declarative description of a parameter, like `{ name: 'age', type: 'integer', required: true }`.
+*/
+export interface ParamDescription extends PropertySchema {
+    name: string;
+}
+
+/**
+* A subset of JSON Schema describing an object's properties.
+*/
+export interface ObjectSchema extends PropertySchema {
+    type: 'object';
+    properties: { [name: string]: PropertySchema };
+    required?: readonly string[];
+}
+
+/**
+* An item in a requirements array:
+* - The name of a required parameter
+* - An array of parameter names, at least one of which is required
+* - A `{ paramName: rule }` object
+* - A declarative description of a parameter, or an object schema
+* - A rule for a group of parameters, created by one of the combinators
+*/
+export type Requirement = string | readonly string[] | RuleMap | ParamDescription | ObjectSchema | combinators.Combinator<any>;
+
+// Inference of the extracted params
+
+type UnionToIntersection<U> = (U extends any ? (union: U) => void : never) extends (intersection: infer I) => void ? I : never;
+
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+type PrefixKeys<T, P extends string> = { [K in keyof T as K extends string ? `${P}${K}` : never]: T[K] };
+
+type SchemaTypes = {
+    string: string;
+    number: number;
+    integer: number;
+    boolean: boolean;
+    array: any[];
+    object: { [name: string]: any };
+};
+
+type SchemaValue<S> =
+    S extends { enum: readonly (infer E)[] } ? E :
+    S extends { type: 'array', items: infer Items } ? SchemaValue<Items>[] :
+    S extends { type: infer T extends keyof SchemaTypes } ? SchemaTypes[T] :
+    any;
+
+type RequiredNames<S> = S extends { required: readonly (infer Name)[] } ? Name : never;
+
+type PropertiesShape<Properties, Required> = UnionToIntersection<{
+    [K in keyof Properties & string]: PropertyShape<K, Properties[K], K extends Required ? true : Properties[K] extends { required: true } ? true : false>
+}[keyof Properties & string]>;
+
+// Properties with nested properties are extracted individually, at their paths.
+type PropertyShape<K extends string, S, IsRequired extends boolean> =
+    S extends { properties: infer Properties } ?
+        (IsRequired extends true ? PrefixKeys<PropertiesShape<Properties, RequiredNames<S>>, `${K}.`> :
+            Partial<PrefixKeys<PropertiesShape<Properties, RequiredNames<S>>, `${K}.`>>) :
+    IsRequired extends true ? { [P in K]: SchemaValue<S> } :
+    S extends { default: any } ? { [P in K]: SchemaValue<S> } :
+    { [P in K]?: SchemaValue<S> };
+
+type TransformResult<T> =
+    T extends readonly [ ...any[], infer Last ] ? TransformResult<Last> :
+    T extends (value: any) => infer Result ? Result :
+    any;
+
+type RuleValue<V> =
+    // The value of a parameter whose rule is only a warning may not have passed it.
+    V extends { severity: 'warning' } ? any :
+    V extends (value: any) => value is infer T ? T :
+    V extends { validate: (value: any) => value is infer T } ? T :
+    V extends { items: infer Items } ? ValidatedValue<Items>[] :
+    V extends { transform: infer T } ? TransformResult<T> :
+    any;
+
+type ValidatedValue<V> =
+    V extends { optional: true } ? (V extends { default: any } ? RuleValue<V> : RuleValue<V> | undefined) :
+    RuleValue<V>;
+
+type RuleShape<K extends string, V> =
+    V extends readonly unknown[] ? PrefixKeys<ParamsShape<V>, `${K}.`> :
+    V extends { requirements: infer Requirements extends readonly unknown[] } ?
+        (V extends { optional: true } ? Partial<PrefixKeys<ParamsShape<Requirements>, `${K}.`>> : PrefixKeys<ParamsShape<Requirements>, `${K}.`>) :
+    V extends { default: any } ? { [P in K]: RuleValue<V> } :
+    V extends { optional: true } ? { [P in K]?: RuleValue<V> } :
+    { [P in K]: RuleValue<V> };
+
+// Like the runtime, an object with a name is only a parameter description if its other keys are all schema keywords, and
+// there's at least one of them.
+type IsParamDescription<R> =
+    [ Exclude<keyof R, 'name' | keyof PropertySchema> ] extends [ never ] ?
+        ([ Extract<keyof R, keyof PropertySchema> ] extends [ never ] ? never : unknown) :
+    never;
+
+type RequirementShape<R> =
+    R extends `${infer Name}:${string}` ? { [K in Name]: any } :
+    R extends string ? { [K in R]: any } :
+    R extends readonly string[] ? { [K in R[number]]?: any } :
+    R extends combinators.Combinator<infer Shape> ? Shape :
+    R extends { name: infer Name extends string } & IsParamDescription<R> ?
+        PropertyShape<Name, R, R extends { required: true | readonly any[] } ? true : false> :
+    R extends { type: 'object', properties: infer Properties } ? PropertiesShape<Properties, RequiredNames<R>> :
+    R extends object ? UnionToIntersection<{ [K in keyof R & string]: RuleShape<K, R[K]> }[keyof R & string]> :
+    {};
+
+/**
+* The parameters that a requirements tuple extracts, without any prefix.
+*/
+export type ParamsShape<R extends readonly unknown[]> = UnionToIntersection<{ [I in keyof R]: RequirementShape<R[I]> }[number]>;
+
+type PrefixOf<O> = O extends { addPrefix: infer P extends string } ? P : '';
+
+/**
+* The extracted params returned for a requirements tuple and options. Parameters at nested paths are extracted with
+* their paths as property names, unless the shape option is 'nested'.
+*/
+export type ExtractedParams<R extends readonly unknown[], O = {}> =
+    O extends { shape: 'nested' } ? { [name: string]: any } : Simplify<PrefixKeys<ParamsShape<R>, PrefixOf<O>>>;
+
+type WithExtractedParams<E, X> = E extends object ? E & X : X;
+
+// Options & results
+
+export type FailedRuleKind =
+    'required' | 'oneOf' | 'custom' | 'transform' | 'unknown' | 'xor' | 'allOrNone' | 'forbiddenWith' | 'minItems' | 'maxItems' | 'uniqueItems' |
+    'deprecatedAlias' | 'aliasConflict';
+
+export interface ValidationErrorDetail {
+    paramNames: string[];
+    rule: FailedRuleKind;
+    value?: any;
+    rawValue?: any;
+    expected?: string;
+    reason?: string;
+    message: string;
+    severity?: 'warning';
+    // Added to the warnings of batches and of the HTTP middleware, respectively.
+    index?: number;
+    location?: RequestPart;
+}
+
+export interface ValidateOptions {
+    addPrefix?: string;
+    errorClass?: new (message: string, errors?: ValidationErrorDetail[]) => Error;
+    shape?: 'flat' | 'nested';
+    strict?: boolean;
+    stripUnknown?: boolean;
+    locale?: string;
+    sensitiveParams?: ReadonlyArray<string | RegExp>;
+    maxValueLength?: number;
+    onWarning?: (warnings: ValidationErrorDetail[]) => void;
+}
+
+export interface AsyncValidateOptions extends ValidateOptions {
+    concurrency?: number;
+    timeout?: number;
+}
+
+export interface BatchOptions extends AsyncValidateOptions {
+    failFast?: boolean;
+    maxErrors?: number;
+}
+
+export interface WithValidationOptions extends AsyncValidateOptions {
+    inject?: boolean;
+    async?: boolean;
+}
+
+/**
+* A method decorator created by `validated()`, which supports both standard and legacy (experimentalDecorators) decorators.
+*/
+export interface ValidatedDecorator {
+    <M extends (this: any, ...args: any[]) => any>(method: M, context: ClassMethodDecoratorContext): M;
+    (target: object, name: string | symbol, descriptor: PropertyDescriptor): PropertyDescriptor;
+}
+
+export interface ValueOptions extends ValidateOptions {
+    label?: string;
+}
+
+export interface ArgsOptions extends ValidateOptions {
+    labels?: readonly string[];
+}
+
+export type RequestPart = 'params' | 'query' | 'headers' | 'body';
+
+export type RequestRequirements = { [part in RequestPart]?: readonly Requirement[] };
+
+export interface RequestErrorDetail extends ValidationErrorDetail {
+    location: RequestPart;
+}
+
+export interface MiddlewareOptions extends AsyncValidateOptions {
+    async?: boolean;
+    property?: string;
+    status?: number;
+    formatError?: (error: RequestValidationError, request: any) => unknown;
+}
+
+export interface SafeValidationResult<X> {
+    valid: boolean;
+    params: X;
+    errors: ValidationErrorDetail[];
+}
+
+export interface BatchValidationResult<X> {
+    valid: boolean;
+    params: X[];
+    errors: { [index: number]: ValidationErrorDetail[] };
+    complete: boolean;
+}
+
+export interface CompiledValidator<X> {
+    <E extends object | null | undefined = undefined>(paramsProvided: object, extractedParams?: E): WithExtractedParams<E, X>;
+    validateAsync<E extends object | null | undefined = undefined>(paramsProvided: object, extractedParams?: E): Promise<WithExtractedParams<E, X>>;
+}
+
+export type MessageName =
+    'paramsRequired' | 'invalid' | 'invalidExpected' | 'invalidReason' | 'unknown' | 'oneOf' | 'xor' | 'allOrNone' | 'forbiddenWith' |
+    'deprecatedAlias' | 'aliasConflict' | 'timeout';
+
+export interface MessageData {
+    path?: string;
+    value?: string;
+    expected?: string;
+    reason?: string;
+    paramNames?: string;
+    otherParamNames?: string;
+    timeout?: number;
+    alias?: string;
+}
+
+export type MessageTemplate = string | ((data: MessageData) => string);
+
+export interface RegisteredRuleOptions {
+    message?: RuleObject['message'];
+    transform?: RuleObject['transform'];
+    sensitive?: boolean;
+    severity?: RuleSeverity;
+    description?: string;
+}
+
+export interface ParameterValidatorOptions {
+    defaultValidation?: (value: any) => boolean;
+    messages?: { [locale: string]: { [name in MessageName]?: MessageTemplate } };
+    formatMessage?: (name: MessageName, data: MessageData, locale: string) => string | undefined;
+    locale?: string;
+    onWarning?: (warnings: ValidationErrorDetail[]) => void;
+}
+
+// Introspection
+
+export interface DescribedParam {
+    name: string;
+    /** The JSON Schema type from the validator's schema, 'custom' for a validation function that doesn't describe itself, or 'any'. */
+    type: string | string[];
+    required: boolean;
+    expected?: string;
+    schema?: JsonSchema;
+    description?: string;
+    default?: any;
+    ruleName?: string;
+    aliases?: string[];
+    sensitive?: boolean;
+    severity?: 'warning';
+    properties?: RequirementsDescription;
+    /** The description of the items of an array parameter, whose name is '[]'. */
+    items?: DescribedParam;
+    minItems?: number;
+    maxItems?: number;
+    uniqueItems?: true | 'custom';
+}
+
+export type DescribedGroup =
+    { type: 'oneOf' | 'xor' | 'allOrNone'; paramNames: string[] } |
+    { type: 'forbiddenWith'; paramName: string; otherParamNames: string[] } |
+    { type: 'when'; paramName: string; requirements: RequirementsDescription; otherwise: RequirementsDescription };
+
+export interface RequirementsDescription {
+    params: DescribedParam[];
+    groups: DescribedGroup[];
+}
+
+export type OpenApiLocation = 'query' | 'header' | 'path' | 'cookie';
+
+export interface OpenApiParameter {
+    name: string;
+    in: OpenApiLocation;
+    required: boolean;
+    description?: string;
+    deprecated?: true;
+    style?: 'deepObject';
+    explode?: true;
+    schema: JsonSchema;
+}
+
+// API
+
+export class ParameterValidationError extends Error {
+    constructor(message: string, errors?: ValidationErrorDetail[]);
+    errors: ValidationErrorDetail[];
+}
+
+export interface RequestValidationError extends ParameterValidationError {
+    errors: RequestErrorDetail[];
+}
+
+export default class ParameterValidator {
+
+    constructor(options?: ParameterValidatorOptions);
+
+    readonly defaultValidation: (value: any) => boolean;
+
+    registerRule(name: string, validate: ValidationFunction, options?: RegisteredRuleOptions): this;
+
+    validate<const R extends readonly Requirement[], E extends object | null | undefined = undefined, const O extends ValidateOptions = {}>(
+        paramsProvided: object | null | undefined,
+        paramRequirements: R,
+        extractedParams?: E,
+        options?: O & ValidateOptions
+    ): WithExtractedParams<E, ExtractedParams<R, O>>;
+
+    validateAsync<const R extends readonly Requirement[], E extends object | null | undefined = undefined, const O extends AsyncValidateOptions = {}>(
+        paramsProvided: object | null | undefined,
+        paramRequirements: R,
+        extractedParams?: E,
+        options?: O & AsyncValidateOptions
+    ): Promise<WithExtractedParams<E, ExtractedParams<R, O>>>;
+
+    validateSafe<const R extends readonly Requirement[], E extends object | null | undefined = undefined, const O extends ValidateOptions = {}>(
+        paramsProvided: object | null | undefined,
+        paramRequirements: R,
+        extractedParams?: E,
+        options?: O & ValidateOptions
+    ): SafeValidationResult<WithExtractedParams<E, Simplify<Partial<ExtractedParams<R, O>>>>>;
+
+    validateSafeAsync<const R extends readonly Requirement[], E extends object | null | undefined = undefined, const O extends AsyncValidateOptions = {}>(
+        paramsProvided: object | null | undefined,
+        paramRequirements: R,
+        extractedParams?: E,
+        options?: O & AsyncValidateOptions
+    ): Promise<SafeValidationResult<WithExtractedParams<E, Simplify<Partial<ExtractedParams<R, O>>>>>>;
+
+    validateEach<const R extends readonly Requirement[], const O extends BatchOptions = {}>(
+        paramsList: readonly object[],
+        paramRequirements: R,
+        options?: O & BatchOptions
+    ): BatchValidationResult<ExtractedParams<R, O>>;
+
+    validateEachAsync<const R extends readonly Requirement[], const O extends BatchOptions = {}>(
+        paramsList: Iterable<object> | AsyncIterable<object>,
+        paramRequirements: R,
+        options?: O & BatchOptions
+    ): Promise<BatchValidationResult<ExtractedParams<R, O>>>;
+
+    compile<const R extends readonly Requirement[], const O extends AsyncValidateOptions = {}>(
+        paramRequirements: R,
+        options?: O & AsyncValidateOptions
+    ): CompiledValidator<ExtractedParams<R, O>>;
+
+    validateValue<const V extends Rule>(value: unknown, rule: V, options?: ValueOptions): ValidatedValue<V>;
+
+    validateValueAsync<const V extends Rule>(value: unknown, rule: V, options?: ValueOptions & AsyncValidateOptions): Promise<ValidatedValue<V>>;
+
+    validateArgs<const R extends readonly Rule[]>(args: ArrayLike<unknown>, argRequirements: R, options?: ArgsOptions): { -readonly [I in keyof R]: ValidatedValue<R[I]> };
+
+    validateArgsAsync<const R extends readonly Rule[]>(
+        args: ArrayLike<unknown>,
+        argRequirements: R,
+        options?: ArgsOptions & AsyncValidateOptions
+    ): Promise<{ -readonly [I in keyof R]: ValidatedValue<R[I]> }>;
+
+    withValidation<const R extends readonly Requirement[], A extends any[], T, const O extends WithValidationOptions & { inject: true }>(
+        paramRequirements: R,
+        fn: (extractedParams: ExtractedParams<R, O>, ...args: A) => T,
+        options: O & WithValidationOptions
+    ): (paramsProvided: object, ...args: A) => O extends { async: true } ? Promise<Awaited<T>> : T;
+
+    withValidation<const R extends readonly Requirement[], A extends any[], T, const O extends WithValidationOptions = {}>(
+        paramRequirements: R,
+        fn: (...args: A) => T,
+        options?: O & WithValidationOptions
+    ): (...args: A) => O extends { async: true } ? Promise<Awaited<T>> : T;
+
+    validated(
+        paramRequirements: readonly Requirement[],
+        options?: WithValidationOptions
+    ): ValidatedDecorator;
+
+    expressMiddleware(
+        requestRequirements: RequestRequirements,
+        options?: MiddlewareOptions
+    ): (request: any, response: any, next: (error?: any) => void) => void;
+
+    koaMiddleware(
+        requestRequirements: RequestRequirements,
+        options?: MiddlewareOptions
+    ): (ctx: any, next: () => Promise<any>) => Promise<void>;
+
+    describeRequirements(paramRequirements: readonly Requirement[]): RequirementsDescription;
+
+    isDefined(value: any): boolean;
+}
+
+export const validate: ParameterValidator['validate'];
+export const validateAsync: ParameterValidator['validateAsync'];
+export const validateSafe: ParameterValidator['validateSafe'];
+export const validateSafeAsync: ParameterValidator['validateSafeAsync'];
+export const validateEach: ParameterValidator['validateEach'];
+export const validateEachAsync: ParameterValidator['validateEachAsync'];
+export const validateValue: ParameterValidator['validateValue'];
+export const validateValueAsync: ParameterValidator['validateValueAsync'];
+export const validateArgs: ParameterValidator['validateArgs'];
+export const validateArgsAsync: ParameterValidator['validateArgsAsync'];
+export const withValidation: ParameterValidator['withValidation'];
+export const validated: ParameterValidator['validated'];
+export const expressMiddleware: ParameterValidator['expressMiddleware'];
+export const koaMiddleware: ParameterValidator['koaMiddleware'];
+export const registerRule: (name: string, validate: ValidationFunction, options?: RegisteredRuleOptions) => ParameterValidator;
+export const describeRequirements: ParameterValidator['describeRequirements'];
+
+export function renderMarkdown(description: RequirementsDescription): string;
+export function toJsonSchema(description: RequirementsDescription): JsonSchema;
+export function toOpenApiParameters(description: RequirementsDescription, location?: OpenApiLocation): OpenApiParameter[];
+
+export const defaultSensitiveParams: Array<string | RegExp>;
+
+export namespace combinators {
+
+    export class Combinator<Shape = {}> {
+        constructor(type: string, properties: object);
+        readonly type: 'xor' | 'allOrNone' | 'forbiddenWith' | 'when';
+        readonly [shapeOf]?: Shape;
+    }
+
+    export function xor<const N extends string[]>(...paramNames: N): Combinator<{ [K in N[number]]?: any }>;
+
+    export function allOrNone<const N extends string[]>(...paramNames: N): Combinator<{ [K in N[number]]?: any }>;
+
+    export function forbiddenWith(paramName: string, ...otherParamNames: string[]): Combinator<{}>;
+
+    export function when<const R extends readonly Requirement[], const Otherwise extends readonly Requirement[] = []>(
+        paramName: string,
+        condition: ((value: any) => boolean) | string | number | boolean | null | undefined,
+        requirements: R,
+        otherwise?: Otherwise
+    ): Combinator<Partial<ParamsShape<R>> & Partial<ParamsShape<Otherwise>>>;
+}
+
+export namespace transforms {
+    export function toNumber(value: unknown): number;
+    export function toBoolean(value: unknown): boolean;
+    export function toDate(value: unknown): Date;
+    export function trim(value: unknown): string;
+    export function lowercase(value: unknown): string;
+    export function uppercase(value: unknown): string;
+    export function splitCsv(separator?: string): (value: unknown) => string[];
+}
+
+export namespace validators {
+    export function createValidator(expected: string, test: (value: any) => any, schema?: JsonSchema): Validator & { expected: string };
+
+    export const isString: TypedValidator<string>;
+    export const isNonEmptyString: TypedValidator<string>;
+    export const isNumber: TypedValidator<number>;
+    export const isInteger: TypedValidator<number>;
+    export const isPositiveNumber: TypedValidator<number>;
+    export const isPositiveInteger: TypedValidator<number>;
+    export const isBoolean: TypedValidator<boolean>;
+    export const isArray: TypedValidator<any[]>;
+    export const isObject: TypedValidator<{ [name: string]: any }>;
+    export const isEmail: TypedValidator<string>;
+    export const isUUID: TypedValidator<string>;
+    export const isISODate: TypedValidator<string>;
+
+    export function isArrayOf<T>(validator: TypedValidator<T>): TypedValidator<T[]>;
+    export function isArrayOf(validator: Validator): TypedValidator<any[]>;
+    export function isOneOf<const T extends readonly any[]>(allowedValues: T): TypedValidator<T[number]>;
+    export function matches(pattern: RegExp): TypedValidator<string>;
+    export function minLength(length: number): TypedValidator<string | any[]>;
+    export function maxLength(length: number): TypedValidator<string | any[]>;
+    export function inRange(min: number, max: number): TypedValidator<number>;
+    export function atLeast(min: number): TypedValidator<number>;
+    export function atMost(max: number): TypedValidator<number>;
+    export function allOf(...validators: Validator[]): Validator & { expected: string };
+}